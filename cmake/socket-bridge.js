@@ -0,0 +1,59 @@
+// Routes JSBSim's outgoing sockets (FGfdmSocket, used by SOCKET and FLIGHTGEAR outputs) to
+// Module.onSocketOutput instead of Emscripten's WebSocket emulation, which cannot reach plain
+// UDP/TCP endpoints. Sockets connected while no handler is set keep the default behaviour.
+Module["preRun"] = [].concat(Module["preRun"] || [], function () {
+  if (typeof SOCKFS === "undefined") {
+    return;
+  }
+
+  var SOCK_DGRAM = 2;
+  var ops = SOCKFS.websocket_sock_ops;
+  var connect = ops.connect;
+  var sendmsg = ops.sendmsg;
+  var close = ops.close;
+  var nextChannelId = 1;
+
+  function emit(event) {
+    var handler = Module["onSocketOutput"];
+    if (typeof handler === "function") {
+      handler(event);
+    }
+  }
+
+  ops.connect = function (sock, addr, port) {
+    if (typeof Module["onSocketOutput"] !== "function") {
+      return connect.apply(this, arguments);
+    }
+
+    sock.daddr = addr;
+    sock.dport = port;
+    sock.bridgeChannel = {
+      id: nextChannelId++,
+      host: addr,
+      port: port,
+      protocol: sock.type === SOCK_DGRAM ? "udp" : "tcp"
+    };
+    emit({ type: "open", channel: sock.bridgeChannel });
+  };
+
+  ops.sendmsg = function (sock, buffer, offset, length, addr, port) {
+    if (!sock.bridgeChannel) {
+      return sendmsg.apply(this, arguments);
+    }
+
+    var data = new Uint8Array(buffer.buffer, buffer.byteOffset + offset, length).slice();
+    emit({ type: "data", channel: sock.bridgeChannel, data: data });
+    return length;
+  };
+
+  ops.close = function (sock) {
+    if (!sock.bridgeChannel) {
+      return close.apply(this, arguments);
+    }
+
+    var channel = sock.bridgeChannel;
+    sock.bridgeChannel = null;
+    emit({ type: "close", channel: channel });
+    return 0;
+  };
+});
@@ -8,7 +8,13 @@ import {
   XAxis,
   YAxis,
 } from "recharts";
-import { JSBSimSdk } from "@sdk";
+import {
+  JSBSimSdk,
+  type JSBSimProperty,
+  type SimulationRunner,
+  type SimulationStopEvent,
+  type TelemetryRecorder,
+} from "@sdk";
 
 type ScenarioFile = {
   runtimePath: string;
@@ -39,6 +45,12 @@ type ScenarioManifest = {
   files: ScenarioFile[];
 };
 
+type TelemetryHandles = {
+  altitude: JSBSimProperty;
+  velocity: JSBSimProperty;
+  thrust: JSBSimProperty;
+};
+
 type TelemetrySample = {
   time: number;
   altitude: number;
@@ -46,8 +58,10 @@ type TelemetrySample = {
   acceleration: number;
 };
 
-const LOOP_INTERVAL_MS = 50;
-const MAX_SAMPLES = 280;
+const LOOP_RATE_HZ = 20;
+const SIM_TIME_SCALE = 0.4;
+const CHART_SAMPLES = 280;
+const SIM_TIME_PROPERTY = "simulation/sim-time-sec";
 const SCENARIO_MANIFEST_PATH = "/scenario/hobby-rocket/manifest.json";
 
 const STAGE_SEQUENCE: FlightStage[] = [
@@ -128,6 +142,24 @@ function withBase(path: string): string {
   return `${normalizedBase}${normalizedPath}`;
 }
 
+function readChartSamples(
+  recorder: TelemetryRecorder,
+  telemetry: ScenarioManifest["telemetry"],
+  baselineAltitude: number,
+): TelemetrySample[] {
+  const time = recorder.time();
+  const altitude = recorder.column(telemetry.altitudeFt);
+  const velocity = recorder.column(telemetry.verticalVelocityFps);
+  const acceleration = recorder.column(telemetry.verticalAccelerationFps2);
+
+  return Array.from(time, (sampleTime, index) => ({
+    time: sampleTime,
+    altitude: (altitude[index] ?? Number.NaN) - baselineAltitude,
+    velocity: velocity[index] ?? Number.NaN,
+    acceleration: acceleration[index] ?? Number.NaN,
+  }));
+}
+
 async function fetchBytes(url: string): Promise<Uint8Array> {
   const response = await fetch(url);
   if (!response.ok) {
@@ -139,9 +171,11 @@ async function fetchBytes(url: string): Promise<Uint8Array> {
 
 export default function App() {
   const sdkRef = useRef<JSBSimSdk | null>(null);
+  const telemetryRef = useRef<TelemetryHandles | null>(null);
+  const runnerRef = useRef<SimulationRunner | null>(null);
+  const recorderRef = useRef<TelemetryRecorder | null>(null);
   const baselineAltitudeRef = useRef(0);
   const launchStartTimeRef = useRef<number | null>(null);
-  const latestSampleRef = useRef<TelemetrySample | null>(null);
   const stageStateRef = useRef<StageState>(createStageState());
   const stageTimesRef = useRef<StageTimes>({});
 
@@ -188,36 +222,14 @@ export default function App() {
     setCurrentStage(stage);
   }, []);
 
-  const appendSample = useCallback((sample: TelemetrySample) => {
-    latestSampleRef.current = sample;
-
-    setSamples((previous) => {
-      const next = [...previous, sample];
-      if (next.length <= MAX_SAMPLES) {
-        return next;
-      }
-
-      return next.slice(next.length - MAX_SAMPLES);
-    });
-  }, []);
+  const refreshChart = useCallback(() => {
+    const recorder = recorderRef.current;
+    if (!recorder || !manifest) {
+      return;
+    }
 
-  const readTelemetry = useCallback(
-    (sdk: JSBSimSdk, scenario: ScenarioManifest): TelemetrySample => {
-      const time = sdk.getSimTime();
-      const rawAltitude = sdk.getPropertyValue(scenario.telemetry.altitudeFt);
-      const velocity = sdk.getPropertyValue(scenario.telemetry.verticalVelocityFps);
-      const acceleration = sdk.getPropertyValue(scenario.telemetry.verticalAccelerationFps2);
-      const altitude = rawAltitude - baselineAltitudeRef.current;
-
-      return {
-        time,
-        altitude,
-        velocity,
-        acceleration,
-      };
-    },
-    [],
-  );
+    setSamples(readChartSamples(recorder, manifest.telemetry, baselineAltitudeRef.current));
+  }, [manifest]);
 
   const bootstrapScenario = useCallback(async () => {
     setLoading(true);
@@ -227,12 +239,14 @@ export default function App() {
     setStatus("Loading preconfigured hobby rocket...");
 
     launchStartTimeRef.current = null;
-    latestSampleRef.current = null;
     resetStageWidget();
 
     if (sdkRef.current) {
       sdkRef.current.destroy();
       sdkRef.current = null;
+      telemetryRef.current = null;
+      runnerRef.current = null;
+      recorderRef.current = null;
     }
 
     try {
@@ -270,16 +284,32 @@ export default function App() {
         throw new Error("Failed to initialize the rocket scenario.");
       }
 
-      sdk.setPropertyValue(nextManifest.telemetry.thrustProperty, 0);
+      const telemetry: TelemetryHandles = {
+        altitude: sdk.property(nextManifest.telemetry.altitudeFt),
+        velocity: sdk.property(nextManifest.telemetry.verticalVelocityFps),
+        thrust: sdk.property(nextManifest.telemetry.thrustProperty),
+      };
+
+      telemetry.thrust.set(0);
 
-      baselineAltitudeRef.current = sdk.getPropertyValue(nextManifest.telemetry.altitudeFt);
+      baselineAltitudeRef.current = telemetry.altitude.get();
 
-      const firstSample = readTelemetry(sdk, nextManifest);
+      const recorder = sdk.createRecorder({
+        properties: [
+          nextManifest.telemetry.altitudeFt,
+          nextManifest.telemetry.verticalVelocityFps,
+          nextManifest.telemetry.verticalAccelerationFps2,
+        ],
+        maxSamples: CHART_SAMPLES,
+      });
+      recorder.sample();
 
       sdkRef.current = sdk;
+      telemetryRef.current = telemetry;
+      runnerRef.current = sdk.createRunner({ rate: LOOP_RATE_HZ, timeScale: SIM_TIME_SCALE });
+      recorderRef.current = recorder;
       setManifest(nextManifest);
-      setSamples([firstSample]);
-      latestSampleRef.current = firstSample;
+      setSamples(readChartSamples(recorder, nextManifest.telemetry, baselineAltitudeRef.current));
 
       setStatus("Rocket ready on launch rail. Press Launch.");
       setLoading(false);
@@ -292,7 +322,7 @@ export default function App() {
       setLaunched(false);
       setLaunchConsumed(false);
     }
-  }, [readTelemetry, resetStageWidget]);
+  }, [resetStageWidget]);
 
   const startLaunch = useCallback(() => {
     const sdk = sdkRef.current;
@@ -300,111 +330,84 @@ export default function App() {
       return;
     }
 
-    launchStartTimeRef.current = sdk.getSimTime() + manifest.rocket.launchDelaySec;
-    setLaunchConsumed(true);
-    setLaunched(true);
-    setRunning(true);
-    setStatus("Launch sequence armed.");
-  }, [launchConsumed, loading, manifest]);
-
-  const runStep = useCallback(() => {
-    const sdk = sdkRef.current;
-    if (!sdk || !manifest) {
+    const telemetry = telemetryRef.current;
+    if (!telemetry) {
       return;
     }
 
-    const launchStart = launchStartTimeRef.current;
-
-    if (launched && launchStart !== null) {
-      const elapsed = sdk.getSimTime() - launchStart;
-      const thrust =
-        elapsed >= 0 && elapsed <= manifest.rocket.burnDurationSec ? manifest.rocket.thrustLbf : 0;
-      sdk.setPropertyValue(manifest.telemetry.thrustProperty, thrust);
-    }
-
-    const previousSample = latestSampleRef.current;
-    const keepRunning = sdk.run();
-    const sample = readTelemetry(sdk, manifest);
-    appendSample(sample);
-
-    if (!keepRunning) {
-      setRunning(false);
-      setLaunched(false);
-      setStatus("Simulation reached script end.");
-      return;
-    }
+    const launchStart = sdk.getSimTime() + manifest.rocket.launchDelaySec;
+    const burnoutTime = launchStart + manifest.rocket.burnDurationSec;
+    const touchdownAltitude = baselineAltitudeRef.current + manifest.rocket.touchdownAltitudeFt;
+    const once = { once: true };
 
-    if (!launched || launchStart === null) {
-      return;
-    }
-
-    const elapsed = sample.time - launchStart;
-
-    if (elapsed >= 0) {
-      completeStage("launch", sample.time);
-    }
-
-    if (elapsed > manifest.rocket.burnDurationSec) {
-      completeStage("burnout", sample.time);
-    }
-
-    if (stageStateRef.current.burnout && sample.velocity > 0) {
-      completeStage("coast", sample.time);
-    }
-
-    let apogeeDetected = false;
-    if (
-      stageStateRef.current.coast &&
-      !stageStateRef.current.apogee &&
-      previousSample &&
-      previousSample.velocity > 0 &&
-      sample.velocity <= 0
-    ) {
-      completeStage("apogee", sample.time);
-      apogeeDetected = true;
-    }
-
-    if (stageStateRef.current.apogee && sample.velocity < -0.5) {
-      completeStage("descent", sample.time);
-    }
+    sdk.watch(SIM_TIME_PROPERTY, { type: "rising", threshold: launchStart }, ({ simTime }) => {
+      completeStage("launch", simTime);
+      setStatus("Boost phase.");
+    }, once);
 
-    const touchedDown =
-      elapsed > manifest.rocket.burnDurationSec + 0.8 &&
-      sample.altitude <= manifest.rocket.touchdownAltitudeFt &&
-      sample.velocity <= 0;
+    sdk.watch(SIM_TIME_PROPERTY, { type: "rising", threshold: burnoutTime }, ({ simTime }) => {
+      completeStage("burnout", simTime);
+      if (telemetry.velocity.get() > 0) {
+        completeStage("coast", simTime);
+      }
+      setStatus("Coasting after burnout.");
+    }, once);
 
-    if (touchedDown) {
-      sdk.setPropertyValue(manifest.telemetry.thrustProperty, 0);
-      completeStage("descent", sample.time);
-      completeStage("landing", sample.time);
+    sdk.watch(manifest.telemetry.altitudeFt, { type: "derivativeSignChange", to: "negative" }, ({ simTime }) => {
+      completeStage("apogee", simTime);
+      setStatus("Apogee reached.");
+    }, once);
+
+    sdk.watch(manifest.telemetry.verticalVelocityFps, { type: "falling", threshold: -0.5 }, ({ simTime }) => {
+      completeStage("descent", simTime);
+      setStatus("Descent phase.");
+    }, once);
+
+    sdk.watch(manifest.telemetry.altitudeFt, { type: "falling", threshold: touchdownAltitude }, ({ simTime }) => {
+      telemetry.thrust.set(0);
+      completeStage("descent", simTime);
+      completeStage("landing", simTime);
+      runnerRef.current?.stop();
       setRunning(false);
       setLaunched(false);
       setStatus("Landing detected. Press Reload to launch again.");
-      return;
-    }
+    }, once);
 
-    if (elapsed < 0) {
-      setStatus("Countdown...");
-      return;
-    }
+    launchStartTimeRef.current = launchStart;
+    setLaunchConsumed(true);
+    setLaunched(true);
+    setRunning(true);
+    setStatus("Countdown...");
+  }, [completeStage, launchConsumed, loading, manifest]);
 
-    if (!stageStateRef.current.burnout) {
-      setStatus("Boost phase.");
+  const applyControls = useCallback(() => {
+    const sdk = sdkRef.current;
+    const telemetry = telemetryRef.current;
+    const launchStart = launchStartTimeRef.current;
+    if (!sdk || !telemetry || !manifest || !launched || launchStart === null) {
       return;
     }
 
-    if (apogeeDetected) {
-      setStatus("Apogee reached.");
-      return;
-    }
+    const elapsed = sdk.getSimTime() - launchStart;
+    const thrust =
+      elapsed >= 0 && elapsed <= manifest.rocket.burnDurationSec ? manifest.rocket.thrustLbf : 0;
+    telemetry.thrust.set(thrust);
+  }, [launched, manifest]);
 
-    if (!stageStateRef.current.apogee) {
-      setStatus("Coasting after burnout.");
+  const handleStop = useCallback((event: SimulationStopEvent) => {
+    refreshChart();
+    if (event.reason === "stopped") {
       return;
     }
 
-    setStatus("Descent phase.");
-  }, [appendSample, completeStage, launched, manifest, readTelemetry]);
+    setRunning(false);
+    setLaunched(false);
+    setStatus(
+      event.reason === "ended"
+        ? "Simulation reached script end."
+        : `Simulation failed: ${formatStartupError(event.error)}`,
+    );
+  }, [refreshChart]);
 
   useEffect(() => {
     void bootstrapScenario();
@@ -413,23 +416,27 @@ export default function App() {
       if (sdkRef.current) {
         sdkRef.current.destroy();
         sdkRef.current = null;
+        telemetryRef.current = null;
+        runnerRef.current = null;
+        recorderRef.current = null;
       }
     };
   }, [bootstrapScenario]);
 
   useEffect(() => {
-    if (!running || loading || !manifest || !sdkRef.current) {
+    const runner = runnerRef.current;
+    if (!running || loading || !manifest || !runner) {
       return;
     }
 
-    const timer = window.setInterval(() => {
-      runStep();
-    }, LOOP_INTERVAL_MS);
+    runner.on("beforeFrame", applyControls).on("tick", refreshChart).on("stop", handleStop);
+    runner.start();
 
     return () => {
-      window.clearInterval(timer);
+      runner.stop();
+      runner.off("beforeFrame", applyControls).off("tick", refreshChart).off("stop", handleStop);
     };
-  }, [loading, manifest, runStep, running]);
+  }, [applyControls, handleStop, loading, manifest, refreshChart, running]);
 
   const latest = samples.at(-1);
 
@@ -11,6 +11,11 @@
 #include <emscripten/val.h>
 
 #include "FGFDMExec.h"
+#include "initialization/FGInitialCondition.h"
+#include "initialization/FGTrim.h"
+#include "math/FGStateSpace.h"
+#include "input_output/FGPropertyManager.h"
+#include "models/FGPropagate.h"
 
 namespace {
 
@@ -71,6 +76,235 @@ uintptr_t toJsValue(T& value) {
   return reinterpret_cast<uintptr_t>(&value);
 }
 
+struct PropertySet {
+  std::vector<JSBSim::FGPropertyNode_ptr> nodes;
+  std::vector<double> values;
+};
+
+// Writable properties that trigger actions (trims, resets, file writes, reseeding) rather than hold state,
+// plus the initial conditions, which are not part of the running state.
+bool IsTransientStateProperty(const std::string& path) {
+  static const char* const kExcluded[] = {
+    "simulation/do_simple_trim",
+    "simulation/do_linearization",
+    "simulation/reset",
+    "simulation/terminate",
+    "simulation/randomseed",
+    "simulation/write-state-file",
+    "propulsion/set-running"
+  };
+  if (path.rfind("ic/", 0) == 0) {
+    return true;
+  }
+  for (const char* excluded : kExcluded) {
+    if (path == excluded) {
+      return true;
+    }
+  }
+  return false;
+}
+
+const char* PropertyTypeName(simgear::props::Type type) {
+  switch (type) {
+    case simgear::props::ALIAS: return "alias";
+    case simgear::props::BOOL: return "bool";
+    case simgear::props::INT: return "int";
+    case simgear::props::LONG: return "long";
+    case simgear::props::FLOAT: return "float";
+    case simgear::props::DOUBLE: return "double";
+    case simgear::props::STRING: return "string";
+    case simgear::props::UNSPECIFIED: return "unspecified";
+    case simgear::props::NONE: return "none";
+    default: return "extended";
+  }
+}
+
+void CollectStateProperties(SGPropertyNode* node, const std::string& prefix, emscripten::val& paths, emscripten::val& values) {
+  for (int i = 0; i < node->nChildren(); ++i) {
+    SGPropertyNode* child = node->getChild(i);
+    const std::string path = prefix + child->getDisplayName(true);
+    if (child->nChildren() > 0) {
+      CollectStateProperties(child, path + "/", paths, values);
+      continue;
+    }
+    switch (child->getType()) {
+      case simgear::props::BOOL:
+      case simgear::props::INT:
+      case simgear::props::LONG:
+      case simgear::props::FLOAT:
+      case simgear::props::DOUBLE:
+        break;
+      default:
+        continue;
+    }
+    if (!child->getAttribute(SGPropertyNode::READ) || !child->getAttribute(SGPropertyNode::WRITE) || IsTransientStateProperty(path)) {
+      continue;
+    }
+    paths.call<void>("push", path);
+    values.call<void>("push", child->getDoubleValue());
+  }
+}
+
+void ApplyStateProperties(JSBSim::FGFDMExec& self, const emscripten::val& paths, const emscripten::val& values) {
+  auto propertyManager = self.GetPropertyManager();
+  const unsigned length = paths["length"].as<unsigned>();
+  for (unsigned i = 0; i < length; ++i) {
+    JSBSim::FGPropertyNode* node = propertyManager->GetNode(paths[i].as<std::string>());
+    if (node && node->getAttribute(SGPropertyNode::WRITE)) {
+      node->setDoubleValue(values[i].as<double>());
+    }
+  }
+}
+
+using StateSpaceComponentFactory = JSBSim::FGStateSpace::Component* (*)();
+
+template <typename Component>
+JSBSim::FGStateSpace::Component* CreateStateSpaceComponent() {
+  return new Component();
+}
+
+// Names accepted by ComputeStateSpace, mirrored by LINEARIZATION_COMPONENTS in src/sdk/linearization.ts.
+const std::pair<const char*, StateSpaceComponentFactory> kStateSpaceComponents[] = {
+  {"vt", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Vt>},
+  {"vGround", &CreateStateSpaceComponent<JSBSim::FGStateSpace::VGround>},
+  {"accelX", &CreateStateSpaceComponent<JSBSim::FGStateSpace::AccelX>},
+  {"accelY", &CreateStateSpaceComponent<JSBSim::FGStateSpace::AccelY>},
+  {"accelZ", &CreateStateSpaceComponent<JSBSim::FGStateSpace::AccelZ>},
+  {"alpha", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Alpha>},
+  {"beta", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Beta>},
+  {"theta", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Theta>},
+  {"phi", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Phi>},
+  {"psi", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Psi>},
+  {"p", &CreateStateSpaceComponent<JSBSim::FGStateSpace::P>},
+  {"q", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Q>},
+  {"r", &CreateStateSpaceComponent<JSBSim::FGStateSpace::R>},
+  {"pi", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Pi>},
+  {"qi", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Qi>},
+  {"ri", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Ri>},
+  {"vn", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Vn>},
+  {"ve", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Ve>},
+  {"vd", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Vd>},
+  {"latitude", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Latitude>},
+  {"longitude", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Longitude>},
+  {"alt", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Alt>},
+  {"rpm0", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Rpm0>},
+  {"rpm1", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Rpm1>},
+  {"rpm2", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Rpm2>},
+  {"rpm3", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Rpm3>},
+  {"propPitch", &CreateStateSpaceComponent<JSBSim::FGStateSpace::PropPitch>},
+  {"throttleCmd", &CreateStateSpaceComponent<JSBSim::FGStateSpace::ThrottleCmd>},
+  {"throttlePos", &CreateStateSpaceComponent<JSBSim::FGStateSpace::ThrottlePos>},
+  {"daCmd", &CreateStateSpaceComponent<JSBSim::FGStateSpace::DaCmd>},
+  {"deCmd", &CreateStateSpaceComponent<JSBSim::FGStateSpace::DeCmd>},
+  {"drCmd", &CreateStateSpaceComponent<JSBSim::FGStateSpace::DrCmd>},
+  {"daPos", &CreateStateSpaceComponent<JSBSim::FGStateSpace::DaPos>},
+  {"dePos", &CreateStateSpaceComponent<JSBSim::FGStateSpace::DePos>},
+  {"drPos", &CreateStateSpaceComponent<JSBSim::FGStateSpace::DrPos>},
+};
+
+void AddStateSpaceComponents(JSBSim::FGStateSpace::ComponentVector& vector, const emscripten::val& names) {
+  const unsigned length = names["length"].as<unsigned>();
+  for (unsigned i = 0; i < length; ++i) {
+    const std::string name = names[i].as<std::string>();
+    for (const auto& [candidate, create] : kStateSpaceComponents) {
+      if (name == candidate) {
+        vector.add(create());
+        break;
+      }
+    }
+  }
+}
+
+emscripten::val DescribeStateSpaceComponents(JSBSim::FGStateSpace::ComponentVector& vector) {
+  emscripten::val names = emscripten::val::array();
+  emscripten::val units = emscripten::val::array();
+  emscripten::val values = emscripten::val::array();
+  for (unsigned i = 0; i < vector.getSize(); ++i) {
+    names.call<void>("push", vector.getName(i));
+    units.call<void>("push", vector.getUnit(i));
+    values.call<void>("push", vector.get(i));
+  }
+  emscripten::val result = emscripten::val::object();
+  result.set("names", names);
+  result.set("units", units);
+  result.set("values", values);
+  return result;
+}
+
+emscripten::val MatrixToObject(const std::vector<std::vector<double>>& matrix, unsigned columns) {
+  emscripten::val data = emscripten::val::array();
+  for (const std::vector<double>& row : matrix) {
+    for (double value : row) {
+      data.call<void>("push", value);
+    }
+  }
+  emscripten::val result = emscripten::val::object();
+  result.set("rows", static_cast<unsigned>(matrix.size()));
+  result.set("columns", columns);
+  result.set("data", data);
+  return result;
+}
+
+template <typename Vector>
+emscripten::val VectorToArray(const Vector& vector, unsigned size) {
+  emscripten::val result = emscripten::val::array();
+  for (unsigned i = 1; i <= size; ++i) {
+    result.call<void>("push", vector(i));
+  }
+  return result;
+}
+
+template <typename Vector>
+void ArrayToVector(const emscripten::val& array, Vector& vector, unsigned size) {
+  for (unsigned i = 1; i <= size; ++i) {
+    vector(i) = array[i - 1].as<double>();
+  }
+}
+
+template <typename Vector>
+emscripten::val HistoryToArray(const std::deque<Vector>& history, unsigned size) {
+  emscripten::val result = emscripten::val::array();
+  for (const Vector& entry : history) {
+    result.call<void>("push", VectorToArray(entry, size));
+  }
+  return result;
+}
+
+template <typename Vector>
+void ArrayToHistory(const emscripten::val& array, std::deque<Vector>& history, unsigned size) {
+  history.clear();
+  const unsigned length = array["length"].as<unsigned>();
+  for (unsigned i = 0; i < length; ++i) {
+    Vector entry;
+    ArrayToVector(array[i], entry, size);
+    history.push_back(entry);
+  }
+}
+
+void ApplyVehicleState(JSBSim::FGFDMExec& self, const emscripten::val& state) {
+  auto propagate = self.GetPropagate();
+  JSBSim::FGPropagate::VehicleState next = propagate->GetVState();
+  ArrayToVector(state["location"], next.vLocation, 3);
+  ArrayToVector(state["uvw"], next.vUVW, 3);
+  ArrayToVector(state["pqr"], next.vPQR, 3);
+  ArrayToVector(state["pqri"], next.vPQRi, 3);
+  ArrayToVector(state["attitudeECI"], next.qAttitudeECI, 4);
+  ArrayToVector(state["inertialVelocity"], next.vInertialVelocity, 3);
+  ArrayToVector(state["inertialPosition"], next.vInertialPosition, 3);
+  propagate->SetVState(next);
+
+  // SetVState recomputes the derived terms but leaves some members and the integrator history
+  // untouched; write those directly so the next step integrates exactly as the original run did.
+  auto& current = const_cast<JSBSim::FGPropagate::VehicleState&>(propagate->GetVState());
+  current.vPQRi = next.vPQRi;
+  current.vInertialVelocity = next.vInertialVelocity;
+  current.vInertialPosition = next.vInertialPosition;
+  ArrayToHistory(state["pqriDotHistory"], current.dqPQRidot, 3);
+  ArrayToHistory(state["uvwiDotHistory"], current.dqUVWidot, 3);
+  ArrayToHistory(state["inertialVelocityHistory"], current.dqInertialVelocity, 3);
+  ArrayToHistory(state["attitudeDotHistory"], current.dqQtrndot, 4);
+}
+
 static void wrap_FGFDMExec_Unbind_0(FGFDMExec& self) {
   self.Unbind();
 }
@@ -423,6 +657,218 @@ static auto wrap_FGFDMExec_SRand_87(FGFDMExec& self) {
   return toJsValue(self.SRand());
 }
 
+static uintptr_t wrap_FGFDMExec_ResolvePropertyNode_88(FGFDMExec& self, const std::string& property) {
+  return reinterpret_cast<uintptr_t>(self.GetPropertyManager()->GetNode(property));
+}
+
+static double wrap_FGFDMExec_GetPropertyNodeValue_89(FGFDMExec& self, uintptr_t node) {
+  return reinterpret_cast<JSBSim::FGPropertyNode*>(node)->getDoubleValue();
+}
+
+static bool wrap_FGFDMExec_SetPropertyNodeValue_90(FGFDMExec& self, uintptr_t node, double value) {
+  return reinterpret_cast<JSBSim::FGPropertyNode*>(node)->setDoubleValue(value);
+}
+
+static bool wrap_FGFDMExec_IsPropertyNodeWritable_91(FGFDMExec& self, uintptr_t node) {
+  return reinterpret_cast<JSBSim::FGPropertyNode*>(node)->getAttribute(SGPropertyNode::WRITE);
+}
+
+static uintptr_t wrap_FGFDMExec_GetPropertyRootNode_92(FGFDMExec& self) {
+  return reinterpret_cast<uintptr_t>(self.GetPropertyManager()->GetNode());
+}
+
+static emscripten::val wrap_FGFDMExec_GetPropertyNodeInfo_93(FGFDMExec& self, uintptr_t node) {
+  auto* target = reinterpret_cast<JSBSim::FGPropertyNode*>(node);
+  emscripten::val info = emscripten::val::object();
+  info.set("name", std::string(target->getDisplayName(true)));
+  info.set("path", std::string(target->getPath()));
+  info.set("type", std::string(PropertyTypeName(target->getType())));
+  info.set("attributes", target->getAttributes());
+  info.set("tied", target->isTied());
+  info.set("childCount", target->nChildren());
+  return info;
+}
+
+static emscripten::val wrap_FGFDMExec_GetPropertyNodeChildren_94(FGFDMExec& self, uintptr_t node) {
+  auto* target = reinterpret_cast<JSBSim::FGPropertyNode*>(node);
+  emscripten::val children = emscripten::val::array();
+  for (int i = 0; i < target->nChildren(); ++i) {
+    children.call<void>("push", reinterpret_cast<uintptr_t>(target->getChild(i)));
+  }
+  return children;
+}
+
+static std::string wrap_FGFDMExec_GetPropertyNodeString_95(FGFDMExec& self, uintptr_t node) {
+  return std::string(reinterpret_cast<JSBSim::FGPropertyNode*>(node)->getStringValue());
+}
+
+static bool wrap_FGFDMExec_SetPropertyNodeString_96(FGFDMExec& self, uintptr_t node, const std::string& value) {
+  return reinterpret_cast<JSBSim::FGPropertyNode*>(node)->setStringValue(value.c_str());
+}
+
+static void wrap_FGFDMExec_SetPropertyNodeAttribute_97(FGFDMExec& self, uintptr_t node, int attribute, bool state) {
+  reinterpret_cast<JSBSim::FGPropertyNode*>(node)->setAttribute(static_cast<SGPropertyNode::Attribute>(attribute), state);
+}
+
+static bool wrap_FGFDMExec_LoadInitialConditions_98(FGFDMExec& self, const std::string& path, bool useAircraftPath) {
+  return self.GetIC()->Load(SGPath(path), useAircraftPath);
+}
+
+static emscripten::val wrap_FGFDMExec_RunTrim_99(FGFDMExec& self, int mode, emscripten::val states, emscripten::val controls, double tolerance, int maxIterations) {
+  JSBSim::FGTrim trim(&self, static_cast<JSBSim::TrimMode>(mode));
+  const unsigned length = states["length"].as<unsigned>();
+  for (unsigned i = 0; i < length; ++i) {
+    const auto state = static_cast<JSBSim::State>(states[i].as<int>());
+    const auto control = static_cast<JSBSim::Control>(controls[i].as<int>());
+    if (!trim.EditState(state, control)) {
+      trim.AddState(state, control);
+    }
+  }
+  if (tolerance > 0) {
+    trim.SetTolerance(tolerance);
+  }
+  if (maxIterations > 0) {
+    trim.SetMaxCycles(maxIterations);
+  }
+  const bool success = trim.DoTrim();
+
+  emscripten::val axes = emscripten::val::array();
+  for (JSBSim::FGTrimAxis& axis : trim.GetAxes()) {
+    emscripten::val entry = emscripten::val::object();
+    entry.set("state", static_cast<int>(axis.GetStateType()));
+    entry.set("control", static_cast<int>(axis.GetControlType()));
+    entry.set("residual", axis.GetState());
+    entry.set("tolerance", axis.GetTolerance());
+    entry.set("value", axis.GetControl());
+    axes.call<void>("push", entry);
+  }
+  emscripten::val result = emscripten::val::object();
+  result.set("success", success);
+  result.set("iterations", trim.GetIterations());
+  result.set("axes", axes);
+  return result;
+}
+
+static emscripten::val wrap_FGFDMExec_ComputeStateSpace_100(FGFDMExec& self, emscripten::val states, emscripten::val inputs, emscripten::val outputs) {
+  JSBSim::FGStateSpace stateSpace(&self);
+  AddStateSpaceComponents(stateSpace.x, states);
+  AddStateSpaceComponents(stateSpace.u, inputs);
+  AddStateSpaceComponents(stateSpace.y, outputs);
+
+  emscripten::val result = emscripten::val::object();
+  result.set("states", DescribeStateSpaceComponents(stateSpace.x));
+  result.set("inputs", DescribeStateSpaceComponents(stateSpace.u));
+  result.set("outputs", DescribeStateSpaceComponents(stateSpace.y));
+
+  // linearize() perturbs the model with its own time step; restore the caller's afterwards.
+  const double deltaT = self.GetDeltaT();
+  std::vector<std::vector<double>> A, B, C, D;
+  stateSpace.linearize(stateSpace.x.get(), stateSpace.u.get(), stateSpace.y.get(), A, B, C, D);
+  self.Setdt(deltaT);
+
+  const unsigned stateCount = static_cast<unsigned>(stateSpace.x.getSize());
+  const unsigned inputCount = static_cast<unsigned>(stateSpace.u.getSize());
+  result.set("A", MatrixToObject(A, stateCount));
+  result.set("B", MatrixToObject(B, inputCount));
+  result.set("C", MatrixToObject(C, stateCount));
+  result.set("D", MatrixToObject(D, inputCount));
+  return result;
+}
+
+static uintptr_t wrap_FGFDMExec_CreatePropertySet_101(FGFDMExec& self) {
+  return reinterpret_cast<uintptr_t>(new PropertySet());
+}
+
+static void wrap_FGFDMExec_DestroyPropertySet_102(FGFDMExec& self, uintptr_t set) {
+  delete reinterpret_cast<PropertySet*>(set);
+}
+
+static int wrap_FGFDMExec_AddPropertySetNode_103(FGFDMExec& self, uintptr_t set, uintptr_t node) {
+  auto* target = reinterpret_cast<PropertySet*>(set);
+  auto* property = reinterpret_cast<JSBSim::FGPropertyNode*>(node);
+  target->nodes.emplace_back(property);
+  target->values.push_back(property->getDoubleValue());
+  return static_cast<int>(target->nodes.size() - 1);
+}
+
+static uintptr_t wrap_FGFDMExec_ReadPropertySet_104(FGFDMExec& self, uintptr_t set) {
+  auto* target = reinterpret_cast<PropertySet*>(set);
+  for (std::size_t i = 0; i < target->nodes.size(); ++i) {
+    target->values[i] = target->nodes[i]->getDoubleValue();
+  }
+  return reinterpret_cast<uintptr_t>(target->values.data());
+}
+
+static void wrap_FGFDMExec_WritePropertySet_105(FGFDMExec& self, uintptr_t set) {
+  auto* target = reinterpret_cast<PropertySet*>(set);
+  for (std::size_t i = 0; i < target->nodes.size(); ++i) {
+    target->nodes[i]->setDoubleValue(target->values[i]);
+  }
+}
+
+static uintptr_t wrap_FGFDMExec_GetPropertySetData_106(FGFDMExec& self, uintptr_t set) {
+  return reinterpret_cast<uintptr_t>(reinterpret_cast<PropertySet*>(set)->values.data());
+}
+
+static emscripten::val wrap_FGFDMExec_RunFrames_107(FGFDMExec& self, int steps) {
+  int frames = 0;
+  bool keepRunning = true;
+  while (frames < steps && keepRunning) {
+    keepRunning = self.Run();
+    ++frames;
+  }
+  emscripten::val result = emscripten::val::object();
+  result.set("frames", frames);
+  result.set("ended", !keepRunning);
+  return result;
+}
+
+static emscripten::val wrap_FGFDMExec_CaptureSimulationState_108(FGFDMExec& self) {
+  emscripten::val paths = emscripten::val::array();
+  emscripten::val values = emscripten::val::array();
+  CollectStateProperties(self.GetPropertyManager()->GetNode(), "", paths, values);
+
+  const JSBSim::FGPropagate::VehicleState& state = self.GetPropagate()->GetVState();
+  emscripten::val vehicle = emscripten::val::object();
+  vehicle.set("location", VectorToArray(state.vLocation, 3));
+  vehicle.set("uvw", VectorToArray(state.vUVW, 3));
+  vehicle.set("pqr", VectorToArray(state.vPQR, 3));
+  vehicle.set("pqri", VectorToArray(state.vPQRi, 3));
+  vehicle.set("attitudeECI", VectorToArray(state.qAttitudeECI, 4));
+  vehicle.set("inertialVelocity", VectorToArray(state.vInertialVelocity, 3));
+  vehicle.set("inertialPosition", VectorToArray(state.vInertialPosition, 3));
+  vehicle.set("pqriDotHistory", HistoryToArray(state.dqPQRidot, 3));
+  vehicle.set("uvwiDotHistory", HistoryToArray(state.dqUVWidot, 3));
+  vehicle.set("inertialVelocityHistory", HistoryToArray(state.dqInertialVelocity, 3));
+  vehicle.set("attitudeDotHistory", HistoryToArray(state.dqQtrndot, 4));
+
+  emscripten::val result = emscripten::val::object();
+  result.set("simTime", self.GetSimTime());
+  result.set("frame", self.GetFrame());
+  result.set("deltaT", self.GetDeltaT());
+  result.set("paths", paths);
+  result.set("values", values);
+  result.set("vehicle", vehicle);
+  return result;
+}
+
+static void wrap_FGFDMExec_ApplySimulationState_109(FGFDMExec& self, emscripten::val state) {
+  self.Setdt(state["deltaT"].as<double>());
+  ApplyStateProperties(self, state["paths"], state["values"]);
+  ApplyVehicleState(self, state["vehicle"]);
+
+  // Re-run every model without integrating so derived quantities match the restored state,
+  // then restore again in case the zero-length step overwrote outputs or the derivative history.
+  // FGOutput runs too, so enabled outputs log one row for the restored state.
+  self.SuspendIntegration();
+  self.Run();
+  self.ResumeIntegration();
+  ApplyStateProperties(self, state["paths"], state["values"]);
+  ApplyVehicleState(self, state["vehicle"]);
+  self.Setsim_time(state["simTime"].as<double>());
+  self.SetFrame(state["frame"].as<unsigned int>());
+}
+
 }  // namespace
 
 EMSCRIPTEN_BINDINGS(jsbsim_fgfmdexec_bindings) {
@@ -515,5 +961,27 @@ EMSCRIPTEN_BINDINGS(jsbsim_fgfmdexec_bindings) {
     .function("GetTemplateFunc", &wrap_FGFDMExec_GetTemplateFunc_84)
     .function("AddTemplateFunc", &wrap_FGFDMExec_AddTemplateFunc_85)
     .function("GetRandomGenerator", &wrap_FGFDMExec_GetRandomGenerator_86)
-    .function("SRand", &wrap_FGFDMExec_SRand_87);
+    .function("SRand", &wrap_FGFDMExec_SRand_87)
+    .function("ResolvePropertyNode", &wrap_FGFDMExec_ResolvePropertyNode_88)
+    .function("GetPropertyNodeValue", &wrap_FGFDMExec_GetPropertyNodeValue_89)
+    .function("SetPropertyNodeValue", &wrap_FGFDMExec_SetPropertyNodeValue_90)
+    .function("IsPropertyNodeWritable", &wrap_FGFDMExec_IsPropertyNodeWritable_91)
+    .function("GetPropertyRootNode", &wrap_FGFDMExec_GetPropertyRootNode_92)
+    .function("GetPropertyNodeInfo", &wrap_FGFDMExec_GetPropertyNodeInfo_93)
+    .function("GetPropertyNodeChildren", &wrap_FGFDMExec_GetPropertyNodeChildren_94)
+    .function("GetPropertyNodeString", &wrap_FGFDMExec_GetPropertyNodeString_95)
+    .function("SetPropertyNodeString", &wrap_FGFDMExec_SetPropertyNodeString_96)
+    .function("SetPropertyNodeAttribute", &wrap_FGFDMExec_SetPropertyNodeAttribute_97)
+    .function("LoadInitialConditions", &wrap_FGFDMExec_LoadInitialConditions_98)
+    .function("RunTrim", &wrap_FGFDMExec_RunTrim_99)
+    .function("ComputeStateSpace", &wrap_FGFDMExec_ComputeStateSpace_100)
+    .function("CreatePropertySet", &wrap_FGFDMExec_CreatePropertySet_101)
+    .function("DestroyPropertySet", &wrap_FGFDMExec_DestroyPropertySet_102)
+    .function("AddPropertySetNode", &wrap_FGFDMExec_AddPropertySetNode_103)
+    .function("ReadPropertySet", &wrap_FGFDMExec_ReadPropertySet_104)
+    .function("WritePropertySet", &wrap_FGFDMExec_WritePropertySet_105)
+    .function("GetPropertySetData", &wrap_FGFDMExec_GetPropertySetData_106)
+    .function("RunFrames", &wrap_FGFDMExec_RunFrames_107)
+    .function("CaptureSimulationState", &wrap_FGFDMExec_CaptureSimulationState_108)
+    .function("ApplySimulationState", &wrap_FGFDMExec_ApplySimulationState_109);
 }
@@ -0,0 +1,849 @@
+// Hand-written FGFDMExec bindings that have no direct counterpart in FGFDMExec.h.
+// They are emitted next to the AST-derived methods so the embind surface, the
+// FGFDMExecApi interface and JSBSimApi stay in a single generated unit.
+
+import { methodKey } from "./signature.mjs";
+
+export const EXTENSION_INCLUDES = [
+  "initialization/FGInitialCondition.h",
+  "initialization/FGTrim.h",
+  "math/FGStateSpace.h",
+  "input_output/FGPropertyManager.h",
+  "models/FGPropagate.h"
+];
+
+export const EXTENSION_SUPPORT_CODE = [
+  "struct PropertySet {",
+  "  std::vector<JSBSim::FGPropertyNode_ptr> nodes;",
+  "  std::vector<double> values;",
+  "};",
+  "",
+  "// Writable properties that trigger actions (trims, resets, file writes, reseeding) rather than hold state,",
+  "// plus the initial conditions, which are not part of the running state.",
+  "bool IsTransientStateProperty(const std::string& path) {",
+  "  static const char* const kExcluded[] = {",
+  "    \"simulation/do_simple_trim\",",
+  "    \"simulation/do_linearization\",",
+  "    \"simulation/reset\",",
+  "    \"simulation/terminate\",",
+  "    \"simulation/randomseed\",",
+  "    \"simulation/write-state-file\",",
+  "    \"propulsion/set-running\"",
+  "  };",
+  "  if (path.rfind(\"ic/\", 0) == 0) {",
+  "    return true;",
+  "  }",
+  "  for (const char* excluded : kExcluded) {",
+  "    if (path == excluded) {",
+  "      return true;",
+  "    }",
+  "  }",
+  "  return false;",
+  "}",
+  "",
+  "const char* PropertyTypeName(simgear::props::Type type) {",
+  "  switch (type) {",
+  "    case simgear::props::ALIAS: return \"alias\";",
+  "    case simgear::props::BOOL: return \"bool\";",
+  "    case simgear::props::INT: return \"int\";",
+  "    case simgear::props::LONG: return \"long\";",
+  "    case simgear::props::FLOAT: return \"float\";",
+  "    case simgear::props::DOUBLE: return \"double\";",
+  "    case simgear::props::STRING: return \"string\";",
+  "    case simgear::props::UNSPECIFIED: return \"unspecified\";",
+  "    case simgear::props::NONE: return \"none\";",
+  "    default: return \"extended\";",
+  "  }",
+  "}",
+  "",
+  "void CollectStateProperties(SGPropertyNode* node, const std::string& prefix, emscripten::val& paths, emscripten::val& values) {",
+  "  for (int i = 0; i < node->nChildren(); ++i) {",
+  "    SGPropertyNode* child = node->getChild(i);",
+  "    const std::string path = prefix + child->getDisplayName(true);",
+  "    if (child->nChildren() > 0) {",
+  "      CollectStateProperties(child, path + \"/\", paths, values);",
+  "      continue;",
+  "    }",
+  "    switch (child->getType()) {",
+  "      case simgear::props::BOOL:",
+  "      case simgear::props::INT:",
+  "      case simgear::props::LONG:",
+  "      case simgear::props::FLOAT:",
+  "      case simgear::props::DOUBLE:",
+  "        break;",
+  "      default:",
+  "        continue;",
+  "    }",
+  "    if (!child->getAttribute(SGPropertyNode::READ) || !child->getAttribute(SGPropertyNode::WRITE) || IsTransientStateProperty(path)) {",
+  "      continue;",
+  "    }",
+  "    paths.call<void>(\"push\", path);",
+  "    values.call<void>(\"push\", child->getDoubleValue());",
+  "  }",
+  "}",
+  "",
+  "void ApplyStateProperties(JSBSim::FGFDMExec& self, const emscripten::val& paths, const emscripten::val& values) {",
+  "  auto propertyManager = self.GetPropertyManager();",
+  "  const unsigned length = paths[\"length\"].as<unsigned>();",
+  "  for (unsigned i = 0; i < length; ++i) {",
+  "    JSBSim::FGPropertyNode* node = propertyManager->GetNode(paths[i].as<std::string>());",
+  "    if (node && node->getAttribute(SGPropertyNode::WRITE)) {",
+  "      node->setDoubleValue(values[i].as<double>());",
+  "    }",
+  "  }",
+  "}",
+  "",
+  "using StateSpaceComponentFactory = JSBSim::FGStateSpace::Component* (*)();",
+  "",
+  "template <typename Component>",
+  "JSBSim::FGStateSpace::Component* CreateStateSpaceComponent() {",
+  "  return new Component();",
+  "}",
+  "",
+  "// Names accepted by ComputeStateSpace, mirrored by LINEARIZATION_COMPONENTS in src/sdk/linearization.ts.",
+  "const std::pair<const char*, StateSpaceComponentFactory> kStateSpaceComponents[] = {",
+  "  {\"vt\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Vt>},",
+  "  {\"vGround\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::VGround>},",
+  "  {\"accelX\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::AccelX>},",
+  "  {\"accelY\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::AccelY>},",
+  "  {\"accelZ\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::AccelZ>},",
+  "  {\"alpha\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Alpha>},",
+  "  {\"beta\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Beta>},",
+  "  {\"theta\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Theta>},",
+  "  {\"phi\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Phi>},",
+  "  {\"psi\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Psi>},",
+  "  {\"p\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::P>},",
+  "  {\"q\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Q>},",
+  "  {\"r\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::R>},",
+  "  {\"pi\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Pi>},",
+  "  {\"qi\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Qi>},",
+  "  {\"ri\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Ri>},",
+  "  {\"vn\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Vn>},",
+  "  {\"ve\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Ve>},",
+  "  {\"vd\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Vd>},",
+  "  {\"latitude\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Latitude>},",
+  "  {\"longitude\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Longitude>},",
+  "  {\"alt\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Alt>},",
+  "  {\"rpm0\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Rpm0>},",
+  "  {\"rpm1\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Rpm1>},",
+  "  {\"rpm2\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Rpm2>},",
+  "  {\"rpm3\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::Rpm3>},",
+  "  {\"propPitch\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::PropPitch>},",
+  "  {\"throttleCmd\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::ThrottleCmd>},",
+  "  {\"throttlePos\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::ThrottlePos>},",
+  "  {\"daCmd\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::DaCmd>},",
+  "  {\"deCmd\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::DeCmd>},",
+  "  {\"drCmd\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::DrCmd>},",
+  "  {\"daPos\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::DaPos>},",
+  "  {\"dePos\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::DePos>},",
+  "  {\"drPos\", &CreateStateSpaceComponent<JSBSim::FGStateSpace::DrPos>},",
+  "};",
+  "",
+  "void AddStateSpaceComponents(JSBSim::FGStateSpace::ComponentVector& vector, const emscripten::val& names) {",
+  "  const unsigned length = names[\"length\"].as<unsigned>();",
+  "  for (unsigned i = 0; i < length; ++i) {",
+  "    const std::string name = names[i].as<std::string>();",
+  "    for (const auto& [candidate, create] : kStateSpaceComponents) {",
+  "      if (name == candidate) {",
+  "        vector.add(create());",
+  "        break;",
+  "      }",
+  "    }",
+  "  }",
+  "}",
+  "",
+  "emscripten::val DescribeStateSpaceComponents(JSBSim::FGStateSpace::ComponentVector& vector) {",
+  "  emscripten::val names = emscripten::val::array();",
+  "  emscripten::val units = emscripten::val::array();",
+  "  emscripten::val values = emscripten::val::array();",
+  "  for (unsigned i = 0; i < vector.getSize(); ++i) {",
+  "    names.call<void>(\"push\", vector.getName(i));",
+  "    units.call<void>(\"push\", vector.getUnit(i));",
+  "    values.call<void>(\"push\", vector.get(i));",
+  "  }",
+  "  emscripten::val result = emscripten::val::object();",
+  "  result.set(\"names\", names);",
+  "  result.set(\"units\", units);",
+  "  result.set(\"values\", values);",
+  "  return result;",
+  "}",
+  "",
+  "emscripten::val MatrixToObject(const std::vector<std::vector<double>>& matrix, unsigned columns) {",
+  "  emscripten::val data = emscripten::val::array();",
+  "  for (const std::vector<double>& row : matrix) {",
+  "    for (double value : row) {",
+  "      data.call<void>(\"push\", value);",
+  "    }",
+  "  }",
+  "  emscripten::val result = emscripten::val::object();",
+  "  result.set(\"rows\", static_cast<unsigned>(matrix.size()));",
+  "  result.set(\"columns\", columns);",
+  "  result.set(\"data\", data);",
+  "  return result;",
+  "}",
+  "",
+  "template <typename Vector>",
+  "emscripten::val VectorToArray(const Vector& vector, unsigned size) {",
+  "  emscripten::val result = emscripten::val::array();",
+  "  for (unsigned i = 1; i <= size; ++i) {",
+  "    result.call<void>(\"push\", vector(i));",
+  "  }",
+  "  return result;",
+  "}",
+  "",
+  "template <typename Vector>",
+  "void ArrayToVector(const emscripten::val& array, Vector& vector, unsigned size) {",
+  "  for (unsigned i = 1; i <= size; ++i) {",
+  "    vector(i) = array[i - 1].as<double>();",
+  "  }",
+  "}",
+  "",
+  "template <typename Vector>",
+  "emscripten::val HistoryToArray(const std::deque<Vector>& history, unsigned size) {",
+  "  emscripten::val result = emscripten::val::array();",
+  "  for (const Vector& entry : history) {",
+  "    result.call<void>(\"push\", VectorToArray(entry, size));",
+  "  }",
+  "  return result;",
+  "}",
+  "",
+  "template <typename Vector>",
+  "void ArrayToHistory(const emscripten::val& array, std::deque<Vector>& history, unsigned size) {",
+  "  history.clear();",
+  "  const unsigned length = array[\"length\"].as<unsigned>();",
+  "  for (unsigned i = 0; i < length; ++i) {",
+  "    Vector entry;",
+  "    ArrayToVector(array[i], entry, size);",
+  "    history.push_back(entry);",
+  "  }",
+  "}",
+  "",
+  "void ApplyVehicleState(JSBSim::FGFDMExec& self, const emscripten::val& state) {",
+  "  auto propagate = self.GetPropagate();",
+  "  JSBSim::FGPropagate::VehicleState next = propagate->GetVState();",
+  "  ArrayToVector(state[\"location\"], next.vLocation, 3);",
+  "  ArrayToVector(state[\"uvw\"], next.vUVW, 3);",
+  "  ArrayToVector(state[\"pqr\"], next.vPQR, 3);",
+  "  ArrayToVector(state[\"pqri\"], next.vPQRi, 3);",
+  "  ArrayToVector(state[\"attitudeECI\"], next.qAttitudeECI, 4);",
+  "  ArrayToVector(state[\"inertialVelocity\"], next.vInertialVelocity, 3);",
+  "  ArrayToVector(state[\"inertialPosition\"], next.vInertialPosition, 3);",
+  "  propagate->SetVState(next);",
+  "",
+  "  // SetVState recomputes the derived terms but leaves some members and the integrator history",
+  "  // untouched; write those directly so the next step integrates exactly as the original run did.",
+  "  auto& current = const_cast<JSBSim::FGPropagate::VehicleState&>(propagate->GetVState());",
+  "  current.vPQRi = next.vPQRi;",
+  "  current.vInertialVelocity = next.vInertialVelocity;",
+  "  current.vInertialPosition = next.vInertialPosition;",
+  "  ArrayToHistory(state[\"pqriDotHistory\"], current.dqPQRidot, 3);",
+  "  ArrayToHistory(state[\"uvwiDotHistory\"], current.dqUVWidot, 3);",
+  "  ArrayToHistory(state[\"inertialVelocityHistory\"], current.dqInertialVelocity, 3);",
+  "  ArrayToHistory(state[\"attitudeDotHistory\"], current.dqQtrndot, 4);",
+  "}"
+];
+
+export const EXTENSION_TS_TYPES = [
+  "export const PropertyAttribute = {",
+  "  READ: 1,",
+  "  WRITE: 2,",
+  "  ARCHIVE: 4,",
+  "  REMOVED: 8,",
+  "  TRACE_READ: 16,",
+  "  TRACE_WRITE: 32,",
+  "  USERARCHIVE: 64,",
+  "  PRESERVE: 128,",
+  "} as const;",
+  "export type PropertyAttribute = number;",
+  "export type PropertyAttributeFlag = (typeof PropertyAttribute)[keyof typeof PropertyAttribute];",
+  "",
+  "export type PropertyNodeType = \"none\" | \"alias\" | \"bool\" | \"int\" | \"long\" | \"float\" | \"double\" | \"string\" | \"unspecified\" | \"extended\";",
+  "",
+  "export interface PropertyNodeInfo {",
+  "  name: string;",
+  "  path: string;",
+  "  type: PropertyNodeType;",
+  "  attributes: PropertyAttribute;",
+  "  tied: boolean;",
+  "  childCount: number;",
+  "}",
+  "",
+  "export const TrimState = {",
+  "  tUdot: 1,",
+  "  tVdot: 2,",
+  "  tWdot: 3,",
+  "  tQdot: 4,",
+  "  tPdot: 5,",
+  "  tRdot: 6,",
+  "  tHmgt: 7,",
+  "  tNlf: 8,",
+  "} as const;",
+  "export type TrimState = (typeof TrimState)[keyof typeof TrimState];",
+  "",
+  "export const TrimControl = {",
+  "  tThrottle: 0,",
+  "  tBeta: 1,",
+  "  tAlpha: 2,",
+  "  tElevator: 3,",
+  "  tAileron: 4,",
+  "  tRudder: 5,",
+  "  tAltAGL: 6,",
+  "  tTheta: 7,",
+  "  tPhi: 8,",
+  "  tGamma: 9,",
+  "  tPitchTrim: 10,",
+  "  tRollTrim: 11,",
+  "  tYawTrim: 12,",
+  "  tHeading: 13,",
+  "} as const;",
+  "export type TrimControl = (typeof TrimControl)[keyof typeof TrimControl];",
+  "",
+  "export interface TrimAxisData {",
+  "  state: TrimState;",
+  "  control: TrimControl;",
+  "  residual: number;",
+  "  tolerance: number;",
+  "  value: number;",
+  "}",
+  "",
+  "export interface TrimRunData {",
+  "  success: boolean;",
+  "  iterations: number;",
+  "  axes: TrimAxisData[];",
+  "}",
+  "",
+  "export interface StateSpaceComponentsData {",
+  "  names: string[];",
+  "  units: string[];",
+  "  values: number[];",
+  "}",
+  "",
+  "export interface StateSpaceMatrixData {",
+  "  rows: number;",
+  "  columns: number;",
+  "  data: number[];",
+  "}",
+  "",
+  "export interface StateSpaceData {",
+  "  states: StateSpaceComponentsData;",
+  "  inputs: StateSpaceComponentsData;",
+  "  outputs: StateSpaceComponentsData;",
+  "  A: StateSpaceMatrixData;",
+  "  B: StateSpaceMatrixData;",
+  "  C: StateSpaceMatrixData;",
+  "  D: StateSpaceMatrixData;",
+  "}",
+  "",
+  "export interface RunFramesResult {",
+  "  frames: number;",
+  "  ended: boolean;",
+  "}",
+  "",
+  "export interface VehicleStateData {",
+  "  location: number[];",
+  "  uvw: number[];",
+  "  pqr: number[];",
+  "  pqri: number[];",
+  "  attitudeECI: number[];",
+  "  inertialVelocity: number[];",
+  "  inertialPosition: number[];",
+  "  pqriDotHistory: number[][];",
+  "  uvwiDotHistory: number[][];",
+  "  inertialVelocityHistory: number[][];",
+  "  attitudeDotHistory: number[][];",
+  "}",
+  "",
+  "export interface SimulationStateData {",
+  "  simTime: number;",
+  "  frame: number;",
+  "  deltaT: number;",
+  "  paths: string[];",
+  "  values: number[];",
+  "  vehicle: VehicleStateData;",
+  "}"
+];
+
+function param(name, type) {
+  return { name, type, defaultValue: null };
+}
+
+function jsDoc(descriptionLines, paramDocs = [], returns = "") {
+  return { descriptionLines, paramDocs, returns };
+}
+
+export const EXTENSION_METHODS = [
+  {
+    name: "ResolvePropertyNode",
+    returnType: "uintptr_t",
+    params: [param("property", "const std::string&")],
+    cppBody: [
+      "return reinterpret_cast<uintptr_t>(self.GetPropertyManager()->GetNode(property));"
+    ],
+    jsDoc: jsDoc(
+      ["Looks up a property node once so it can be read and written without repeating the path lookup."],
+      [{ name: "property", text: "the name of the property" }],
+      "an opaque node handle, or 0 if the property does not exist."
+    )
+  },
+  {
+    name: "GetPropertyNodeValue",
+    returnType: "double",
+    params: [param("node", "uintptr_t")],
+    cppBody: [
+      "return reinterpret_cast<JSBSim::FGPropertyNode*>(node)->getDoubleValue();"
+    ],
+    jsDoc: jsDoc(
+      ["Retrieves the value of a property node resolved by ResolvePropertyNode."],
+      [{ name: "node", text: "the node handle" }]
+    )
+  },
+  {
+    name: "SetPropertyNodeValue",
+    returnType: "bool",
+    params: [param("node", "uintptr_t"), param("value", "double")],
+    cppBody: [
+      "return reinterpret_cast<JSBSim::FGPropertyNode*>(node)->setDoubleValue(value);"
+    ],
+    jsDoc: jsDoc(
+      ["Sets the value of a property node resolved by ResolvePropertyNode."],
+      [
+        { name: "node", text: "the node handle" },
+        { name: "value", text: "the value to set the property to" }
+      ],
+      "true if the value was accepted by the node."
+    )
+  },
+  {
+    name: "IsPropertyNodeWritable",
+    returnType: "bool",
+    params: [param("node", "uintptr_t")],
+    cppBody: [
+      "return reinterpret_cast<JSBSim::FGPropertyNode*>(node)->getAttribute(SGPropertyNode::WRITE);"
+    ],
+    jsDoc: jsDoc(
+      ["Returns true if the property node accepts writes."],
+      [{ name: "node", text: "the node handle" }]
+    )
+  },
+  {
+    name: "GetPropertyRootNode",
+    returnType: "uintptr_t",
+    params: [],
+    cppBody: [
+      "return reinterpret_cast<uintptr_t>(self.GetPropertyManager()->GetNode());"
+    ],
+    jsDoc: jsDoc(
+      ["Returns the root of the property tree."],
+      [],
+      "an opaque node handle."
+    )
+  },
+  {
+    name: "GetPropertyNodeInfo",
+    returnType: "emscripten::val",
+    tsReturnType: "PropertyNodeInfo",
+    params: [param("node", "uintptr_t")],
+    cppBody: [
+      "auto* target = reinterpret_cast<JSBSim::FGPropertyNode*>(node);",
+      "emscripten::val info = emscripten::val::object();",
+      "info.set(\"name\", std::string(target->getDisplayName(true)));",
+      "info.set(\"path\", std::string(target->getPath()));",
+      "info.set(\"type\", std::string(PropertyTypeName(target->getType())));",
+      "info.set(\"attributes\", target->getAttributes());",
+      "info.set(\"tied\", target->isTied());",
+      "info.set(\"childCount\", target->nChildren());",
+      "return info;"
+    ],
+    jsDoc: jsDoc(
+      ["Describes a property node: its indexed name, absolute path, value type, attribute flags and tied status."],
+      [{ name: "node", text: "the node handle" }]
+    )
+  },
+  {
+    name: "GetPropertyNodeChildren",
+    returnType: "emscripten::val",
+    tsReturnType: "number[]",
+    params: [param("node", "uintptr_t")],
+    cppBody: [
+      "auto* target = reinterpret_cast<JSBSim::FGPropertyNode*>(node);",
+      "emscripten::val children = emscripten::val::array();",
+      "for (int i = 0; i < target->nChildren(); ++i) {",
+      "  children.call<void>(\"push\", reinterpret_cast<uintptr_t>(target->getChild(i)));",
+      "}",
+      "return children;"
+    ],
+    jsDoc: jsDoc(
+      ["Lists the children of a property node in creation order."],
+      [{ name: "node", text: "the node handle" }],
+      "the child node handles."
+    )
+  },
+  {
+    name: "GetPropertyNodeString",
+    returnType: "std::string",
+    params: [param("node", "uintptr_t")],
+    cppBody: [
+      "return std::string(reinterpret_cast<JSBSim::FGPropertyNode*>(node)->getStringValue());"
+    ],
+    jsDoc: jsDoc(
+      ["Retrieves the value of a property node as a string, converting numeric values."],
+      [{ name: "node", text: "the node handle" }]
+    )
+  },
+  {
+    name: "SetPropertyNodeString",
+    returnType: "bool",
+    params: [param("node", "uintptr_t"), param("value", "const std::string&")],
+    cppBody: [
+      "return reinterpret_cast<JSBSim::FGPropertyNode*>(node)->setStringValue(value.c_str());"
+    ],
+    jsDoc: jsDoc(
+      ["Sets the value of a property node from a string, converting it to the node's type."],
+      [
+        { name: "node", text: "the node handle" },
+        { name: "value", text: "the value to set the property to" }
+      ],
+      "true if the value was accepted by the node."
+    )
+  },
+  {
+    name: "SetPropertyNodeAttribute",
+    returnType: "void",
+    tsParamTypes: { 1: "PropertyAttributeFlag" },
+    params: [param("node", "uintptr_t"), param("attribute", "int"), param("state", "bool")],
+    cppBody: [
+      "reinterpret_cast<JSBSim::FGPropertyNode*>(node)->setAttribute(static_cast<SGPropertyNode::Attribute>(attribute), state);"
+    ],
+    jsDoc: jsDoc(
+      ["Sets or clears one attribute flag of a property node."],
+      [
+        { name: "node", text: "the node handle" },
+        { name: "attribute", text: "the PropertyAttribute flag" },
+        { name: "state", text: "true to set the flag, false to clear it" }
+      ]
+    )
+  },
+  {
+    name: "LoadInitialConditions",
+    returnType: "bool",
+    params: [param("path", "const std::string&"), param("useAircraftPath", "bool")],
+    cppBody: [
+      "return self.GetIC()->Load(SGPath(path), useAircraftPath);"
+    ],
+    jsDoc: jsDoc(
+      ["Reads an initialization file into the initial conditions without running them."],
+      [
+        { name: "path", text: "the initialization file" },
+        { name: "useAircraftPath", text: "resolve a relative path against the aircraft directory" }
+      ],
+      "true if the file was loaded."
+    )
+  },
+  {
+    name: "RunTrim",
+    returnType: "emscripten::val",
+    tsReturnType: "TrimRunData",
+    tsParamTypes: { 0: "TrimMode", 1: "TrimState[]", 2: "TrimControl[]" },
+    params: [
+      param("mode", "int"),
+      param("states", "emscripten::val"),
+      param("controls", "emscripten::val"),
+      param("tolerance", "double"),
+      param("maxIterations", "int")
+    ],
+    cppBody: [
+      "JSBSim::FGTrim trim(&self, static_cast<JSBSim::TrimMode>(mode));",
+      "const unsigned length = states[\"length\"].as<unsigned>();",
+      "for (unsigned i = 0; i < length; ++i) {",
+      "  const auto state = static_cast<JSBSim::State>(states[i].as<int>());",
+      "  const auto control = static_cast<JSBSim::Control>(controls[i].as<int>());",
+      "  if (!trim.EditState(state, control)) {",
+      "    trim.AddState(state, control);",
+      "  }",
+      "}",
+      "if (tolerance > 0) {",
+      "  trim.SetTolerance(tolerance);",
+      "}",
+      "if (maxIterations > 0) {",
+      "  trim.SetMaxCycles(maxIterations);",
+      "}",
+      "const bool success = trim.DoTrim();",
+      "",
+      "emscripten::val axes = emscripten::val::array();",
+      "for (JSBSim::FGTrimAxis& axis : trim.GetAxes()) {",
+      "  emscripten::val entry = emscripten::val::object();",
+      "  entry.set(\"state\", static_cast<int>(axis.GetStateType()));",
+      "  entry.set(\"control\", static_cast<int>(axis.GetControlType()));",
+      "  entry.set(\"residual\", axis.GetState());",
+      "  entry.set(\"tolerance\", axis.GetTolerance());",
+      "  entry.set(\"value\", axis.GetControl());",
+      "  axes.call<void>(\"push\", entry);",
+      "}",
+      "emscripten::val result = emscripten::val::object();",
+      "result.set(\"success\", success);",
+      "result.set(\"iterations\", trim.GetIterations());",
+      "result.set(\"axes\", axes);",
+      "return result;"
+    ],
+    jsDoc: jsDoc(
+      [
+        "Trims with a dedicated FGTrim and reports the outcome instead of throwing on failure.",
+        "The states and controls arrays pair up by index: each pair replaces the control the mode uses for",
+        "that state, or adds the state. In tCustom mode they are the only trim axes."
+      ],
+      [
+        { name: "mode", text: "the trim mode" },
+        { name: "states", text: "the trim states to add or edit" },
+        { name: "controls", text: "the control adjusted for each state" },
+        { name: "tolerance", text: "the convergence tolerance, or 0 for the JSBSim default" },
+        { name: "maxIterations", text: "the maximum number of trim cycles, or 0 for the JSBSim default" }
+      ],
+      "whether the trim converged, the cycles it took and the final residual and control value of each axis."
+    )
+  },
+  {
+    name: "ComputeStateSpace",
+    returnType: "emscripten::val",
+    tsReturnType: "StateSpaceData",
+    tsParamTypes: { 0: "string[]", 1: "string[]", 2: "string[]" },
+    params: [param("states", "emscripten::val"), param("inputs", "emscripten::val"), param("outputs", "emscripten::val")],
+    cppBody: [
+      "JSBSim::FGStateSpace stateSpace(&self);",
+      "AddStateSpaceComponents(stateSpace.x, states);",
+      "AddStateSpaceComponents(stateSpace.u, inputs);",
+      "AddStateSpaceComponents(stateSpace.y, outputs);",
+      "",
+      "emscripten::val result = emscripten::val::object();",
+      "result.set(\"states\", DescribeStateSpaceComponents(stateSpace.x));",
+      "result.set(\"inputs\", DescribeStateSpaceComponents(stateSpace.u));",
+      "result.set(\"outputs\", DescribeStateSpaceComponents(stateSpace.y));",
+      "",
+      "// linearize() perturbs the model with its own time step; restore the caller's afterwards.",
+      "const double deltaT = self.GetDeltaT();",
+      "std::vector<std::vector<double>> A, B, C, D;",
+      "stateSpace.linearize(stateSpace.x.get(), stateSpace.u.get(), stateSpace.y.get(), A, B, C, D);",
+      "self.Setdt(deltaT);",
+      "",
+      "const unsigned stateCount = static_cast<unsigned>(stateSpace.x.getSize());",
+      "const unsigned inputCount = static_cast<unsigned>(stateSpace.u.getSize());",
+      "result.set(\"A\", MatrixToObject(A, stateCount));",
+      "result.set(\"B\", MatrixToObject(B, inputCount));",
+      "result.set(\"C\", MatrixToObject(C, stateCount));",
+      "result.set(\"D\", MatrixToObject(D, inputCount));",
+      "return result;"
+    ],
+    jsDoc: jsDoc(
+      [
+        "Linearizes the model about the current operating point with FGStateSpace, for the named state,",
+        "input and output components. Unknown names are skipped."
+      ],
+      [
+        { name: "states", text: "the state components" },
+        { name: "inputs", text: "the input components" },
+        { name: "outputs", text: "the output components" }
+      ],
+      "the operating point, names and units of each component and the row-major A, B, C and D matrices."
+    )
+  },
+  {
+    name: "CreatePropertySet",
+    returnType: "uintptr_t",
+    params: [],
+    cppBody: [
+      "return reinterpret_cast<uintptr_t>(new PropertySet());"
+    ],
+    jsDoc: jsDoc(
+      ["Allocates an empty property set whose values are exchanged through a single buffer on the wasm heap."],
+      [],
+      "an opaque property set handle."
+    )
+  },
+  {
+    name: "DestroyPropertySet",
+    returnType: "void",
+    params: [param("set", "uintptr_t")],
+    cppBody: [
+      "delete reinterpret_cast<PropertySet*>(set);"
+    ],
+    jsDoc: jsDoc(
+      ["Releases a property set created by CreatePropertySet."],
+      [{ name: "set", text: "the property set handle" }]
+    )
+  },
+  {
+    name: "AddPropertySetNode",
+    returnType: "int",
+    params: [param("set", "uintptr_t"), param("node", "uintptr_t")],
+    cppBody: [
+      "auto* target = reinterpret_cast<PropertySet*>(set);",
+      "auto* property = reinterpret_cast<JSBSim::FGPropertyNode*>(node);",
+      "target->nodes.emplace_back(property);",
+      "target->values.push_back(property->getDoubleValue());",
+      "return static_cast<int>(target->nodes.size() - 1);"
+    ],
+    jsDoc: jsDoc(
+      ["Appends a property node to a property set. The value buffer may move, so re-read GetPropertySetData afterwards."],
+      [
+        { name: "set", text: "the property set handle" },
+        { name: "node", text: "a node handle from ResolvePropertyNode" }
+      ],
+      "the index of the node within the set."
+    )
+  },
+  {
+    name: "ReadPropertySet",
+    returnType: "uintptr_t",
+    params: [param("set", "uintptr_t")],
+    cppBody: [
+      "auto* target = reinterpret_cast<PropertySet*>(set);",
+      "for (std::size_t i = 0; i < target->nodes.size(); ++i) {",
+      "  target->values[i] = target->nodes[i]->getDoubleValue();",
+      "}",
+      "return reinterpret_cast<uintptr_t>(target->values.data());"
+    ],
+    jsDoc: jsDoc(
+      ["Copies the current value of every node in a property set into its value buffer."],
+      [{ name: "set", text: "the property set handle" }],
+      "the address of the value buffer (an array of doubles)."
+    )
+  },
+  {
+    name: "WritePropertySet",
+    returnType: "void",
+    params: [param("set", "uintptr_t")],
+    cppBody: [
+      "auto* target = reinterpret_cast<PropertySet*>(set);",
+      "for (std::size_t i = 0; i < target->nodes.size(); ++i) {",
+      "  target->nodes[i]->setDoubleValue(target->values[i]);",
+      "}"
+    ],
+    jsDoc: jsDoc(
+      ["Writes every value in the value buffer of a property set back to its node."],
+      [{ name: "set", text: "the property set handle" }]
+    )
+  },
+  {
+    name: "GetPropertySetData",
+    returnType: "uintptr_t",
+    params: [param("set", "uintptr_t")],
+    cppBody: [
+      "return reinterpret_cast<uintptr_t>(reinterpret_cast<PropertySet*>(set)->values.data());"
+    ],
+    jsDoc: jsDoc(
+      ["Returns the address of the value buffer of a property set."],
+      [{ name: "set", text: "the property set handle" }]
+    )
+  },
+  {
+    name: "RunFrames",
+    returnType: "emscripten::val",
+    tsReturnType: "RunFramesResult",
+    params: [param("steps", "int")],
+    cppBody: [
+      "int frames = 0;",
+      "bool keepRunning = true;",
+      "while (frames < steps && keepRunning) {",
+      "  keepRunning = self.Run();",
+      "  ++frames;",
+      "}",
+      "emscripten::val result = emscripten::val::object();",
+      "result.set(\"frames\", frames);",
+      "result.set(\"ended\", !keepRunning);",
+      "return result;"
+    ],
+    jsDoc: jsDoc(
+      ["Executes up to the given number of frames in one call, stopping early when Run() returns false."],
+      [{ name: "steps", text: "the maximum number of frames to execute" }],
+      "the number of frames executed and whether the simulation ended."
+    )
+  },
+  {
+    name: "CaptureSimulationState",
+    returnType: "emscripten::val",
+    tsReturnType: "SimulationStateData",
+    params: [],
+    cppBody: [
+      "emscripten::val paths = emscripten::val::array();",
+      "emscripten::val values = emscripten::val::array();",
+      "CollectStateProperties(self.GetPropertyManager()->GetNode(), \"\", paths, values);",
+      "",
+      "const JSBSim::FGPropagate::VehicleState& state = self.GetPropagate()->GetVState();",
+      "emscripten::val vehicle = emscripten::val::object();",
+      "vehicle.set(\"location\", VectorToArray(state.vLocation, 3));",
+      "vehicle.set(\"uvw\", VectorToArray(state.vUVW, 3));",
+      "vehicle.set(\"pqr\", VectorToArray(state.vPQR, 3));",
+      "vehicle.set(\"pqri\", VectorToArray(state.vPQRi, 3));",
+      "vehicle.set(\"attitudeECI\", VectorToArray(state.qAttitudeECI, 4));",
+      "vehicle.set(\"inertialVelocity\", VectorToArray(state.vInertialVelocity, 3));",
+      "vehicle.set(\"inertialPosition\", VectorToArray(state.vInertialPosition, 3));",
+      "vehicle.set(\"pqriDotHistory\", HistoryToArray(state.dqPQRidot, 3));",
+      "vehicle.set(\"uvwiDotHistory\", HistoryToArray(state.dqUVWidot, 3));",
+      "vehicle.set(\"inertialVelocityHistory\", HistoryToArray(state.dqInertialVelocity, 3));",
+      "vehicle.set(\"attitudeDotHistory\", HistoryToArray(state.dqQtrndot, 4));",
+      "",
+      "emscripten::val result = emscripten::val::object();",
+      "result.set(\"simTime\", self.GetSimTime());",
+      "result.set(\"frame\", self.GetFrame());",
+      "result.set(\"deltaT\", self.GetDeltaT());",
+      "result.set(\"paths\", paths);",
+      "result.set(\"values\", values);",
+      "result.set(\"vehicle\", vehicle);",
+      "return result;"
+    ],
+    jsDoc: jsDoc(
+      [
+        "Captures the sim time, every writable numeric property (except action and initial-condition properties)",
+        "and the propagated vehicle state including the integrator derivative history."
+      ],
+      [],
+      "a plain, serializable description of the current state."
+    )
+  },
+  {
+    name: "ApplySimulationState",
+    returnType: "void",
+    tsParamTypes: { 0: "SimulationStateData" },
+    params: [param("state", "emscripten::val")],
+    cppBody: [
+      "self.Setdt(state[\"deltaT\"].as<double>());",
+      "ApplyStateProperties(self, state[\"paths\"], state[\"values\"]);",
+      "ApplyVehicleState(self, state[\"vehicle\"]);",
+      "",
+      "// Re-run every model without integrating so derived quantities match the restored state,",
+      "// then restore again in case the zero-length step overwrote outputs or the derivative history.",
+      "// FGOutput runs too, so enabled outputs log one row for the restored state.",
+      "self.SuspendIntegration();",
+      "self.Run();",
+      "self.ResumeIntegration();",
+      "ApplyStateProperties(self, state[\"paths\"], state[\"values\"]);",
+      "ApplyVehicleState(self, state[\"vehicle\"]);",
+      "self.Setsim_time(state[\"simTime\"].as<double>());",
+      "self.SetFrame(state[\"frame\"].as<unsigned int>());"
+    ],
+    jsDoc: jsDoc(
+      [
+        "Restores a state captured by CaptureSimulationState on an executive running the same model, including",
+        "its frame count. Derived values are refreshed with a zero-length step, which also logs one row to",
+        "enabled outputs."
+      ],
+      [{ name: "state", text: "the captured state" }]
+    )
+  }
+];
+
+/**
+ * Applies TS type overrides declared on extension methods (`tsReturnType`, `tsParamTypes`).
+ */
+export function applyExtensionTypeOverrides(typeMetadata) {
+  for (const method of EXTENSION_METHODS) {
+    if (method.tsReturnType) {
+      typeMetadata.returnTypeOverrides.set(methodKey(method), method.tsReturnType);
+    }
+    if (method.tsParamTypes) {
+      typeMetadata.paramTypeOverrides.set(
+        methodKey(method),
+        new Map(Object.entries(method.tsParamTypes).map(([index, tsType]) => [Number(index), tsType]))
+      );
+    }
+  }
+}
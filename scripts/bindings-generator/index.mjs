@@ -1,6 +1,13 @@
 import fs from "node:fs";
 import path from "node:path";
 
+import {
+  EXTENSION_INCLUDES,
+  EXTENSION_METHODS,
+  EXTENSION_SUPPORT_CODE,
+  EXTENSION_TS_TYPES,
+  applyExtensionTypeOverrides
+} from "./extension-methods.mjs";
 import { CPP_OUT_PATH, HEADER_PATH, ROOT_DIR, SDK_API_OUT_PATH, TS_OUT_PATH } from "./paths.mjs";
 import { buildTypeMetadata } from "./type-metadata.mjs";
 import { extractPublicMethodsFromClass, loadClassAstContext } from "./methods-from-ast.mjs";
@@ -18,11 +25,15 @@ export function generateBindings() {
   }
 
   const { classNode } = loadClassAstContext();
-  const methods = extractPublicMethodsFromClass(classNode);
+  const methods = [...extractPublicMethodsFromClass(classNode), ...EXTENSION_METHODS];
   const typeMetadata = buildTypeMetadata(methods, classNode);
+  applyExtensionTypeOverrides(typeMetadata);
 
-  const cppOut = renderCppOutput(methods, typeMetadata.enumLookup, "FGFDMExec.h");
-  const tsOut = renderTsInterface(methods, typeMetadata);
+  const cppOut = renderCppOutput(methods, typeMetadata.enumLookup, "FGFDMExec.h", {
+    extraIncludes: EXTENSION_INCLUDES,
+    supportCode: EXTENSION_SUPPORT_CODE
+  });
+  const tsOut = renderTsInterface(methods, typeMetadata, { extraTypeDeclarations: EXTENSION_TS_TYPES });
   const sdkApiOut = renderJsbsimApiClass(methods, typeMetadata);
 
   ensureParentDir(CPP_OUT_PATH);
@@ -33,7 +44,7 @@ export function generateBindings() {
   fs.writeFileSync(TS_OUT_PATH, tsOut, "utf8");
   fs.writeFileSync(SDK_API_OUT_PATH, sdkApiOut, "utf8");
 
-  process.stdout.write(`Generated ${methods.length} method bindings.\n`);
+  process.stdout.write(`Generated ${methods.length} method bindings (${EXTENSION_METHODS.length} extension).\n`);
   process.stdout.write(`Detected ${typeMetadata.enumDefs.length} enum type map(s) and ${typeMetadata.flagDefs.length} flag map(s).\n`);
   if (typeMetadata.unresolvedEnumTypes.size > 0) {
     process.stdout.write(`Unresolved enum candidates: ${[...typeMetadata.unresolvedEnumTypes].join(", ")}\n`);
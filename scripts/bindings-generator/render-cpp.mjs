@@ -63,6 +63,13 @@ function renderWrapperFunctions(methods, enumLookup) {
         .map((param) => convertCppArg(param.type, param.name, enumLookup))
         .join(", ");
 
+      if (method.cppBody) {
+        // Hand-written bodies receive their parameters exactly as declared.
+        const rawParams = method.params.map((param) => `${param.type} ${param.name}`).join(", ");
+        const body = method.cppBody.map((line) => (line ? `  ${line}` : "")).join("\n");
+        return `static ${method.returnType} ${wrapperName}(FGFDMExec& self${rawParams ? `, ${rawParams}` : ""}) {\n${body}\n}`;
+      }
+
       const invoke = `self.${method.name}(${convertedArgs})`;
       const returnType = method.returnType === "void" ? "void" : "auto";
       const callLine = method.returnType === "void"
@@ -91,9 +98,19 @@ function renderBindingRegistration(methods) {
   return lines.join("\n");
 }
 
-export function renderCppOutput(methods, enumLookup, sourceHeaderRelPath = "FGFDMExec.h") {
+function renderExtraIncludes(extraIncludes) {
+  return extraIncludes.map((includePath) => `#include "${includePath}"\n`).join("");
+}
+
+function renderSupportCode(supportCode) {
+  return supportCode.length > 0 ? `${supportCode.join("\n")}\n\n` : "";
+}
+
+export function renderCppOutput(methods, enumLookup, sourceHeaderRelPath = "FGFDMExec.h", options = {}) {
   const wrappers = renderWrapperFunctions(methods, enumLookup);
   const bindings = renderBindingRegistration(methods);
+  const extraIncludes = renderExtraIncludes(options.extraIncludes ?? []);
+  const supportCode = renderSupportCode(options.supportCode ?? []);
 
-  return `// Generated by scripts/generate-fgfdmexec-bindings.mjs.\n// Do not edit manually.\n\n#include <cstdint>\n#include <memory>\n#include <string>\n#include <type_traits>\n#include <vector>\n\n#include <emscripten/bind.h>\n#include <emscripten/val.h>\n\n#include "${sourceHeaderRelPath}"\n\nnamespace {\n\nusing JSBSim::FGFDMExec;\nusing ::SGPath;\n\ntemplate <typename T>\nstd::enable_if_t<std::is_arithmetic_v<T>, T> toJsValue(T value) {\n  return value;\n}\n\ntemplate <typename T>\nstd::enable_if_t<std::is_enum_v<T>, int> toJsValue(T value) {\n  return static_cast<int>(value);\n}\n\ninline std::string toJsValue(const std::string& value) {\n  return value;\n}\n\ninline std::string toJsValue(std::string&& value) {\n  return std::move(value);\n}\n\ninline std::string toJsValue(const SGPath& path) {\n  return path.utf8Str();\n}\n\ninline emscripten::val toJsValue(const std::vector<std::string>& values) {\n  emscripten::val out = emscripten::val::array();\n  for (std::size_t i = 0; i < values.size(); ++i) {\n    out.set(i, values[i]);\n  }\n  return out;\n}\n\ninline emscripten::val toJsValue(std::vector<std::string>& values) {\n  return toJsValue(static_cast<const std::vector<std::string>&>(values));\n}\n\ntemplate <typename T>\nuintptr_t toJsValue(T* value) {\n  return reinterpret_cast<uintptr_t>(value);\n}\n\ntemplate <typename T>\nuintptr_t toJsValue(const std::shared_ptr<T>& value) {\n  return reinterpret_cast<uintptr_t>(value.get());\n}\n\ntemplate <typename T>\nuintptr_t toJsValue(const std::unique_ptr<T>& value) {\n  return reinterpret_cast<uintptr_t>(value.get());\n}\n\ntemplate <typename T>\nuintptr_t toJsValue(T& value) {\n  return reinterpret_cast<uintptr_t>(&value);\n}\n\n${wrappers}\n\n}  // namespace\n\n${bindings}\n`;
+  return `// Generated by scripts/generate-fgfdmexec-bindings.mjs.\n// Do not edit manually.\n\n#include <cstdint>\n#include <memory>\n#include <string>\n#include <type_traits>\n#include <vector>\n\n#include <emscripten/bind.h>\n#include <emscripten/val.h>\n\n#include "${sourceHeaderRelPath}"\n${extraIncludes}\nnamespace {\n\nusing JSBSim::FGFDMExec;\nusing ::SGPath;\n\ntemplate <typename T>\nstd::enable_if_t<std::is_arithmetic_v<T>, T> toJsValue(T value) {\n  return value;\n}\n\ntemplate <typename T>\nstd::enable_if_t<std::is_enum_v<T>, int> toJsValue(T value) {\n  return static_cast<int>(value);\n}\n\ninline std::string toJsValue(const std::string& value) {\n  return value;\n}\n\ninline std::string toJsValue(std::string&& value) {\n  return std::move(value);\n}\n\ninline std::string toJsValue(const SGPath& path) {\n  return path.utf8Str();\n}\n\ninline emscripten::val toJsValue(const std::vector<std::string>& values) {\n  emscripten::val out = emscripten::val::array();\n  for (std::size_t i = 0; i < values.size(); ++i) {\n    out.set(i, values[i]);\n  }\n  return out;\n}\n\ninline emscripten::val toJsValue(std::vector<std::string>& values) {\n  return toJsValue(static_cast<const std::vector<std::string>&>(values));\n}\n\ntemplate <typename T>\nuintptr_t toJsValue(T* value) {\n  return reinterpret_cast<uintptr_t>(value);\n}\n\ntemplate <typename T>\nuintptr_t toJsValue(const std::shared_ptr<T>& value) {\n  return reinterpret_cast<uintptr_t>(value.get());\n}\n\ntemplate <typename T>\nuintptr_t toJsValue(const std::unique_ptr<T>& value) {\n  return reinterpret_cast<uintptr_t>(value.get());\n}\n\ntemplate <typename T>\nuintptr_t toJsValue(T& value) {\n  return reinterpret_cast<uintptr_t>(&value);\n}\n\n${supportCode}${wrappers}\n\n}  // namespace\n\n${bindings}\n`;
 }
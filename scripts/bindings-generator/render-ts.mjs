@@ -56,7 +56,7 @@ function renderTsTypeMaps(typeMetadata) {
   return lines;
 }
 
-export function renderTsInterface(methods, typeMetadata) {
+export function renderTsInterface(methods, typeMetadata, options = {}) {
   const lines = [
     "// Generated by scripts/generate-fgfdmexec-bindings.mjs.",
     "// Do not edit manually.",
@@ -66,6 +66,11 @@ export function renderTsInterface(methods, typeMetadata) {
   ];
 
   lines.push(...renderTsTypeMaps(typeMetadata));
+
+  const extraTypeDeclarations = options.extraTypeDeclarations ?? [];
+  if (extraTypeDeclarations.length > 0) {
+    lines.push(...extraTypeDeclarations, "");
+  }
   lines.push("export interface FGFDMExecApi {");
 
   for (const method of methods) {
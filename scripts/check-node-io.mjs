@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// Headless check of the Node socket adapters against real loopback sockets: UDP socket output framing
+// and the TCP input server's greeting, prompt and `get`/`set` replies. Runs against the built SDK
+// (`npm run build:sdk`) and needs no wasm module: the input channel drives a stub executive.
+import assert from "node:assert/strict";
+import { createSocket } from "node:dgram";
+import { createConnection } from "node:net";
+import { InputCommandChannel, INPUT_GREETING, INPUT_PROMPT } from "../dist/index.js";
+import { TcpInputServer, UdpSocketTransport } from "../dist/node.js";
+
+const encoder = new TextEncoder();
+
+function withTimeout(promise, label, ms = 5000) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out waiting for ${label}.`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkUdpSocketOutput() {
+  const listener = createSocket("udp4");
+  await new Promise((resolve) => listener.bind(0, "127.0.0.1", resolve));
+  const { port } = listener.address();
+
+  const expected = ["Time,Altitude\n", "0,1500\n", "0.0083333,1500.12\n"];
+  const received = new Promise((resolve) => {
+    const datagrams = [];
+    listener.on("message", (message) => {
+      datagrams.push(message.toString("utf8"));
+      if (datagrams.length === expected.length) {
+        resolve(datagrams);
+      }
+    });
+  });
+
+  const errors = [];
+  const transport = new UdpSocketTransport({ onError: (error) => errors.push(error) });
+  const channel = { id: 1, host: "127.0.0.1", port, protocol: "udp" };
+  for (const text of expected) {
+    transport.send({ channel, data: encoder.encode(text), text });
+  }
+
+  try {
+    // One record per datagram, in order and unmodified.
+    assert.deepEqual(await withTimeout(received, "UDP datagrams"), expected);
+    assert.deepEqual(errors, []);
+  } finally {
+    transport.dispose();
+    listener.close();
+  }
+}
+
+function createStubSdk() {
+  const properties = new Map([
+    ["position/h-sl-ft", 1234.5],
+    ["velocities/vc-kts", 0.000012345678],
+    ["fcs/throttle-cmd-norm", 0],
+  ]);
+  const paths = [...properties.keys()];
+  let holding = false;
+
+  return {
+    resolvePropertyNode: (path) => paths.indexOf(path) + 1,
+    getPropertyNodeInfo: () => ({ childCount: 0 }),
+    getPropertyValue: (path) => properties.get(path) ?? 0,
+    setPropertyValue: (path, value) => properties.set(path, value),
+    queryPropertyCatalog: (query, eol) => paths.filter((path) => path.includes(query)).join(eol) + eol,
+    holding: () => holding,
+    hold: () => {
+      holding = true;
+    },
+    resume: () => {
+      holding = false;
+    },
+    runSteps: () => ({ reason: "maxSteps", simTime: 0, frames: 0 }),
+    getModelName: () => "stub",
+    getSimTime: () => 0,
+  };
+}
+
+/**
+ * Collects what the server sends until `count` prompts (or the end of the stream) have arrived.
+ */
+function readUntilPrompts(socket, count) {
+  return new Promise((resolve) => {
+    let text = "";
+    const onData = (chunk) => {
+      text += chunk;
+      if (text.split(INPUT_PROMPT).length - 1 >= count) {
+        socket.off("data", onData);
+        socket.off("end", onEnd);
+        resolve(text);
+      }
+    };
+    const onEnd = () => {
+      socket.off("data", onData);
+      resolve(text);
+    };
+    socket.setEncoding("utf8");
+    socket.on("data", onData);
+    socket.once("end", onEnd);
+  });
+}
+
+async function checkTcpInputServer() {
+  const server = new TcpInputServer(new InputCommandChannel(createStubSdk()), { port: 0 });
+  const address = await server.listen();
+  await assert.rejects(server.listen(), /already listening/);
+
+  const socket = createConnection({ host: address.address, port: address.port });
+  try {
+    assert.equal(await withTimeout(readUntilPrompts(socket, 1), "greeting"), `${INPUT_GREETING}${INPUT_PROMPT}`);
+
+    // Commands split across writes and batched in one write are both answered line by line.
+    const replies = readUntilPrompts(socket, 4);
+    socket.write("get position/h-");
+    socket.write("sl-ft\r\nget velocities/vc-kts\n");
+    socket.write("set fcs/throttle-cmd-norm 0.75\nget fcs/throttle-cmd-norm\n");
+    assert.equal(
+      await withTimeout(replies, "get/set replies"),
+      `position/h-sl-ft =       1234.5\r\n${INPUT_PROMPT}` +
+        `velocities/vc-kts =  1.23457e-05\r\n${INPUT_PROMPT}` +
+        `set successful\r\n${INPUT_PROMPT}` +
+        `fcs/throttle-cmd-norm =         0.75\r\n${INPUT_PROMPT}`,
+    );
+
+    const unknown = readUntilPrompts(socket, 1);
+    socket.write("get no/such-property\n");
+    assert.equal(await withTimeout(unknown, "unknown property reply"), `Must be in HOLD to search properties\r\n${INPUT_PROMPT}`);
+
+    const closing = readUntilPrompts(socket, 1);
+    socket.write("quit\n");
+    assert.equal(await withTimeout(closing, "quit reply"), "Closing connection\r\n");
+  } finally {
+    socket.destroy();
+    await server.close();
+  }
+}
+
+await checkUdpSocketOutput();
+console.log("ok - UdpSocketTransport sends one datagram per record");
+await checkTcpInputServer();
+console.log("ok - TcpInputServer greets, prompts and answers get/set like JSBSim");
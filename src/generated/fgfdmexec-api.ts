@@ -42,6 +42,124 @@ export const ResetToInitialConditionsMode = {
 export type ResetToInitialConditionsMode = number;
 export type ResetToInitialConditionsModeFlag = (typeof ResetToInitialConditionsMode)[keyof typeof ResetToInitialConditionsMode];
 
+export const PropertyAttribute = {
+  READ: 1,
+  WRITE: 2,
+  ARCHIVE: 4,
+  REMOVED: 8,
+  TRACE_READ: 16,
+  TRACE_WRITE: 32,
+  USERARCHIVE: 64,
+  PRESERVE: 128,
+} as const;
+export type PropertyAttribute = number;
+export type PropertyAttributeFlag = (typeof PropertyAttribute)[keyof typeof PropertyAttribute];
+
+export type PropertyNodeType = "none" | "alias" | "bool" | "int" | "long" | "float" | "double" | "string" | "unspecified" | "extended";
+
+export interface PropertyNodeInfo {
+  name: string;
+  path: string;
+  type: PropertyNodeType;
+  attributes: PropertyAttribute;
+  tied: boolean;
+  childCount: number;
+}
+
+export const TrimState = {
+  tUdot: 1,
+  tVdot: 2,
+  tWdot: 3,
+  tQdot: 4,
+  tPdot: 5,
+  tRdot: 6,
+  tHmgt: 7,
+  tNlf: 8,
+} as const;
+export type TrimState = (typeof TrimState)[keyof typeof TrimState];
+
+export const TrimControl = {
+  tThrottle: 0,
+  tBeta: 1,
+  tAlpha: 2,
+  tElevator: 3,
+  tAileron: 4,
+  tRudder: 5,
+  tAltAGL: 6,
+  tTheta: 7,
+  tPhi: 8,
+  tGamma: 9,
+  tPitchTrim: 10,
+  tRollTrim: 11,
+  tYawTrim: 12,
+  tHeading: 13,
+} as const;
+export type TrimControl = (typeof TrimControl)[keyof typeof TrimControl];
+
+export interface TrimAxisData {
+  state: TrimState;
+  control: TrimControl;
+  residual: number;
+  tolerance: number;
+  value: number;
+}
+
+export interface TrimRunData {
+  success: boolean;
+  iterations: number;
+  axes: TrimAxisData[];
+}
+
+export interface StateSpaceComponentsData {
+  names: string[];
+  units: string[];
+  values: number[];
+}
+
+export interface StateSpaceMatrixData {
+  rows: number;
+  columns: number;
+  data: number[];
+}
+
+export interface StateSpaceData {
+  states: StateSpaceComponentsData;
+  inputs: StateSpaceComponentsData;
+  outputs: StateSpaceComponentsData;
+  A: StateSpaceMatrixData;
+  B: StateSpaceMatrixData;
+  C: StateSpaceMatrixData;
+  D: StateSpaceMatrixData;
+}
+
+export interface RunFramesResult {
+  frames: number;
+  ended: boolean;
+}
+
+export interface VehicleStateData {
+  location: number[];
+  uvw: number[];
+  pqr: number[];
+  pqri: number[];
+  attitudeECI: number[];
+  inertialVelocity: number[];
+  inertialPosition: number[];
+  pqriDotHistory: number[][];
+  uvwiDotHistory: number[][];
+  inertialVelocityHistory: number[][];
+  attitudeDotHistory: number[][];
+}
+
+export interface SimulationStateData {
+  simTime: number;
+  frame: number;
+  deltaT: number;
+  paths: string[];
+  values: number[];
+  vehicle: VehicleStateData;
+}
+
 export interface FGFDMExecApi {
   /**
    * Unbind all tied JSBSim properties.
@@ -405,4 +523,142 @@ export interface FGFDMExecApi {
   AddTemplateFunc(name: string, el: number): void;
   GetRandomGenerator(): number;
   SRand(): number;
+  /**
+   * Looks up a property node once so it can be read and written without repeating the path lookup.
+   * @param property the name of the property
+   * @returns an opaque node handle, or 0 if the property does not exist.
+   */
+  ResolvePropertyNode(property: string): number;
+  /**
+   * Retrieves the value of a property node resolved by ResolvePropertyNode.
+   * @param node the node handle
+   */
+  GetPropertyNodeValue(node: number): number;
+  /**
+   * Sets the value of a property node resolved by ResolvePropertyNode.
+   * @param node the node handle
+   * @param value the value to set the property to
+   * @returns true if the value was accepted by the node.
+   */
+  SetPropertyNodeValue(node: number, value: number): boolean;
+  /**
+   * Returns true if the property node accepts writes.
+   * @param node the node handle
+   */
+  IsPropertyNodeWritable(node: number): boolean;
+  /**
+   * Returns the root of the property tree.
+   * @returns an opaque node handle.
+   */
+  GetPropertyRootNode(): number;
+  /**
+   * Describes a property node: its indexed name, absolute path, value type, attribute flags and tied status.
+   * @param node the node handle
+   */
+  GetPropertyNodeInfo(node: number): PropertyNodeInfo;
+  /**
+   * Lists the children of a property node in creation order.
+   * @param node the node handle
+   * @returns the child node handles.
+   */
+  GetPropertyNodeChildren(node: number): number[];
+  /**
+   * Retrieves the value of a property node as a string, converting numeric values.
+   * @param node the node handle
+   */
+  GetPropertyNodeString(node: number): string;
+  /**
+   * Sets the value of a property node from a string, converting it to the node's type.
+   * @param node the node handle
+   * @param value the value to set the property to
+   * @returns true if the value was accepted by the node.
+   */
+  SetPropertyNodeString(node: number, value: string): boolean;
+  /**
+   * Sets or clears one attribute flag of a property node.
+   * @param node the node handle
+   * @param attribute the PropertyAttribute flag
+   * @param state true to set the flag, false to clear it
+   */
+  SetPropertyNodeAttribute(node: number, attribute: PropertyAttributeFlag, state: boolean): void;
+  /**
+   * Reads an initialization file into the initial conditions without running them.
+   * @param path the initialization file
+   * @param useAircraftPath resolve a relative path against the aircraft directory
+   * @returns true if the file was loaded.
+   */
+  LoadInitialConditions(path: string, useAircraftPath: boolean): boolean;
+  /**
+   * Trims with a dedicated FGTrim and reports the outcome instead of throwing on failure.
+   * The states and controls arrays pair up by index: each pair replaces the control the mode uses for
+   * that state, or adds the state. In tCustom mode they are the only trim axes.
+   * @param mode the trim mode
+   * @param states the trim states to add or edit
+   * @param controls the control adjusted for each state
+   * @param tolerance the convergence tolerance, or 0 for the JSBSim default
+   * @param maxIterations the maximum number of trim cycles, or 0 for the JSBSim default
+   * @returns whether the trim converged, the cycles it took and the final residual and control value of each axis.
+   */
+  RunTrim(mode: TrimMode, states: TrimState[], controls: TrimControl[], tolerance: number, maxIterations: number): TrimRunData;
+  /**
+   * Linearizes the model about the current operating point with FGStateSpace, for the named state,
+   * input and output components. Unknown names are skipped.
+   * @param states the state components
+   * @param inputs the input components
+   * @param outputs the output components
+   * @returns the operating point, names and units of each component and the row-major A, B, C and D matrices.
+   */
+  ComputeStateSpace(states: string[], inputs: string[], outputs: string[]): StateSpaceData;
+  /**
+   * Allocates an empty property set whose values are exchanged through a single buffer on the wasm heap.
+   * @returns an opaque property set handle.
+   */
+  CreatePropertySet(): number;
+  /**
+   * Releases a property set created by CreatePropertySet.
+   * @param set the property set handle
+   */
+  DestroyPropertySet(set: number): void;
+  /**
+   * Appends a property node to a property set. The value buffer may move, so re-read GetPropertySetData afterwards.
+   * @param set the property set handle
+   * @param node a node handle from ResolvePropertyNode
+   * @returns the index of the node within the set.
+   */
+  AddPropertySetNode(set: number, node: number): number;
+  /**
+   * Copies the current value of every node in a property set into its value buffer.
+   * @param set the property set handle
+   * @returns the address of the value buffer (an array of doubles).
+   */
+  ReadPropertySet(set: number): number;
+  /**
+   * Writes every value in the value buffer of a property set back to its node.
+   * @param set the property set handle
+   */
+  WritePropertySet(set: number): void;
+  /**
+   * Returns the address of the value buffer of a property set.
+   * @param set the property set handle
+   */
+  GetPropertySetData(set: number): number;
+  /**
+   * Executes up to the given number of frames in one call, stopping early when Run() returns false.
+   * @param steps the maximum number of frames to execute
+   * @returns the number of frames executed and whether the simulation ended.
+   */
+  RunFrames(steps: number): RunFramesResult;
+  /**
+   * Captures the sim time, every writable numeric property (except action and initial-condition properties)
+   * and the propagated vehicle state including the integrator derivative history.
+   * @returns a plain, serializable description of the current state.
+   */
+  CaptureSimulationState(): SimulationStateData;
+  /**
+   * Restores a state captured by CaptureSimulationState on an executive running the same model, including
+   * its frame count. Derived values are refreshed with a zero-length step, which also logs one row to
+   * enabled outputs.
+   * @param state the captured state
+   */
+  ApplySimulationState(state: SimulationStateData): void;
 }
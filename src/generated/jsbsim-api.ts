@@ -1,7 +1,7 @@
 // Generated by scripts/generate-fgfdmexec-bindings.mjs.
 // Do not edit manually.
 
-import type { FGFDMExecApi, ResetToInitialConditionsMode, TrimMode } from "./fgfdmexec-api";
+import type { FGFDMExecApi, PropertyAttributeFlag, PropertyNodeInfo, ResetToInitialConditionsMode, RunFramesResult, SimulationStateData, StateSpaceData, TrimControl, TrimMode, TrimRunData, TrimState } from "./fgfdmexec-api";
 
 export class JSBSimApi {
   readonly exec: FGFDMExecApi;
@@ -626,4 +626,207 @@ export class JSBSimApi {
     return this.exec.SRand();
   }
 
+  /**
+   * Looks up a property node once so it can be read and written without repeating the path lookup.
+   * @param property the name of the property
+   * @returns an opaque node handle, or 0 if the property does not exist.
+   */
+  resolvePropertyNode(property: string): number {
+    return this.exec.ResolvePropertyNode(property);
+  }
+
+  /**
+   * Retrieves the value of a property node resolved by ResolvePropertyNode.
+   * @param node the node handle
+   */
+  getPropertyNodeValue(node: number): number {
+    return this.exec.GetPropertyNodeValue(node);
+  }
+
+  /**
+   * Sets the value of a property node resolved by ResolvePropertyNode.
+   * @param node the node handle
+   * @param value the value to set the property to
+   * @returns true if the value was accepted by the node.
+   */
+  setPropertyNodeValue(node: number, value: number): boolean {
+    return this.exec.SetPropertyNodeValue(node, value);
+  }
+
+  /**
+   * Returns true if the property node accepts writes.
+   * @param node the node handle
+   */
+  isPropertyNodeWritable(node: number): boolean {
+    return this.exec.IsPropertyNodeWritable(node);
+  }
+
+  /**
+   * Returns the root of the property tree.
+   * @returns an opaque node handle.
+   */
+  getPropertyRootNode(): number {
+    return this.exec.GetPropertyRootNode();
+  }
+
+  /**
+   * Describes a property node: its indexed name, absolute path, value type, attribute flags and tied status.
+   * @param node the node handle
+   */
+  getPropertyNodeInfo(node: number): PropertyNodeInfo {
+    return this.exec.GetPropertyNodeInfo(node);
+  }
+
+  /**
+   * Lists the children of a property node in creation order.
+   * @param node the node handle
+   * @returns the child node handles.
+   */
+  getPropertyNodeChildren(node: number): number[] {
+    return this.exec.GetPropertyNodeChildren(node);
+  }
+
+  /**
+   * Retrieves the value of a property node as a string, converting numeric values.
+   * @param node the node handle
+   */
+  getPropertyNodeString(node: number): string {
+    return this.exec.GetPropertyNodeString(node);
+  }
+
+  /**
+   * Sets the value of a property node from a string, converting it to the node's type.
+   * @param node the node handle
+   * @param value the value to set the property to
+   * @returns true if the value was accepted by the node.
+   */
+  setPropertyNodeString(node: number, value: string): boolean {
+    return this.exec.SetPropertyNodeString(node, value);
+  }
+
+  /**
+   * Sets or clears one attribute flag of a property node.
+   * @param node the node handle
+   * @param attribute the PropertyAttribute flag
+   * @param state true to set the flag, false to clear it
+   */
+  setPropertyNodeAttribute(node: number, attribute: PropertyAttributeFlag, state: boolean): void {
+    this.exec.SetPropertyNodeAttribute(node, attribute, state);
+  }
+
+  /**
+   * Reads an initialization file into the initial conditions without running them.
+   * @param path the initialization file
+   * @param useAircraftPath resolve a relative path against the aircraft directory
+   * @returns true if the file was loaded.
+   */
+  loadInitialConditions(path: string, useAircraftPath: boolean): boolean {
+    return this.exec.LoadInitialConditions(path, useAircraftPath);
+  }
+
+  /**
+   * Trims with a dedicated FGTrim and reports the outcome instead of throwing on failure.
+   * The states and controls arrays pair up by index: each pair replaces the control the mode uses for
+   * that state, or adds the state. In tCustom mode they are the only trim axes.
+   * @param mode the trim mode
+   * @param states the trim states to add or edit
+   * @param controls the control adjusted for each state
+   * @param tolerance the convergence tolerance, or 0 for the JSBSim default
+   * @param maxIterations the maximum number of trim cycles, or 0 for the JSBSim default
+   * @returns whether the trim converged, the cycles it took and the final residual and control value of each axis.
+   */
+  runTrim(mode: TrimMode, states: TrimState[], controls: TrimControl[], tolerance: number, maxIterations: number): TrimRunData {
+    return this.exec.RunTrim(mode, states, controls, tolerance, maxIterations);
+  }
+
+  /**
+   * Linearizes the model about the current operating point with FGStateSpace, for the named state,
+   * input and output components. Unknown names are skipped.
+   * @param states the state components
+   * @param inputs the input components
+   * @param outputs the output components
+   * @returns the operating point, names and units of each component and the row-major A, B, C and D matrices.
+   */
+  computeStateSpace(states: string[], inputs: string[], outputs: string[]): StateSpaceData {
+    return this.exec.ComputeStateSpace(states, inputs, outputs);
+  }
+
+  /**
+   * Allocates an empty property set whose values are exchanged through a single buffer on the wasm heap.
+   * @returns an opaque property set handle.
+   */
+  createPropertySet(): number {
+    return this.exec.CreatePropertySet();
+  }
+
+  /**
+   * Releases a property set created by CreatePropertySet.
+   * @param set the property set handle
+   */
+  destroyPropertySet(set: number): void {
+    this.exec.DestroyPropertySet(set);
+  }
+
+  /**
+   * Appends a property node to a property set. The value buffer may move, so re-read GetPropertySetData afterwards.
+   * @param set the property set handle
+   * @param node a node handle from ResolvePropertyNode
+   * @returns the index of the node within the set.
+   */
+  addPropertySetNode(set: number, node: number): number {
+    return this.exec.AddPropertySetNode(set, node);
+  }
+
+  /**
+   * Copies the current value of every node in a property set into its value buffer.
+   * @param set the property set handle
+   * @returns the address of the value buffer (an array of doubles).
+   */
+  readPropertySet(set: number): number {
+    return this.exec.ReadPropertySet(set);
+  }
+
+  /**
+   * Writes every value in the value buffer of a property set back to its node.
+   * @param set the property set handle
+   */
+  writePropertySet(set: number): void {
+    this.exec.WritePropertySet(set);
+  }
+
+  /**
+   * Returns the address of the value buffer of a property set.
+   * @param set the property set handle
+   */
+  getPropertySetData(set: number): number {
+    return this.exec.GetPropertySetData(set);
+  }
+
+  /**
+   * Executes up to the given number of frames in one call, stopping early when Run() returns false.
+   * @param steps the maximum number of frames to execute
+   * @returns the number of frames executed and whether the simulation ended.
+   */
+  runFrames(steps: number): RunFramesResult {
+    return this.exec.RunFrames(steps);
+  }
+
+  /**
+   * Captures the sim time, every writable numeric property (except action and initial-condition properties)
+   * and the propagated vehicle state including the integrator derivative history.
+   * @returns a plain, serializable description of the current state.
+   */
+  captureSimulationState(): SimulationStateData {
+    return this.exec.CaptureSimulationState();
+  }
+
+  /**
+   * Restores a state captured by CaptureSimulationState on an executive running the same model, including
+   * its frame count. Derived values are refreshed with a zero-length step, which also logs one row to
+   * enabled outputs.
+   * @param state the captured state
+   */
+  applySimulationState(state: SimulationStateData): void {
+    this.exec.ApplySimulationState(state);
+  }
 }
\ No newline at end of file
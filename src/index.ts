@@ -3,14 +3,150 @@ export { JSBSimApi } from "./generated/jsbsim-api";
 export type {
   JSBSimModuleFactory,
   JSBSimRuntimeModule,
+  HostDirectoryMount,
+  HostDirectoryMountOptions,
   JSBSimSdkOptions,
   LoadJSBSimModuleOptions,
+  PersistenceAutoSyncOptions,
   PersistenceOptions,
+  JSBSimSocketEvent,
+  SocketOutputChannel,
   JSBSimLogEntry,
   JSBSimLogHandler,
   JSBSimLogOptions,
   JSBSimLogStream
 } from "./sdk/types";
 export { loadJSBSimModule } from "./sdk/load-module";
-export { JSBSimSdk } from "./sdk/jsbsim-sdk";
-export type { ConfigurePathsOptions, LoadModelOptions, JSBSimSdkLogEvent, JSBSimSdkLogListener } from "./sdk/jsbsim-sdk";
+export { JSBSimSdk, STATE_SNAPSHOT_VERSION } from "./sdk/jsbsim-sdk";
+export type {
+  DependencyDiagnostic,
+  DependencyDiagnosticCode,
+  DependencyKind,
+  DependencyLoader,
+  DependencyNode,
+  DependencyRequest,
+  DependencyResolution,
+  DependencyResolveOptions,
+  ModelDependencyOptions
+} from "./sdk/dependencies";
+export { IndexedDbPersistenceBackend, MemoryPersistenceBackend } from "./sdk/persistence";
+export type {
+  IndexedDbPersistenceOptions,
+  PersistedFile,
+  PersistedFileInfo,
+  PersistenceBackend
+} from "./sdk/persistence";
+export type { PersistenceChange, PersistenceConflict, PersistenceSyncResult } from "./sdk/sync";
+export { VfsError, WasmVfsManager } from "./sdk/vfs";
+export { WorkspaceManager } from "./sdk/workspaces";
+export type {
+  CreateWorkspaceOptions,
+  OpenWorkspaceOptions,
+  UpdateWorkspaceOptions,
+  WorkspaceInfo
+} from "./sdk/workspaces";
+export type { EnablePersistenceOptions } from "./sdk/vfs";
+export type {
+  ArchiveProgress,
+  ExportArchiveOptions,
+  ListRuntimeFilesOptions,
+  MountArchiveOptions,
+  RemoveRuntimeOptions,
+  RuntimeFileStat,
+  RuntimeFileTree,
+  RuntimeFileType,
+  RuntimeLayer,
+  VfsErrorCode
+} from "./sdk/vfs";
+export type { ZipCompression } from "./sdk/zip";
+export { WebSocketTransport } from "./sdk/socket-output";
+export type {
+  SocketOutputListener,
+  SocketOutputRecord,
+  SocketOutputTransport,
+  WebSocketTransportOptions
+} from "./sdk/socket-output";
+export { INPUT_GREETING, INPUT_PROMPT, InputCommandChannel } from "./sdk/input-commands";
+export type { InputCommandResponse } from "./sdk/input-commands";
+export { InitialConditions } from "./sdk/initial-conditions";
+export type { InitialConditionValues, InitialConditionXmlOptions } from "./sdk/initial-conditions";
+export { OutputManager } from "./sdk/outputs";
+export type { OutputFileInfo, OutputReadOptions, OutputTable } from "./sdk/outputs";
+export { JSBSimProperty } from "./sdk/property";
+export type { PropertyHandleOptions } from "./sdk/property";
+export { JSBSimPropertyNode } from "./sdk/property-tree";
+export type { PropertyAttributeName, PropertyNodeAttributes, PropertyNodeOptions } from "./sdk/property-tree";
+export { JSBSimPropertySet } from "./sdk/property-set";
+export type { PropertySetOptions } from "./sdk/property-set";
+export { SimulationRunner } from "./sdk/runner";
+export { TelemetryRecorder } from "./sdk/recorder";
+export type {
+  TelemetryCsvOptions,
+  TelemetryRecord,
+  TelemetryRecorderOptions,
+  TelemetryRecording
+} from "./sdk/recorder";
+export type {
+  SimulationFrameEvent,
+  SimulationOverrunPolicy,
+  SimulationRunnerEvent,
+  SimulationRunnerEvents,
+  SimulationRunnerListener,
+  SimulationRunnerOptions,
+  SimulationStopEvent,
+  SimulationStopReason,
+  SimulationTickEvent,
+  SimulationTimeScale
+} from "./sdk/runner";
+export { Float64Checksum, INPUT_JOURNAL_VERSION, InputJournalRecorder } from "./sdk/journal";
+export type {
+  InputJournal,
+  InputJournalChecksum,
+  InputJournalEntry,
+  InputJournalInput,
+  InputJournalOptions,
+  ReplayOptions,
+  ReplayResult
+} from "./sdk/journal";
+export { TrimError } from "./sdk/trim";
+export type { TrimAxisResult, TrimControlName, TrimOptions, TrimResult, TrimStateName } from "./sdk/trim";
+export { LINEARIZATION_COMPONENTS } from "./sdk/linearization";
+export type {
+  LinearizationComponent,
+  LinearizationOptions,
+  LinearizationResult,
+  LinearizationVariables,
+  StateSpaceMatrix
+} from "./sdk/linearization";
+export { PropertyWatcher } from "./sdk/watch";
+export type { WatchCallback, WatchCondition, WatchEvent, WatchOptions } from "./sdk/watch";
+export type {
+  ConfigurePathsOptions,
+  LoadModelOptions,
+  JSBSimSdkLogEvent,
+  JSBSimSdkLogListener,
+  JSBSimStateSnapshot,
+  JSBSimStepListener,
+  RunResult,
+  RunStopReason,
+  RunUntilOptions,
+  RunUntilPredicate,
+  RunUntilState
+} from "./sdk/jsbsim-sdk";
+export { JSBSimWorkerClient } from "./worker/client";
+export type {
+  JSBSimTelemetryListener,
+  JSBSimTelemetrySample,
+  JSBSimWorkerApi,
+  JSBSimWorkerClientOptions
+} from "./worker/client";
+export { exposeJSBSimWorker } from "./worker/host";
+export type { ExposeJSBSimWorkerOptions } from "./worker/host";
+export { WORKER_SDK_METHODS } from "./worker/protocol";
+export type {
+  JSBSimTelemetryBatch,
+  JSBSimWorkerCall,
+  JSBSimWorkerInitOptions,
+  TelemetryStreamOptions,
+  WorkerEndpoint
+} from "./worker/protocol";
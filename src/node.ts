@@ -0,0 +1,14 @@
+export { JSBSimPool } from "./node/pool";
+export type {
+  JSBSimJob,
+  JSBSimJobResult,
+  JSBSimJobStatus,
+  JSBSimPoolFiles,
+  JSBSimPoolOptions,
+  JSBSimPoolRunAllOptions,
+} from "./node/pool";
+export { NodeFsPersistenceBackend } from "./node/fs-persistence";
+export { TcpSocketTransport, UdpSocketTransport } from "./node/socket-transports";
+export type { NodeSocketTransportOptions } from "./node/socket-transports";
+export { TcpInputServer, WebSocketInputServer } from "./node/input-servers";
+export type { TcpInputServerOptions, WebSocketClientLike, WebSocketServerLike } from "./node/input-servers";
@@ -0,0 +1,102 @@
+import { mkdir, readdir, readFile, rmdir, stat, unlink, writeFile } from "node:fs/promises";
+import { dirname, isAbsolute, join, relative, resolve, sep } from "node:path";
+import type { PersistedFile, PersistedFileInfo, PersistenceBackend } from "../sdk/persistence";
+
+function isMissing(error: unknown): boolean {
+  return (error as NodeJS.ErrnoException | null)?.code === "ENOENT";
+}
+
+/**
+ * True if `path` lies strictly below `root`. Unlike a `root + sep` prefix check, this also works when
+ * `root` is the filesystem root.
+ */
+function isBelow(root: string, path: string): boolean {
+  const rel = relative(root, path);
+  return rel !== "" && rel !== ".." && !rel.startsWith(`..${sep}`) && !isAbsolute(rel);
+}
+
+/**
+ * Persists runtime files to a directory on the host, mirroring the runtime tree.
+ */
+export class NodeFsPersistenceBackend implements PersistenceBackend {
+  readonly rootDir: string;
+
+  constructor(rootDir: string) {
+    this.rootDir = resolve(rootDir);
+  }
+
+  async list(): Promise<PersistedFile[]> {
+    const files: PersistedFile[] = [];
+    const visit = async (dir: string): Promise<void> => {
+      let entries;
+      try {
+        entries = await readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (isMissing(error)) {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const fullPath = join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await visit(fullPath);
+        } else if (entry.isFile()) {
+          const info = await stat(fullPath);
+          files.push({ path: relative(this.rootDir, fullPath).split(sep).join("/"), size: info.size, mtime: info.mtimeMs });
+        }
+      }
+    };
+
+    await visit(this.rootDir);
+    return files;
+  }
+
+  async read(path: string): Promise<Uint8Array | null> {
+    try {
+      return new Uint8Array(await readFile(this.hostPath(path)));
+    } catch (error) {
+      if (isMissing(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(path: string, data: Uint8Array): Promise<PersistedFileInfo> {
+    const fullPath = this.hostPath(path);
+    await mkdir(dirname(fullPath), { recursive: true });
+    await writeFile(fullPath, data);
+    const info = await stat(fullPath);
+    return { size: info.size, mtime: info.mtimeMs };
+  }
+
+  async remove(path: string): Promise<void> {
+    const fullPath = this.hostPath(path);
+    try {
+      await unlink(fullPath);
+    } catch (error) {
+      if (isMissing(error)) {
+        return;
+      }
+      throw error;
+    }
+
+    // Prune directories left empty, up to the root.
+    for (let dir = dirname(fullPath); isBelow(this.rootDir, dir); dir = dirname(dir)) {
+      if ((await readdir(dir)).length > 0) {
+        break;
+      }
+      await rmdir(dir);
+    }
+  }
+
+  private hostPath(path: string): string {
+    const fullPath = resolve(this.rootDir, path);
+    if (!isBelow(this.rootDir, fullPath)) {
+      throw new Error(`Persisted path escapes the backend root: ${path}`);
+    }
+    return fullPath;
+  }
+}
@@ -0,0 +1,209 @@
+import { createServer, type AddressInfo, type Server, type Socket } from "node:net";
+import { INPUT_GREETING, INPUT_PROMPT, type InputCommandChannel } from "../sdk/input-commands";
+
+export interface TcpInputServerOptions {
+  /**
+   * Use 0 to pick a free port.
+   */
+  port: number;
+  /**
+   * Defaults to `127.0.0.1`.
+   */
+  host?: string;
+}
+
+/**
+ * Serves an input command channel over TCP the way JSBSim's `<input port="...">` does, so telnet and
+ * existing tooling can drive the SDK.
+ */
+export class TcpInputServer {
+  private readonly channel: InputCommandChannel;
+  private readonly options: TcpInputServerOptions;
+  private readonly clients = new Set<Socket>();
+  private server: Server | null = null;
+
+  constructor(channel: InputCommandChannel, options: TcpInputServerOptions) {
+    this.channel = channel;
+    this.options = options;
+  }
+
+  /**
+   * Starts listening and resolves to the bound address.
+   */
+  listen(): Promise<AddressInfo> {
+    if (this.server) {
+      return Promise.reject(new Error("Input server is already listening."));
+    }
+
+    const server = createServer((socket) => this.accept(socket));
+    this.server = server;
+    return new Promise<AddressInfo>((resolve, reject) => {
+      server.once("error", reject);
+      // Invalid ports throw here instead of emitting `error`; the executor turns that into a rejection.
+      server.listen(this.options.port, this.options.host ?? "127.0.0.1", () => {
+        server.off("error", reject);
+        resolve(server.address() as AddressInfo);
+      });
+    }).catch((error: unknown) => {
+      // Leave the server listenable again, e.g. on another port after EADDRINUSE.
+      if (this.server === server) {
+        this.server = null;
+      }
+      throw error;
+    });
+  }
+
+  /**
+   * Disconnects every client and stops listening.
+   */
+  close(): Promise<void> {
+    const server = this.server;
+    this.server = null;
+    for (const client of this.clients) {
+      client.destroy();
+    }
+    this.clients.clear();
+    return new Promise((resolve, reject) => {
+      if (!server) {
+        resolve();
+        return;
+      }
+      server.close((error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  private accept(socket: Socket): void {
+    this.clients.add(socket);
+    socket.setEncoding("utf8");
+    socket.on("error", () => socket.destroy());
+    socket.on("close", () => this.clients.delete(socket));
+    socket.write(`${INPUT_GREETING}${INPUT_PROMPT}`);
+
+    let buffered = "";
+    socket.on("data", (chunk: string) => {
+      buffered += chunk;
+      let newline = buffered.indexOf("\n");
+      while (newline >= 0) {
+        const line = buffered.slice(0, newline);
+        buffered = buffered.slice(newline + 1);
+        if (!this.handle(socket, line)) {
+          return;
+        }
+        newline = buffered.indexOf("\n");
+      }
+    });
+  }
+
+  /**
+   * Returns false once the connection was closed.
+   */
+  private handle(socket: Socket, line: string): boolean {
+    let response;
+    try {
+      response = this.channel.respond(line);
+    } catch (error) {
+      socket.write(`Error: ${error instanceof Error ? error.message : String(error)}\r\n${INPUT_PROMPT}`);
+      return true;
+    }
+
+    if (response.close) {
+      socket.end(response.reply);
+      return false;
+    }
+    if (response.command) {
+      socket.write(`${response.reply}${INPUT_PROMPT}`);
+    }
+    return true;
+  }
+}
+
+/**
+ * The parts of a `ws` `WebSocket` the WebSocket adapter uses.
+ */
+export interface WebSocketClientLike {
+  send(data: string): void;
+  close(): void;
+  on(event: "message", listener: (data: unknown) => void): unknown;
+  on(event: "close", listener: () => void): unknown;
+}
+
+/**
+ * The parts of a `ws` `WebSocketServer` the WebSocket adapter uses.
+ */
+export interface WebSocketServerLike {
+  on(event: "connection", listener: (socket: WebSocketClientLike) => void): unknown;
+  off(event: "connection", listener: (socket: WebSocketClientLike) => void): unknown;
+}
+
+function messageText(data: unknown): string {
+  if (typeof data === "string") {
+    return data;
+  }
+  if (Array.isArray(data)) {
+    return Buffer.concat(data as Uint8Array[]).toString("utf8");
+  }
+  if (data instanceof ArrayBuffer) {
+    return Buffer.from(data).toString("utf8");
+  }
+  return Buffer.from(data as Uint8Array).toString("utf8");
+}
+
+/**
+ * Serves an input command channel through a WebSocket server such as `ws`'s `WebSocketServer`. Each
+ * message holds one or more command lines and is answered with one message holding the replies, each
+ * followed by the prompt like on TCP.
+ */
+export class WebSocketInputServer {
+  private readonly channel: InputCommandChannel;
+  private readonly server: WebSocketServerLike;
+  private readonly clients = new Set<WebSocketClientLike>();
+  private readonly onConnection = (socket: WebSocketClientLike): void => this.accept(socket);
+
+  constructor(channel: InputCommandChannel, server: WebSocketServerLike) {
+    this.channel = channel;
+    this.server = server;
+    server.on("connection", this.onConnection);
+  }
+
+  /**
+   * Stops accepting connections and closes the ones accepted so far. The WebSocket server itself is
+   * left running.
+   */
+  close(): void {
+    this.server.off("connection", this.onConnection);
+    for (const client of this.clients) {
+      client.close();
+    }
+    this.clients.clear();
+  }
+
+  private accept(socket: WebSocketClientLike): void {
+    this.clients.add(socket);
+    socket.on("close", () => this.clients.delete(socket));
+    socket.send(`${INPUT_GREETING}${INPUT_PROMPT}`);
+    socket.on("message", (data) => {
+      let reply = "";
+      for (const line of messageText(data).split("\n")) {
+        let response;
+        try {
+          response = this.channel.respond(line);
+        } catch (error) {
+          reply += `Error: ${error instanceof Error ? error.message : String(error)}\r\n${INPUT_PROMPT}`;
+          continue;
+        }
+
+        if (response.close) {
+          socket.send(reply + response.reply);
+          socket.close();
+          return;
+        }
+        if (response.command) {
+          reply += `${response.reply}${INPUT_PROMPT}`;
+        }
+      }
+      if (reply) {
+        socket.send(reply);
+      }
+    });
+  }
+}
@@ -0,0 +1,445 @@
+import { availableParallelism } from "node:os";
+import { Worker } from "node:worker_threads";
+import type { RunResult, RunStopReason } from "../sdk/jsbsim-sdk";
+import type { BinaryLike } from "../sdk/types";
+import { wasmModuleUrl } from "../wasm";
+import {
+  JSBSimWorkerClient,
+  type JSBSimTelemetryListener,
+  type JSBSimWorkerClientOptions,
+} from "../worker/client";
+import type { WorkerEndpoint } from "../worker/protocol";
+
+const DEFAULT_MAX_SCRIPT_TIME = 86_400;
+
+/**
+ * Runtime-relative file path to contents.
+ */
+export type JSBSimPoolFiles = Record<string, BinaryLike>;
+
+export interface JSBSimPoolOptions {
+  /**
+   * Number of workers, which is also the number of jobs run at once.
+   * Defaults to one less than the available parallelism (at least 1).
+   */
+  size?: number;
+  /**
+   * URL or path of the worker entry. Defaults to the packaged `worker.js` next to this module.
+   */
+  workerUrl?: string | URL;
+  /**
+   * SDK options for every worker. `moduleUrl` defaults to the packaged wasm module.
+   */
+  sdk?: JSBSimWorkerClientOptions;
+  /**
+   * Files written into each worker's MEMFS once, when the worker starts, e.g. aircraft and engine definitions.
+   */
+  files?: JSBSimPoolFiles;
+  /**
+   * Default per-job timeout in milliseconds. A timed-out worker is terminated and replaced. Defaults to no timeout.
+   */
+  timeout?: number;
+  /**
+   * Simulated seconds a job without `maxTime` may run before it fails for not reaching the end of its
+   * script. Defaults to one day.
+   */
+  maxScriptTime?: number;
+}
+
+export interface JSBSimJob {
+  /**
+   * Identifies the job in its result. Defaults to a sequential id.
+   */
+  id?: string;
+  /**
+   * Runtime-relative script path.
+   */
+  script: string;
+  deltaT?: number;
+  initFile?: string;
+  /**
+   * Property values applied after the script is loaded and before `runIc()`, e.g. `ic/h-sl-ft`.
+   */
+  initOverrides?: Record<string, number>;
+  /**
+   * Properties sampled into the result.
+   */
+  record?: string[];
+  /**
+   * Record every N-th frame. Defaults to 1.
+   */
+  every?: number;
+  /**
+   * Simulated seconds to run. Defaults to running until the script ends, failing the job if that takes
+   * longer than `maxScriptTime`.
+   */
+  maxTime?: number;
+  /**
+   * Overrides the pool's `maxScriptTime` for this job.
+   */
+  maxScriptTime?: number;
+  /**
+   * Overrides the pool's default timeout for this job.
+   */
+  timeout?: number;
+  /**
+   * Files written before the script is loaded. They stay in that worker's MEMFS for later jobs.
+   */
+  files?: JSBSimPoolFiles;
+}
+
+export type JSBSimJobStatus = "completed" | "failed" | "timeout";
+
+export interface JSBSimJobResult {
+  id: string;
+  job: JSBSimJob;
+  status: JSBSimJobStatus;
+  error?: Error;
+  /**
+   * Why the run stopped, when the job completed.
+   */
+  reason?: RunStopReason;
+  simTime: number;
+  frames: number;
+  /**
+   * Sim time of every recorded sample.
+   */
+  time: Float64Array;
+  /**
+   * Recorded samples per property in `job.record`, aligned with `time`.
+   */
+  values: Record<string, Float64Array>;
+  durationMs: number;
+}
+
+export interface JSBSimPoolRunAllOptions {
+  /**
+   * Maximum jobs of this batch in flight at once. Defaults to the pool size.
+   */
+  concurrency?: number;
+  /**
+   * Called as each job finishes, in completion order.
+   */
+  onResult?: (result: JSBSimJobResult) => void;
+}
+
+interface PoolSlot {
+  worker: Worker | null;
+  client: JSBSimWorkerClient | null;
+  /**
+   * Rejects when the current worker errors or exits.
+   */
+  crashed: Promise<never>;
+  exited: boolean;
+  busy: boolean;
+  broken: boolean;
+}
+
+interface QueuedJob {
+  id: string;
+  job: JSBSimJob;
+  resolve: (result: JSBSimJobResult) => void;
+  reject: (error: Error) => void;
+}
+
+interface Recording {
+  time: number[];
+  values: number[][];
+}
+
+/**
+ * Runs batches of JSBSim scripts across a pool of Node `worker_threads` workers. Each worker keeps one
+ * wasm module, with the shared files preloaded once, and gets a fresh `FGFDMExec` per job.
+ * Crashed or timed-out workers are replaced; their job fails without affecting the rest of the batch.
+ */
+export class JSBSimPool {
+  readonly size: number;
+  private readonly workerUrl: string | URL;
+  private readonly sdkOptions: JSBSimWorkerClientOptions;
+  private readonly files: JSBSimPoolFiles;
+  private readonly timeout: number | undefined;
+  private readonly maxScriptTime: number;
+  private readonly slots: PoolSlot[];
+  private readonly queue: QueuedJob[] = [];
+  private closed = false;
+  private nextJobId = 1;
+
+  private constructor(options: JSBSimPoolOptions) {
+    this.size = options.size ?? Math.max(1, availableParallelism() - 1);
+    if (!(Number.isInteger(this.size) && this.size > 0)) {
+      throw new Error(`Invalid pool size: ${this.size}. Expected a positive integer.`);
+    }
+
+    this.workerUrl = options.workerUrl ?? new URL("./worker.js", import.meta.url);
+    this.sdkOptions = { moduleUrl: wasmModuleUrl, ...options.sdk };
+    this.files = options.files ?? {};
+    this.timeout = options.timeout;
+    this.maxScriptTime = options.maxScriptTime ?? DEFAULT_MAX_SCRIPT_TIME;
+    this.slots = Array.from({ length: this.size }, () => ({
+      worker: null,
+      client: null,
+      crashed: new Promise<never>(() => undefined),
+      exited: false,
+      busy: false,
+      broken: false,
+    }));
+  }
+
+  /**
+   * Starts every worker and preloads the shared files. Rejects if any worker fails to start.
+   */
+  static async create(options: JSBSimPoolOptions = {}): Promise<JSBSimPool> {
+    const pool = new JSBSimPool(options);
+    try {
+      await Promise.all(pool.slots.map((slot) => pool.startWorker(slot)));
+    } catch (error) {
+      await pool.close();
+      throw error;
+    }
+    return pool;
+  }
+
+  /**
+   * Jobs waiting for a free worker.
+   */
+  get pending(): number {
+    return this.queue.length;
+  }
+
+  /**
+   * Jobs currently running.
+   */
+  get active(): number {
+    return this.slots.filter((slot) => slot.busy).length;
+  }
+
+  /**
+   * Queues a job. Resolves with its result whether it completed, failed or timed out;
+   * rejects only if the pool is closed or has no workers left.
+   */
+  run(job: JSBSimJob): Promise<JSBSimJobResult> {
+    if (this.closed) {
+      return Promise.reject(new Error("JSBSim pool is closed."));
+    }
+
+    const id = job.id ?? `job-${this.nextJobId}`;
+    this.nextJobId += 1;
+
+    return new Promise<JSBSimJobResult>((resolve, reject) => {
+      this.queue.push({ id, job, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Runs a batch and resolves with results in job order.
+   */
+  async runAll(jobs: readonly JSBSimJob[], options: JSBSimPoolRunAllOptions = {}): Promise<JSBSimJobResult[]> {
+    const concurrency = Math.max(1, Math.min(options.concurrency ?? this.size, jobs.length));
+    const results: JSBSimJobResult[] = new Array(jobs.length);
+    let next = 0;
+
+    const lane = async (): Promise<void> => {
+      while (next < jobs.length) {
+        const index = next;
+        next += 1;
+        const result = await this.run(jobs[index] as JSBSimJob);
+        results[index] = result;
+        options.onResult?.(result);
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, lane));
+    return results;
+  }
+
+  /**
+   * Rejects queued jobs and terminates every worker. Running jobs fail.
+   */
+  async close(): Promise<void> {
+    this.closed = true;
+    this.rejectQueue(new Error("JSBSim pool was closed."));
+    await Promise.all(
+      this.slots.map(async (slot) => {
+        const worker = slot.worker;
+        slot.worker = null;
+        slot.client = null;
+        await worker?.terminate();
+      }),
+    );
+  }
+
+  private async startWorker(slot: PoolSlot): Promise<void> {
+    const worker = new Worker(this.workerUrl);
+    const crashed = new Promise<never>((_, reject) => {
+      const fail = (error: Error): void => {
+        if (slot.worker === worker) {
+          slot.exited = true;
+        }
+        reject(error);
+      };
+      worker.once("error", fail);
+      worker.once("exit", (code) => fail(new Error(`JSBSim pool worker exited with code ${code}.`)));
+    });
+    crashed.catch(() => undefined);
+    slot.worker = worker;
+    slot.crashed = crashed;
+    slot.exited = false;
+
+    const client = await Promise.race([
+      JSBSimWorkerClient.create(worker as unknown as WorkerEndpoint, this.sdkOptions),
+      crashed,
+    ]);
+    await Promise.race([this.writeFiles(client, this.files), crashed]);
+
+    if (slot.worker !== worker) {
+      // Closed while starting.
+      return;
+    }
+    slot.client = client;
+    this.dispatch();
+  }
+
+  private replaceWorker(slot: PoolSlot): void {
+    const worker = slot.worker;
+    slot.worker = null;
+    slot.client = null;
+    void worker?.terminate();
+
+    if (this.closed) {
+      return;
+    }
+
+    this.startWorker(slot).catch((error: Error) => {
+      slot.broken = true;
+      if (this.slots.every((candidate) => candidate.broken)) {
+        this.rejectQueue(new Error(`JSBSim pool has no workers left: ${error.message}`));
+      }
+    });
+  }
+
+  private dispatch(): void {
+    for (const slot of this.slots) {
+      if (this.queue.length === 0) {
+        return;
+      }
+      if (slot.busy || !slot.client) {
+        continue;
+      }
+
+      const queued = this.queue.shift() as QueuedJob;
+      void this.runOnSlot(slot, slot.client, queued);
+    }
+  }
+
+  private async runOnSlot(slot: PoolSlot, client: JSBSimWorkerClient, queued: QueuedJob): Promise<void> {
+    slot.busy = true;
+    const startedAt = performance.now();
+    const recording: Recording = { time: [], values: (queued.job.record ?? []).map(() => []) };
+    const result: JSBSimJobResult = {
+      id: queued.id,
+      job: queued.job,
+      status: "completed",
+      simTime: 0,
+      frames: 0,
+      time: new Float64Array(0),
+      values: {},
+      durationMs: 0,
+    };
+
+    const timeoutMs = queued.job.timeout ?? this.timeout;
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    let timedOut = false;
+    const timeout = new Promise<never>((_, reject) => {
+      if (timeoutMs !== undefined && timeoutMs > 0) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          reject(new Error(`JSBSim job "${queued.id}" timed out after ${timeoutMs} ms.`));
+        }, timeoutMs);
+      }
+    });
+
+    const listener: JSBSimTelemetryListener = (sample) => {
+      recording.time.push(sample.simTime);
+      sample.values.forEach((value, index) => recording.values[index]?.push(value));
+    };
+    client.on("telemetry", listener);
+
+    let healthy = true;
+    try {
+      const run = await Promise.race([this.execute(client, queued.job), slot.crashed, timeout]);
+      result.reason = run.reason;
+      result.simTime = run.simTime;
+      result.frames = run.frames;
+    } catch (error) {
+      result.status = timedOut ? "timeout" : "failed";
+      result.error = error instanceof Error ? error : new Error(String(error));
+      // A timed-out worker is likely still inside wasm and cannot be interrupted, and a wasm trap
+      // can leave the module in an inconsistent state.
+      healthy = !timedOut && !slot.exited && result.error.name !== "RuntimeError";
+    } finally {
+      clearTimeout(timer);
+      client.off("telemetry", listener);
+    }
+
+    result.time = Float64Array.from(recording.time);
+    (queued.job.record ?? []).forEach((path, index) => {
+      result.values[path] = Float64Array.from(recording.values[index] ?? []);
+    });
+    result.durationMs = performance.now() - startedAt;
+
+    slot.busy = false;
+    if (!healthy) {
+      this.replaceWorker(slot);
+    }
+    queued.resolve(result);
+    this.dispatch();
+  }
+
+  private async execute(client: JSBSimWorkerClient, job: JSBSimJob): Promise<RunResult> {
+    await client.reset();
+    await this.writeFiles(client, job.files ?? {});
+
+    if (!(await client.loadScript(job.script, job.deltaT ?? 0, job.initFile ?? ""))) {
+      throw new Error(`Failed to load script "${job.script}".`);
+    }
+
+    await Promise.all(
+      Object.entries(job.initOverrides ?? {}).map(([path, value]) => client.setPropertyValue(path, value)),
+    );
+
+    if (!(await client.runIc())) {
+      throw new Error(`Failed to initialize script "${job.script}".`);
+    }
+
+    if (job.record && job.record.length > 0) {
+      await client.startTelemetry({ properties: job.record, ...(job.every === undefined ? {} : { every: job.every }) });
+    }
+
+    let run: RunResult;
+    if (job.maxTime !== undefined) {
+      run = await client.runFor(job.maxTime);
+    } else {
+      const maxScriptTime = job.maxScriptTime ?? this.maxScriptTime;
+      run = await client.runFor(maxScriptTime);
+      if (run.reason !== "scriptEnded") {
+        throw new Error(`Script "${job.script}" did not end within ${maxScriptTime} simulated seconds.`);
+      }
+    }
+
+    if (job.record && job.record.length > 0) {
+      await client.stopTelemetry();
+    }
+    return run;
+  }
+
+  private async writeFiles(client: JSBSimWorkerClient, files: JSBSimPoolFiles): Promise<void> {
+    await Promise.all(Object.entries(files).map(([path, data]) => client.writeDataFile(path, data)));
+  }
+
+  private rejectQueue(error: Error): void {
+    for (const queued of this.queue.splice(0)) {
+      queued.reject(error);
+    }
+  }
+}
@@ -0,0 +1,130 @@
+import { createSocket, type Socket as UdpSocket } from "node:dgram";
+import { createConnection, isIPv6, type Socket as TcpSocket } from "node:net";
+import type { SocketOutputRecord, SocketOutputTransport } from "../sdk/socket-output";
+import type { SocketOutputChannel } from "../sdk/types";
+
+export interface NodeSocketTransportOptions {
+  /**
+   * Destination host. Defaults to the host in the output directive.
+   */
+  host?: string;
+  /**
+   * Destination port. Defaults to the port in the output directive.
+   */
+  port?: number;
+  onError?: (error: Error, channel: SocketOutputChannel) => void;
+}
+
+/**
+ * Sends each socket output record as one UDP datagram.
+ */
+export class UdpSocketTransport implements SocketOutputTransport {
+  private readonly options: NodeSocketTransportOptions;
+  private readonly sockets = new Map<"udp4" | "udp6", UdpSocket>();
+
+  constructor(options: NodeSocketTransportOptions = {}) {
+    this.options = options;
+  }
+
+  send(record: SocketOutputRecord): void {
+    const host = this.options.host ?? record.channel.host;
+    const port = this.options.port ?? record.channel.port;
+    const onError = (error: Error | null): void => {
+      if (error) {
+        this.options.onError?.(error, record.channel);
+      }
+    };
+    try {
+      this.socket(isIPv6(host) ? "udp6" : "udp4").send(record.data, port, host, onError);
+    } catch (error) {
+      // Invalid ports and addresses throw instead of reaching the callback.
+      if (!this.options.onError) {
+        throw error;
+      }
+      onError(error as Error);
+    }
+  }
+
+  /**
+   * Closes the UDP sockets.
+   */
+  dispose(): void {
+    for (const socket of this.sockets.values()) {
+      socket.close();
+    }
+    this.sockets.clear();
+  }
+
+  private socket(type: "udp4" | "udp6"): UdpSocket {
+    let socket = this.sockets.get(type);
+    if (!socket) {
+      socket = createSocket(type);
+      socket.unref();
+      this.sockets.set(type, socket);
+    }
+    return socket;
+  }
+}
+
+/**
+ * Streams socket output over one TCP connection per channel. A connection that fails or is closed by
+ * the peer is reopened on the channel's next record.
+ */
+export class TcpSocketTransport implements SocketOutputTransport {
+  private readonly options: NodeSocketTransportOptions;
+  private readonly connections = new Map<number, TcpSocket>();
+
+  constructor(options: NodeSocketTransportOptions = {}) {
+    this.options = options;
+  }
+
+  send(record: SocketOutputRecord): void {
+    let connection: TcpSocket;
+    try {
+      connection = this.connection(record.channel);
+    } catch (error) {
+      // Invalid ports throw instead of emitting `error`.
+      if (!this.options.onError) {
+        throw error;
+      }
+      this.options.onError(error as Error, record.channel);
+      return;
+    }
+    connection.write(record.data);
+  }
+
+  close(channel: SocketOutputChannel): void {
+    this.connections.get(channel.id)?.end();
+    this.connections.delete(channel.id);
+  }
+
+  /**
+   * Closes every connection.
+   */
+  dispose(): void {
+    for (const connection of this.connections.values()) {
+      connection.destroy();
+    }
+    this.connections.clear();
+  }
+
+  private connection(channel: SocketOutputChannel): TcpSocket {
+    let connection = this.connections.get(channel.id);
+    if (!connection) {
+      const socket = createConnection({
+        host: this.options.host ?? channel.host,
+        port: this.options.port ?? channel.port,
+      });
+      socket.setNoDelay(true);
+      socket.on("error", (error) => this.options.onError?.(error, channel));
+      socket.on("close", () => {
+        if (this.connections.get(channel.id) === socket) {
+          this.connections.delete(channel.id);
+        }
+      });
+      this.connections.set(channel.id, socket);
+      connection = socket;
+    }
+    return connection;
+  }
+}
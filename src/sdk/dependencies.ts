@@ -0,0 +1,499 @@
+import type { JSBSimSdk, LoadModelOptions } from "./jsbsim-sdk";
+import type { BinaryLike } from "./types";
+
+const SEPARATOR = "/";
+const XML_EXTENSION = ".xml";
+
+export type DependencyKind =
+  | "script"
+  | "aircraft"
+  | "initialization"
+  | "engine"
+  | "thruster"
+  | "system"
+  | "file";
+
+/**
+ * Fetches a file that is missing from MEMFS. `path` is relative to the runtime root (absolute if the
+ * candidate lies outside it), e.g. `aircraft/c172x/Engines/eng_io320.xml`. Return null or undefined when
+ * the file does not exist at that location; the resolver then tries JSBSim's next search location.
+ */
+export type DependencyLoader = (path: string, request: DependencyRequest) => Promise<BinaryLike | null | undefined>;
+
+export interface DependencyRequest {
+  kind: DependencyKind;
+  /**
+   * Reference as written in the referencing file, e.g. the `file` attribute.
+   */
+  reference: string;
+  /**
+   * Runtime path of the referencing file; undefined for the model or script being resolved.
+   */
+  referencedBy: string | undefined;
+}
+
+export interface DependencyResolveOptions {
+  loader?: DependencyLoader;
+}
+
+export interface ModelDependencyOptions extends LoadModelOptions, DependencyResolveOptions {}
+
+/**
+ * `cycle` marks a reference leading back to a file that (indirectly) references it; JSBSim would follow
+ * it until it runs out of stack.
+ */
+export type DependencyDiagnosticCode = "unresolved" | "loaderFailed" | "invalidXml" | "cycle";
+
+/**
+ * A reference that could not be satisfied. Dependencies of an unresolved file are not checked.
+ */
+export interface DependencyDiagnostic {
+  code: DependencyDiagnosticCode;
+  kind: DependencyKind;
+  reference: string;
+  referencedBy: string | undefined;
+  /**
+   * Runtime paths that were checked (and offered to the loader), in JSBSim's search order.
+   */
+  candidates: string[];
+  message: string;
+  error?: unknown;
+}
+
+export interface DependencyNode {
+  path: string;
+  kind: DependencyKind;
+  /**
+   * True if the file was written by the loader during this call.
+   */
+  fetched: boolean;
+  /**
+   * Runtime paths of the files this one references, in document order.
+   */
+  dependencies: string[];
+}
+
+export interface DependencyResolution {
+  /**
+   * Runtime path of the model or script that was resolved.
+   */
+  root: string;
+  /**
+   * Every resolved file keyed by runtime path.
+   */
+  nodes: Map<string, DependencyNode>;
+  fetched: string[];
+  diagnostics: DependencyDiagnostic[];
+  /**
+   * True if every reference resolved.
+   */
+  complete: boolean;
+}
+
+interface Reference {
+  kind: DependencyKind;
+  reference: string;
+  candidates: string[];
+  /**
+   * Finds the references of the resolved file. Omitted for leaf files.
+   */
+  discover?: (xml: string) => Reference[];
+}
+
+interface SearchPaths {
+  aircraftDir: string;
+  enginePath: string;
+  systemsPath: string;
+}
+
+interface XmlElement {
+  name: string;
+  attributes: Record<string, string>;
+}
+
+const XML_IGNORED = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>/g;
+const XML_TAG = /<([A-Za-z_][\w:.-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*\/?>/g;
+const XML_ATTRIBUTE = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const XML_ENTITIES: Record<string, string> = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+/**
+ * Start tags with their attributes, in document order. Only as much XML as reference discovery needs.
+ */
+function scanElements(xml: string): XmlElement[] {
+  const elements: XmlElement[] = [];
+  for (const tag of xml.replace(XML_IGNORED, "").matchAll(XML_TAG)) {
+    const attributes: Record<string, string> = {};
+    for (const attribute of (tag[2] ?? "").matchAll(XML_ATTRIBUTE)) {
+      attributes[attribute[1] as string] = decodeEntities(attribute[2] ?? attribute[3] ?? "");
+    }
+    elements.push({ name: tag[1] as string, attributes });
+  }
+  return elements;
+}
+
+function decodeEntities(value: string): string {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity: string) => {
+    if (entity.startsWith("#x") || entity.startsWith("#X")) {
+      return String.fromCodePoint(Number.parseInt(entity.slice(2), 16));
+    }
+    if (entity.startsWith("#")) {
+      return String.fromCodePoint(Number.parseInt(entity.slice(1), 10));
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Normalizes an absolute path, resolving `.` and `..` segments.
+ */
+function normalizeAbsolute(path: string): string {
+  const parts: string[] = [];
+  for (const part of path.split(SEPARATOR)) {
+    if (part === "" || part === ".") {
+      continue;
+    }
+    if (part === "..") {
+      parts.pop();
+    } else {
+      parts.push(part);
+    }
+  }
+  return `${SEPARATOR}${parts.join(SEPARATOR)}`;
+}
+
+/**
+ * JSBSim's `GetFullPath`/`CheckPathName`: relative names are joined to `dir`, and `.xml` is appended
+ * unless the name already ends with it.
+ */
+function candidatePath(dir: string, name: string, appendExtension = true): string {
+  const path = name.startsWith(SEPARATOR) ? name : `${dir}${SEPARATOR}${name}`;
+  return normalizeAbsolute(appendExtension && !path.endsWith(XML_EXTENSION) ? `${path}${XML_EXTENSION}` : path);
+}
+
+function uniquePaths(paths: string[]): string[] {
+  return [...new Set(paths)];
+}
+
+/**
+ * References in an aircraft (or included) file, with candidates in the order JSBSim searches them:
+ * `FGModel` looks in the aircraft directory, `FGPropulsion` adds `Engines/` and the engine path for engines
+ * and thrusters, and `FGFCS` adds `Systems/` and the systems path for `<system>` files.
+ */
+function modelReferences(xml: string, paths: SearchPaths): Reference[] {
+  const references: Reference[] = [];
+  for (const element of scanElements(xml)) {
+    const file = element.attributes.file ?? (element.name === "include" ? element.attributes.href : undefined);
+    if (!file) {
+      continue;
+    }
+
+    const inAircraftDir = candidatePath(paths.aircraftDir, file);
+    const discover = (child: string): Reference[] => modelReferences(child, paths);
+    switch (element.name) {
+      case "engine":
+      case "thruster":
+        references.push({
+          kind: element.name,
+          reference: file,
+          candidates: uniquePaths([
+            inAircraftDir,
+            candidatePath(`${paths.aircraftDir}/Engines`, file),
+            candidatePath(paths.enginePath, file),
+          ]),
+          discover,
+        });
+        break;
+      case "system":
+        references.push({
+          kind: "system",
+          reference: file,
+          candidates: uniquePaths([
+            inAircraftDir,
+            candidatePath(`${paths.aircraftDir}/Systems`, file),
+            candidatePath(paths.systemsPath, file),
+          ]),
+          discover,
+        });
+        break;
+      default:
+        references.push({ kind: "file", reference: file, candidates: [inAircraftDir], discover });
+        break;
+    }
+  }
+  return references;
+}
+
+function edgeKey(from: string, to: string): string {
+  return `${from}\n${to}`;
+}
+
+/**
+ * Walks the reference graph from a root file, fetching missing files through the loader.
+ */
+class DependencyWalker {
+  readonly nodes = new Map<string, DependencyNode>();
+  readonly fetched: string[] = [];
+  readonly diagnostics: DependencyDiagnostic[] = [];
+  private readonly sdk: JSBSimSdk;
+  private readonly loader: DependencyLoader | undefined;
+  private readonly pending = new Map<string, Promise<string | null>>();
+  private readonly loads = new Map<string, Promise<BinaryLike | null | undefined>>();
+  /**
+   * Reference behind each dependency edge, for cycle diagnostics.
+   */
+  private readonly edges = new Map<string, Reference>();
+
+  constructor(sdk: JSBSimSdk, loader: DependencyLoader | undefined) {
+    this.sdk = sdk;
+    this.loader = loader;
+  }
+
+  result(root: string): DependencyResolution {
+    return {
+      root,
+      nodes: this.nodes,
+      fetched: this.fetched,
+      diagnostics: this.diagnostics,
+      complete: this.diagnostics.length === 0,
+    };
+  }
+
+  /**
+   * Makes the first available candidate present in MEMFS and returns its path, or null after
+   * recording a diagnostic.
+   */
+  async provide(reference: Reference, referencedBy: string | undefined): Promise<{ path: string; fetched: boolean } | null> {
+    const existing = reference.candidates.find((candidate) => this.exists(candidate));
+    if (existing) {
+      return { path: existing, fetched: false };
+    }
+
+    if (this.loader) {
+      const request: DependencyRequest = { kind: reference.kind, reference: reference.reference, referencedBy };
+      for (const candidate of reference.candidates) {
+        let data: BinaryLike | null | undefined;
+        try {
+          data = await this.load(candidate, request);
+        } catch (error) {
+          this.report("loaderFailed", reference, referencedBy, `Loader failed for ${this.loaderPath(candidate)}.`, error);
+          return null;
+        }
+
+        if (data !== null && data !== undefined) {
+          // A concurrent branch may have fetched the same file already.
+          if (!this.exists(candidate)) {
+            this.sdk.vfs.writeRuntimeFile(candidate, data);
+            this.fetched.push(candidate);
+          }
+          return { path: candidate, fetched: true };
+        }
+      }
+    }
+
+    const searched = reference.candidates.join(", ");
+    this.report("unresolved", reference, referencedBy, `Unresolved ${reference.kind} reference "${reference.reference}". Searched: ${searched}.`);
+    return null;
+  }
+
+  /**
+   * Provides a referenced file, then its own references. Each path is visited once.
+   */
+  async visit(reference: Reference, referencedBy: string | undefined): Promise<string | null> {
+    const provided = await this.provide(reference, referencedBy);
+    if (!provided) {
+      return null;
+    }
+
+    // A file already being visited is awaited by the branch that reached it first; awaiting it here
+    // as well would deadlock on reference cycles, which `reportCycles()` reports instead.
+    const { path } = provided;
+    if (this.pending.has(path)) {
+      return path;
+    }
+
+    const node: DependencyNode = { path, kind: reference.kind, fetched: provided.fetched, dependencies: [] };
+    this.nodes.set(path, node);
+    const task = (async (): Promise<string | null> => {
+      const xml = this.readXml(path, reference, referencedBy);
+      if (xml === null || !reference.discover) {
+        return path;
+      }
+
+      const references = reference.discover(xml);
+      const children = await Promise.all(references.map((child) => this.visit(child, path)));
+      children.forEach((child, index) => {
+        if (child !== null && !this.edges.has(edgeKey(path, child))) {
+          this.edges.set(edgeKey(path, child), references[index] as Reference);
+        }
+      });
+      node.dependencies = uniquePaths(children.filter((child): child is string => child !== null));
+      return path;
+    })();
+    this.pending.set(path, task);
+    return task;
+  }
+
+  /**
+   * Reports every dependency that leads back to a file on the current path from `root`.
+   */
+  reportCycles(root: string): void {
+    const done = new Set<string>();
+    const walk = (path: string, ancestors: string[]): void => {
+      for (const dependency of this.nodes.get(path)?.dependencies ?? []) {
+        const ancestor = ancestors.indexOf(dependency);
+        if (ancestor !== -1) {
+          const cycle = [...ancestors.slice(ancestor), dependency].join(" -> ");
+          this.report("cycle", this.edges.get(edgeKey(path, dependency)) as Reference, path, `Reference cycle: ${cycle}.`);
+        } else if (!done.has(dependency)) {
+          walk(dependency, [...ancestors, dependency]);
+        }
+      }
+      done.add(path);
+    };
+    walk(root, [root]);
+  }
+
+  readXml(path: string, reference: Reference, referencedBy: string | undefined): string | null {
+    const xml = this.sdk.vfs.readRuntimeFile(path, "utf8") as string;
+    if (scanElements(xml).length === 0) {
+      this.report("invalidXml", reference, referencedBy, `${path} contains no XML elements.`);
+      return null;
+    }
+    return xml;
+  }
+
+  /**
+   * Calls the loader once per candidate path, even when several files reference it concurrently.
+   */
+  private load(path: string, request: DependencyRequest): Promise<BinaryLike | null | undefined> {
+    let load = this.loads.get(path);
+    if (!load) {
+      load = (this.loader as DependencyLoader)(this.loaderPath(path), request);
+      this.loads.set(path, load);
+    }
+    return load;
+  }
+
+  private exists(path: string): boolean {
+    return this.sdk.vfs.fs.analyzePath(path).exists;
+  }
+
+  private loaderPath(path: string): string {
+    const root = this.sdk.vfs.runtimeRoot;
+    if (root === SEPARATOR) {
+      return path.slice(1);
+    }
+    return path.startsWith(`${root}${SEPARATOR}`) ? path.slice(root.length + 1) : path;
+  }
+
+  private report(
+    code: DependencyDiagnosticCode,
+    reference: Reference,
+    referencedBy: string | undefined,
+    message: string,
+    error?: unknown,
+  ): void {
+    const diagnostic: DependencyDiagnostic = {
+      code,
+      kind: reference.kind,
+      reference: reference.reference,
+      referencedBy,
+      candidates: [...reference.candidates],
+      message,
+    };
+    if (error !== undefined) {
+      diagnostic.error = error;
+    }
+    this.diagnostics.push(diagnostic);
+  }
+}
+
+function rootDir(sdk: JSBSimSdk): string {
+  return normalizeAbsolute(sdk.vfs.resolveRuntimePath(sdk.getRootDir() || sdk.vfs.runtimeRoot));
+}
+
+/**
+ * Search paths for `loadModel`: explicit overrides are relative to the root directory, like JSBSim's
+ * `LoadModel(aircraftPath, enginePath, systemsPath, model)`; otherwise the configured paths are used.
+ */
+function modelSearchPaths(sdk: JSBSimSdk, model: string, options: LoadModelOptions): SearchPaths {
+  const root = rootDir(sdk);
+  const overridden = Boolean(options.aircraftPath || options.enginePath || options.systemsPath);
+  const resolve = (configured: string, override: string | undefined, fallback: string): string =>
+    overridden ? candidatePath(root, override ?? fallback, false) : candidatePath(root, configured, false);
+
+  const aircraftPath = resolve(sdk.getAircraftPath(), options.aircraftPath, "aircraft");
+  return {
+    aircraftDir: options.addModelToPath ?? true ? candidatePath(aircraftPath, model, false) : aircraftPath,
+    enginePath: resolve(sdk.getEnginePath(), options.enginePath, "engine"),
+    systemsPath: resolve(sdk.getSystemsPath(), options.systemsPath, "systems"),
+  };
+}
+
+function modelReference(paths: SearchPaths, model: string): Reference {
+  return {
+    kind: "aircraft",
+    reference: model,
+    candidates: [candidatePath(paths.aircraftDir, model)],
+    discover: (xml) => modelReferences(xml, paths),
+  };
+}
+
+/**
+ * Resolves an aircraft model and everything it references, fetching missing files through `options.loader`.
+ */
+export async function resolveModelDependencies(
+  sdk: JSBSimSdk,
+  model: string,
+  options: ModelDependencyOptions = {},
+): Promise<DependencyResolution> {
+  const paths = modelSearchPaths(sdk, model, options);
+  const walker = new DependencyWalker(sdk, options.loader);
+  const reference = modelReference(paths, model);
+  const root = reference.candidates[0] as string;
+  await walker.visit(reference, undefined);
+  walker.reportCycles(root);
+  return walker.result(root);
+}
+
+/**
+ * Resolves a script, the aircraft named by its `<use aircraft>` element with all of that model's
+ * references, and the `<use initialize>` file from the aircraft directory.
+ */
+export async function resolveScriptDependencies(
+  sdk: JSBSimSdk,
+  scriptPath: string,
+  options: DependencyResolveOptions = {},
+): Promise<DependencyResolution> {
+  const walker = new DependencyWalker(sdk, options.loader);
+  const root = candidatePath(rootDir(sdk), scriptPath, false);
+  const script: Reference = {
+    kind: "script",
+    reference: scriptPath,
+    candidates: [root],
+    discover: (xml) => {
+      const use = scanElements(xml).find((element) => element.name === "use");
+      const model = use?.attributes.aircraft;
+      if (!model) {
+        return [];
+      }
+
+      // Scripts load their aircraft with the configured paths, and the init file from the aircraft directory.
+      const paths = modelSearchPaths(sdk, model, {});
+      const references = [modelReference(paths, model)];
+      const initialize = use.attributes.initialize;
+      if (initialize) {
+        references.push({
+          kind: "initialization",
+          reference: initialize,
+          candidates: [candidatePath(paths.aircraftDir, initialize)],
+        });
+      }
+      return references;
+    },
+  };
+
+  await walker.visit(script, undefined);
+  walker.reportCycles(root);
+  return walker.result(root);
+}
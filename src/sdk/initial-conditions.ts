@@ -0,0 +1,349 @@
+import type { JSBSimSdk } from "./jsbsim-sdk";
+
+/**
+ * Initial condition values, named after `FGInitialCondition`'s setters. Speeds, angles and positions
+ * overlap (e.g. `vcalibratedKts`, `vtrueKts` and `mach`), so each one set replaces the others it
+ * determines, like in JSBSim.
+ */
+export interface InitialConditionValues {
+  latitudeDeg: number;
+  longitudeDeg: number;
+  terrainElevationFt: number;
+  altitudeASLFt: number;
+  altitudeAGLFt: number;
+  windNFps: number;
+  windEFps: number;
+  windDFps: number;
+  phiDeg: number;
+  thetaDeg: number;
+  psiDeg: number;
+  uBodyFps: number;
+  vBodyFps: number;
+  wBodyFps: number;
+  vcalibratedKts: number;
+  vtrueKts: number;
+  mach: number;
+  alphaDeg: number;
+  betaDeg: number;
+  flightPathAngleDeg: number;
+  climbRateFpm: number;
+  pRadpsec: number;
+  qRadpsec: number;
+  rRadpsec: number;
+}
+
+export interface InitialConditionXmlOptions {
+  /**
+   * Value of the `name` attribute. Defaults to `"reset"`.
+   */
+  name?: string;
+}
+
+/**
+ * `ic/*` property of each value, in the order `set()` applies them: position before altitude, wind and
+ * attitude before speeds, speeds before the angles derived from them.
+ */
+const IC_PROPERTIES: Readonly<Record<keyof InitialConditionValues, string>> = {
+  latitudeDeg: "ic/lat-gc-deg",
+  longitudeDeg: "ic/long-gc-deg",
+  terrainElevationFt: "ic/terrain-elevation-ft",
+  altitudeASLFt: "ic/h-sl-ft",
+  altitudeAGLFt: "ic/h-agl-ft",
+  windNFps: "ic/vw-north-fps",
+  windEFps: "ic/vw-east-fps",
+  windDFps: "ic/vw-down-fps",
+  phiDeg: "ic/phi-deg",
+  thetaDeg: "ic/theta-deg",
+  psiDeg: "ic/psi-true-deg",
+  uBodyFps: "ic/u-fps",
+  vBodyFps: "ic/v-fps",
+  wBodyFps: "ic/w-fps",
+  vcalibratedKts: "ic/vc-kts",
+  vtrueKts: "ic/vt-kts",
+  mach: "ic/mach",
+  alphaDeg: "ic/alpha-deg",
+  betaDeg: "ic/beta-deg",
+  flightPathAngleDeg: "ic/gamma-deg",
+  climbRateFpm: "ic/roc-fpm",
+  pRadpsec: "ic/p-rad_sec",
+  qRadpsec: "ic/q-rad_sec",
+  rRadpsec: "ic/r-rad_sec",
+};
+
+const IC_KEYS = Object.keys(IC_PROPERTIES) as (keyof InitialConditionValues)[];
+
+function escapeXml(text: string): string {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Typed view of the executive's `FGInitialCondition`, read and written through its `ic/*` properties.
+ * Values take effect on the next `runIc()` (or `apply()`) and are what `resetToInitialConditions()`
+ * returns to.
+ */
+export class InitialConditions implements InitialConditionValues {
+  private readonly sdk: JSBSimSdk;
+
+  constructor(sdk: JSBSimSdk) {
+    this.sdk = sdk;
+  }
+
+  get latitudeDeg(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.latitudeDeg);
+  }
+
+  set latitudeDeg(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.latitudeDeg, value);
+  }
+
+  get longitudeDeg(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.longitudeDeg);
+  }
+
+  set longitudeDeg(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.longitudeDeg, value);
+  }
+
+  get terrainElevationFt(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.terrainElevationFt);
+  }
+
+  set terrainElevationFt(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.terrainElevationFt, value);
+  }
+
+  get altitudeASLFt(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.altitudeASLFt);
+  }
+
+  set altitudeASLFt(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.altitudeASLFt, value);
+  }
+
+  get altitudeAGLFt(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.altitudeAGLFt);
+  }
+
+  set altitudeAGLFt(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.altitudeAGLFt, value);
+  }
+
+  get windNFps(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.windNFps);
+  }
+
+  set windNFps(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.windNFps, value);
+  }
+
+  get windEFps(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.windEFps);
+  }
+
+  set windEFps(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.windEFps, value);
+  }
+
+  get windDFps(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.windDFps);
+  }
+
+  set windDFps(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.windDFps, value);
+  }
+
+  get phiDeg(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.phiDeg);
+  }
+
+  set phiDeg(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.phiDeg, value);
+  }
+
+  get thetaDeg(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.thetaDeg);
+  }
+
+  set thetaDeg(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.thetaDeg, value);
+  }
+
+  get psiDeg(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.psiDeg);
+  }
+
+  set psiDeg(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.psiDeg, value);
+  }
+
+  get uBodyFps(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.uBodyFps);
+  }
+
+  set uBodyFps(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.uBodyFps, value);
+  }
+
+  get vBodyFps(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.vBodyFps);
+  }
+
+  set vBodyFps(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.vBodyFps, value);
+  }
+
+  get wBodyFps(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.wBodyFps);
+  }
+
+  set wBodyFps(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.wBodyFps, value);
+  }
+
+  get vcalibratedKts(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.vcalibratedKts);
+  }
+
+  set vcalibratedKts(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.vcalibratedKts, value);
+  }
+
+  get vtrueKts(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.vtrueKts);
+  }
+
+  set vtrueKts(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.vtrueKts, value);
+  }
+
+  get mach(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.mach);
+  }
+
+  set mach(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.mach, value);
+  }
+
+  get alphaDeg(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.alphaDeg);
+  }
+
+  set alphaDeg(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.alphaDeg, value);
+  }
+
+  get betaDeg(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.betaDeg);
+  }
+
+  set betaDeg(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.betaDeg, value);
+  }
+
+  get flightPathAngleDeg(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.flightPathAngleDeg);
+  }
+
+  set flightPathAngleDeg(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.flightPathAngleDeg, value);
+  }
+
+  get climbRateFpm(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.climbRateFpm);
+  }
+
+  set climbRateFpm(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.climbRateFpm, value);
+  }
+
+  get pRadpsec(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.pRadpsec);
+  }
+
+  set pRadpsec(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.pRadpsec, value);
+  }
+
+  get qRadpsec(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.qRadpsec);
+  }
+
+  set qRadpsec(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.qRadpsec, value);
+  }
+
+  get rRadpsec(): number {
+    return this.sdk.getPropertyValue(IC_PROPERTIES.rRadpsec);
+  }
+
+  set rRadpsec(value: number) {
+    this.sdk.setPropertyValue(IC_PROPERTIES.rRadpsec, value);
+  }
+
+  /**
+   * Reads every value at once.
+   */
+  get(): InitialConditionValues {
+    const values = {} as InitialConditionValues;
+    for (const key of IC_KEYS) {
+      values[key] = this.sdk.getPropertyValue(IC_PROPERTIES[key]);
+    }
+    return values;
+  }
+
+  /**
+   * Sets several values in JSBSim's dependency order, whatever the order of `values`.
+   */
+  set(values: Partial<InitialConditionValues>): void {
+    for (const key of IC_KEYS) {
+      const value = values[key];
+      if (value !== undefined) {
+        this.sdk.setPropertyValue(IC_PROPERTIES[key], value);
+      }
+    }
+  }
+
+  /**
+   * Initializes the simulation from the current values (`runIc()`).
+   */
+  apply(): boolean {
+    return this.sdk.runIc();
+  }
+
+  /**
+   * Reads an `<initialize>` file into the initial conditions without running them.
+   * @param useAircraftPath resolve relative paths against the loaded aircraft's directory, like
+   * `<use initialize>` in scripts. Defaults to true.
+   */
+  load(file: string, useAircraftPath = true): boolean {
+    return this.sdk.loadInitialConditions(file, useAircraftPath);
+  }
+
+  /**
+   * Writes the current values as a version 1 `<initialize>` file that `load()` and scripts accept. The
+   * state is captured as position, attitude, body velocities and horizontal wind; body rates and
+   * vertical wind are not part of the format.
+   */
+  toXml(options: InitialConditionXmlOptions = {}): string {
+    const element = (name: string, unit: string, property: string): string =>
+      `  <${name} unit="${unit}"> ${this.sdk.getPropertyValue(property)} </${name}>\n`;
+
+    return (
+      `<?xml version="1.0"?>\n` +
+      `<initialize name="${escapeXml(options.name ?? "reset")}">\n` +
+      element("latitude", "DEG", "ic/lat-gc-deg") +
+      element("longitude", "DEG", "ic/long-gc-deg") +
+      element("elevation", "FT", "ic/terrain-elevation-ft") +
+      element("altitudeMSL", "FT", "ic/h-sl-ft") +
+      element("phi", "DEG", "ic/phi-deg") +
+      element("theta", "DEG", "ic/theta-deg") +
+      element("psi", "DEG", "ic/psi-true-deg") +
+      element("ubody", "FT/SEC", "ic/u-fps") +
+      element("vbody", "FT/SEC", "ic/v-fps") +
+      element("wbody", "FT/SEC", "ic/w-fps") +
+      element("vwind", "FT/SEC", "ic/vw-mag-fps") +
+      element("winddir", "DEG", "ic/vw-dir-deg") +
+      `</initialize>\n`
+    );
+  }
+}
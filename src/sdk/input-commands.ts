@@ -0,0 +1,185 @@
+import type { JSBSimSdk } from "./jsbsim-sdk";
+
+/**
+ * Prompt JSBSim's input socket sends after every reply.
+ */
+export const INPUT_PROMPT = "JSBSim> ";
+
+/**
+ * Greeting JSBSim's input socket sends to a new connection, before the prompt.
+ */
+export const INPUT_GREETING = "Connected to JSBSim server\r\n";
+
+const EOL = "\r\n";
+
+const HELP_TEXT =
+  ` JSBSim Server commands:${EOL}${EOL}` +
+  `   get {property name}${EOL}` +
+  `   set {property name} {value}${EOL}` +
+  `   hold${EOL}` +
+  `   resume${EOL}` +
+  `   iterate {value}${EOL}` +
+  `   help${EOL}` +
+  `   quit${EOL}` +
+  `   info${EOL}${EOL}`;
+
+export interface InputCommandResponse {
+  /**
+   * Lower-cased command name; empty for blank lines.
+   */
+  command: string;
+  /**
+   * Reply text with `\r\n` line endings, without the prompt. Empty for blank lines.
+   */
+  reply: string;
+  /**
+   * True after `quit`; servers close the connection.
+   */
+  close: boolean;
+}
+
+/**
+ * Formats like C++ streams with `setprecision(precision)` and the default float format (`%g`).
+ */
+function formatNumber(value: number, precision: number): string {
+  if (Number.isNaN(value)) {
+    return "nan";
+  }
+  if (!Number.isFinite(value)) {
+    return value > 0 ? "inf" : "-inf";
+  }
+  if (value === 0) {
+    return Object.is(value, -0) ? "-0" : "0";
+  }
+
+  const stripZeros = (digits: string): string => (digits.includes(".") ? digits.replace(/\.?0+$/, "") : digits);
+  const [mantissa = "", exponentText = "0"] = value.toExponential(precision - 1).split("e");
+  const exponent = Number(exponentText);
+  if (exponent < -4 || exponent >= precision) {
+    return `${stripZeros(mantissa)}e${exponent < 0 ? "-" : "+"}${String(Math.abs(exponent)).padStart(2, "0")}`;
+  }
+  return stripZeros(value.toFixed(precision - 1 - exponent));
+}
+
+/**
+ * Parses a leading number like C's `atof`, returning 0 when there is none.
+ */
+function parseDouble(text: string): number {
+  const value = Number.parseFloat(text);
+  return Number.isNaN(value) ? 0 : value;
+}
+
+/**
+ * Implements the command language of JSBSim's input socket (`get`, `set`, `hold`, `resume`, `iterate`,
+ * `info`, `help`, `quit`) on top of the SDK, with the same replies, so tooling written for a native
+ * JSBSim server can drive a wasm instance.
+ */
+export class InputCommandChannel {
+  private readonly sdk: JSBSimSdk;
+
+  constructor(sdk: JSBSimSdk) {
+    this.sdk = sdk;
+  }
+
+  /**
+   * Runs one command per line and returns the concatenated replies.
+   */
+  execute(commands: string): string {
+    return commands
+      .split("\n")
+      .map((line) => this.respond(line).reply)
+      .join("");
+  }
+
+  /**
+   * Runs a single command line.
+   */
+  respond(line: string): InputCommandResponse {
+    const [name = "", argument = "", value = ""] = line.trim().split(/\s+/);
+    const command = name.toLowerCase();
+    const response = (reply: string, close = false): InputCommandResponse => ({ command, reply, close });
+
+    switch (command) {
+      case "":
+        return response("");
+      case "set":
+        return response(this.set(argument, value));
+      case "get":
+        return response(this.get(argument));
+      case "hold":
+        this.sdk.hold();
+        return response(`Holding${EOL}`);
+      case "resume":
+        this.sdk.resume();
+        return response(`Resuming${EOL}`);
+      case "iterate":
+        return response(this.iterate(argument));
+      case "info":
+        return response(this.info());
+      case "help":
+        return response(HELP_TEXT);
+      case "quit":
+        return response(`Closing connection${EOL}`, true);
+      default:
+        return response(`Unknown command: ${name}${EOL}`);
+    }
+  }
+
+  private set(property: string, value: string): string {
+    if (!property) {
+      return `No property argument supplied.${EOL}`;
+    }
+    if (this.sdk.resolvePropertyNode(property) === 0) {
+      return `Unknown property${EOL}`;
+    }
+    if (this.hasChildren(property)) {
+      return `Not a leaf property${EOL}`;
+    }
+
+    this.sdk.setPropertyValue(property, parseDouble(value));
+    return `set successful${EOL}`;
+  }
+
+  private get(property: string): string {
+    if (!property) {
+      return `No property argument supplied.${EOL}`;
+    }
+    if (this.sdk.resolvePropertyNode(property) === 0) {
+      return this.sdk.holding()
+        ? this.sdk.queryPropertyCatalog(property, EOL)
+        : `Must be in HOLD to search properties${EOL}`;
+    }
+
+    return `${property} = ${formatNumber(this.sdk.getPropertyValue(property), 6).padStart(12)}${EOL}`;
+  }
+
+  /**
+   * Runs `count` frames through the SDK and holds, like JSBSim's increment-then-hold.
+   */
+  private iterate(count: string): string {
+    if (!count) {
+      return `No argument supplied for number of iterations.${EOL}`;
+    }
+
+    const steps = Number.parseInt(count, 10);
+    if (!(steps > 0)) {
+      return `Required argument must be a positive Integer.${EOL}`;
+    }
+
+    this.sdk.resume();
+    this.sdk.runSteps(steps);
+    this.sdk.hold();
+    return `Iterations performed${EOL}`;
+  }
+
+  private info(): string {
+    return (
+      `Aircraft simulated: ${this.sdk.getModelName()}${EOL}` +
+      `Simulation time: ${formatNumber(this.sdk.getSimTime(), 3).padStart(8)}${EOL}`
+    );
+  }
+
+  private hasChildren(property: string): boolean {
+    return this.sdk.getPropertyNodeInfo(this.sdk.resolvePropertyNode(property)).childCount > 0;
+  }
+}
@@ -0,0 +1,288 @@
+import type { JSBSimSdk } from "./jsbsim-sdk";
+import type { JSBSimPropertySet } from "./property-set";
+
+export const INPUT_JOURNAL_VERSION = 1;
+
+interface InputJournalEntryBase {
+  /**
+   * Number of frames run since recording started when the input was applied.
+   */
+  step: number;
+  frame: number;
+  simTime: number;
+}
+
+export type InputJournalEntry =
+  | (InputJournalEntryBase & { type: "set"; path: string; value: number })
+  | (InputJournalEntryBase & { type: "setDt"; value: number })
+  | (InputJournalEntryBase & { type: "hold" })
+  | (InputJournalEntryBase & { type: "resume" });
+
+type DistributiveOmit<T, K extends PropertyKey> = T extends unknown ? Omit<T, K> : never;
+
+/**
+ * An input journal entry without its step/frame/time tags.
+ */
+export type InputJournalInput = DistributiveOmit<InputJournalEntry, keyof InputJournalEntryBase>;
+
+export interface InputJournalChecksum {
+  properties: string[];
+  value: string;
+}
+
+/**
+ * Serializable record of the inputs applied during a run.
+ */
+export interface InputJournal {
+  version: number;
+  startFrame: number;
+  startTime: number;
+  deltaT: number;
+  /**
+   * Frames run while recording.
+   */
+  steps: number;
+  entries: InputJournalEntry[];
+  checksum?: InputJournalChecksum;
+}
+
+export interface InputJournalOptions {
+  /**
+   * Properties hashed after every frame into `journal.checksum`.
+   */
+  checksum?: readonly string[];
+}
+
+export interface ReplayOptions {
+  /**
+   * Where replay starts. `initialConditions` (the default) resets to the loaded script's initial conditions,
+   * which reproduces the run exactly when recording started right after `runIc()`; `current` replays from
+   * the current state, e.g. on a fresh SDK that has just loaded the same script.
+   */
+  from?: "initialConditions" | "current";
+  /**
+   * Properties to hash. Defaults to the journal's checksum properties.
+   */
+  checksum?: readonly string[];
+}
+
+export interface ReplayResult {
+  steps: number;
+  simTime: number;
+  /**
+   * True if `run()` returned false before every recorded frame was replayed.
+   */
+  ended: boolean;
+  checksum?: string;
+  /**
+   * Whether `checksum` equals the journal's, when both were computed over the same properties.
+   */
+  matches?: boolean;
+}
+
+/**
+ * Order-sensitive, non-cryptographic 64-bit hash over the exact bits of a stream of doubles.
+ */
+export class Float64Checksum {
+  private readonly value = new Float64Array(1);
+  private readonly bytes = new Uint8Array(this.value.buffer);
+  private high = 0x811c9dc5;
+  private low = 0x050c5d1f;
+
+  update(value: number): void {
+    this.value[0] = value;
+    for (let i = 0; i < 8; i += 1) {
+      const byte = this.bytes[i] as number;
+      this.high = Math.imul(this.high ^ byte, 0x01000193);
+      this.low = Math.imul(this.low ^ byte, 0x5bd1e995);
+      this.low ^= this.low >>> 15;
+    }
+  }
+
+  digest(): string {
+    return (this.high >>> 0).toString(16).padStart(8, "0") + (this.low >>> 0).toString(16).padStart(8, "0");
+  }
+}
+
+/**
+ * Hashes sim time and the given properties after every frame run through the SDK.
+ */
+export class StepChecksum {
+  readonly properties: readonly string[];
+  private readonly sdk: JSBSimSdk;
+  private readonly set: JSBSimPropertySet;
+  private readonly hash = new Float64Checksum();
+  private readonly unsubscribe: () => void;
+
+  constructor(sdk: JSBSimSdk, properties: readonly string[]) {
+    this.sdk = sdk;
+    this.properties = [...properties];
+    this.set = sdk.propertySet(this.properties);
+    this.unsubscribe = sdk.onStep(() => this.update());
+  }
+
+  /**
+   * Stops hashing and returns the digest.
+   */
+  finish(): string {
+    this.unsubscribe();
+    this.set.dispose();
+    return this.hash.digest();
+  }
+
+  private update(): void {
+    this.set.refresh();
+    this.hash.update(this.sdk.getSimTime());
+    for (const value of this.set.values) {
+      this.hash.update(value);
+    }
+  }
+}
+
+/**
+ * Records inputs applied through the SDK (`setPropertyValue`, property handles and sets, `setDt`,
+ * `hold`/`resume`) tagged with the frame they were applied before.
+ */
+export class InputJournalRecorder {
+  private readonly sdk: JSBSimSdk;
+  private readonly entries: InputJournalEntry[] = [];
+  private readonly startFrame: number;
+  private readonly startTime: number;
+  private readonly deltaT: number;
+  private readonly checksum: StepChecksum | null;
+  private readonly unsubscribe: () => void;
+  private readonly onStop: (() => void) | undefined;
+  private steps = 0;
+  private result: InputJournal | null = null;
+
+  constructor(sdk: JSBSimSdk, options: InputJournalOptions = {}, onStop?: () => void) {
+    this.sdk = sdk;
+    this.onStop = onStop;
+    this.startFrame = sdk.getFrame();
+    this.startTime = sdk.getSimTime();
+    this.deltaT = sdk.getDeltaT();
+    this.unsubscribe = sdk.onStep(() => {
+      this.steps += 1;
+    });
+    this.checksum = options.checksum && options.checksum.length > 0 ? new StepChecksum(sdk, options.checksum) : null;
+  }
+
+  get recording(): boolean {
+    return this.result === null;
+  }
+
+  /**
+   * Appends an input. Called by the SDK.
+   */
+  record(input: InputJournalInput): void {
+    if (!this.recording) {
+      return;
+    }
+
+    this.entries.push({
+      ...input,
+      step: this.steps,
+      frame: this.sdk.getFrame(),
+      simTime: this.sdk.getSimTime(),
+    } as InputJournalEntry);
+  }
+
+  /**
+   * Stops recording and returns the journal. Later calls return the same journal.
+   */
+  stop(): InputJournal {
+    if (this.result) {
+      return this.result;
+    }
+
+    this.unsubscribe();
+    const journal: InputJournal = {
+      version: INPUT_JOURNAL_VERSION,
+      startFrame: this.startFrame,
+      startTime: this.startTime,
+      deltaT: this.deltaT,
+      steps: this.steps,
+      entries: [...this.entries],
+    };
+    if (this.checksum) {
+      journal.checksum = { properties: [...this.checksum.properties], value: this.checksum.finish() };
+    }
+
+    this.result = journal;
+    this.onStop?.();
+    return journal;
+  }
+}
+
+/**
+ * Re-applies journal inputs at the recorded steps while running the same number of frames.
+ */
+export function replayJournal(sdk: JSBSimSdk, journal: InputJournal, options: ReplayOptions = {}): ReplayResult {
+  if (journal.version !== INPUT_JOURNAL_VERSION) {
+    throw new Error(`Unsupported input journal version: ${String(journal.version)}. Expected ${INPUT_JOURNAL_VERSION}.`);
+  }
+
+  if ((options.from ?? "initialConditions") === "initialConditions") {
+    sdk.resetToInitialConditions(0);
+  }
+  sdk.setDt(journal.deltaT);
+
+  const checksumProperties = options.checksum ?? journal.checksum?.properties ?? [];
+  const checksum = checksumProperties.length > 0 ? new StepChecksum(sdk, checksumProperties) : null;
+  const entries = [...journal.entries].sort((a, b) => a.step - b.step);
+
+  let next = 0;
+  let steps = 0;
+  let ended = false;
+  let digest: string | undefined;
+  try {
+    for (;;) {
+      while (next < entries.length && (entries[next] as InputJournalEntry).step <= steps) {
+        applyEntry(sdk, entries[next] as InputJournalEntry);
+        next += 1;
+      }
+
+      if (steps >= journal.steps) {
+        break;
+      }
+
+      steps += 1;
+      if (!sdk.run()) {
+        ended = steps < journal.steps;
+        break;
+      }
+    }
+  } finally {
+    digest = checksum?.finish();
+  }
+
+  const result: ReplayResult = { steps, simTime: sdk.getSimTime(), ended };
+  if (digest !== undefined) {
+    result.checksum = digest;
+    if (journal.checksum && sameProperties(journal.checksum.properties, checksumProperties)) {
+      result.matches = journal.checksum.value === digest;
+    }
+  }
+  return result;
+}
+
+function applyEntry(sdk: JSBSimSdk, entry: InputJournalEntry): void {
+  switch (entry.type) {
+    case "set":
+      sdk.setPropertyValue(entry.path, entry.value);
+      break;
+    case "setDt":
+      sdk.setDt(entry.value);
+      break;
+    case "hold":
+      sdk.hold();
+      break;
+    case "resume":
+      sdk.resume();
+      break;
+  }
+}
+
+function sameProperties(a: readonly string[], b: readonly string[]): boolean {
+  return a.length === b.length && a.every((path, index) => path === b[index]);
+}
@@ -1,8 +1,52 @@
-import type { FGFDMExecApi } from "../generated/fgfdmexec-api";
+import type { FGFDMExecApi, SimulationStateData } from "../generated/fgfdmexec-api";
 import { JSBSimApi } from "../generated/jsbsim-api";
-import type { BinaryLike, JSBSimLogEntry, JSBSimRuntimeModule, JSBSimSdkOptions } from "./types";
+import type {
+  BinaryLike,
+  JSBSimLogEntry,
+  JSBSimRuntimeModule,
+  JSBSimSdkOptions,
+  JSBSimSocketEvent,
+  SocketOutputChannel,
+} from "./types";
+import {
+  resolveModelDependencies,
+  resolveScriptDependencies,
+  type DependencyResolution,
+  type DependencyResolveOptions,
+  type ModelDependencyOptions,
+} from "./dependencies";
+import {
+  InputJournalRecorder,
+  replayJournal,
+  type InputJournal,
+  type InputJournalInput,
+  type InputJournalOptions,
+  type ReplayOptions,
+  type ReplayResult,
+} from "./journal";
+import { InitialConditions } from "./initial-conditions";
+import { InputCommandChannel } from "./input-commands";
+import { linearize, type LinearizationOptions, type LinearizationResult } from "./linearization";
 import { loadJSBSimModule } from "./load-module";
-import { WasmVfsManager } from "./vfs";
+import { resolveProperty, type JSBSimProperty, type PropertyHandleOptions } from "./property";
+import { JSBSimPropertySet, type PropertySetOptions } from "./property-set";
+import { resolvePropertyTreeNode, type JSBSimPropertyNode, type PropertyNodeOptions } from "./property-tree";
+import { OutputManager } from "./outputs";
+import { TelemetryRecorder, type TelemetryRecorderOptions } from "./recorder";
+import { SimulationRunner, type SimulationRunnerOptions } from "./runner";
+import { runTrim, type TrimOptions, type TrimResult } from "./trim";
+import type { SocketOutputListener, SocketOutputRecord, SocketOutputTransport } from "./socket-output";
+import type { PersistenceBackend } from "./persistence";
+import type { PersistenceSyncResult } from "./sync";
+import {
+  WasmVfsManager,
+  type ListRuntimeFilesOptions,
+  type RemoveRuntimeOptions,
+  type RuntimeFileStat,
+  type RuntimeFileTree,
+} from "./vfs";
+import { PropertyWatcher, type WatchCallback, type WatchCondition, type WatchOptions } from "./watch";
+import { WorkspaceManager } from "./workspaces";
 
 export interface ConfigurePathsOptions {
   rootDir?: string;
@@ -19,21 +63,96 @@ export interface LoadModelOptions {
   addModelToPath?: boolean;
 }
 
+export type RunStopReason = "predicate" | "scriptEnded" | "maxTime" | "maxSteps";
+
+export interface RunResult {
+  reason: RunStopReason;
+  simTime: number;
+  frames: number;
+}
+
+export interface RunUntilOptions {
+  /**
+   * Simulated seconds, counted from the call, after which to stop.
+   */
+  maxTime?: number;
+  /**
+   * Frames after which to stop. Defaults to 1,000,000 to guard against runaway loops.
+   */
+  maxSteps?: number;
+}
+
+export interface RunUntilState {
+  simTime: number;
+  frames: number;
+}
+
+export type RunUntilPredicate = (state: RunUntilState) => boolean;
+
+const DEFAULT_RUN_UNTIL_MAX_STEPS = 1_000_000;
 const DEFAULT_RUNTIME_ROOT = "/runtime";
 const DEFAULT_IDB_ROOT = "/persist";
+const textDecoder = new TextDecoder();
 
 export type JSBSimSdkLogEvent = "stdout" | "stderr" | "log";
 export type JSBSimSdkLogListener = (entry: JSBSimLogEntry) => void;
+export type JSBSimStepListener = () => void;
+
+export const STATE_SNAPSHOT_VERSION = 1;
+
+/**
+ * Serializable simulation state from `saveState()`. Only valid for the model it was taken from.
+ */
+export interface JSBSimStateSnapshot extends SimulationStateData {
+  version: number;
+}
 
 export class JSBSimSdk extends JSBSimApi {
   readonly module: JSBSimRuntimeModule;
   readonly vfs: WasmVfsManager;
+  /**
+   * Named workspaces in persistent storage, shared by SDKs spawned from the same `create()` call.
+   */
+  readonly workspaces: WorkspaceManager;
+  /**
+   * Parsed CSV and tabular output files from this SDK's output directory.
+   */
+  readonly outputs: OutputManager;
+  /**
+   * JSBSim's input socket command language (`get`, `set`, `hold`, `iterate`, ...), without a socket.
+   */
+  readonly input: InputCommandChannel;
+  /**
+   * Typed initial conditions, applied by `runIc()` and restored by `resetToInitialConditions()`.
+   */
+  readonly ic: InitialConditions;
   private readonly logListeners: Record<JSBSimSdkLogEvent, Set<JSBSimSdkLogListener>>;
-
-  private constructor(module: JSBSimRuntimeModule, exec: FGFDMExecApi, vfs: WasmVfsManager) {
+  private readonly propertySets = new Set<JSBSimPropertySet>();
+  private readonly runners = new Set<SimulationRunner>();
+  private readonly recorders = new Set<TelemetryRecorder>();
+  private readonly watchers = new Set<PropertyWatcher>();
+  private readonly journals = new Set<InputJournalRecorder>();
+  private readonly nodePaths = new Map<number, string>();
+  private readonly stepListeners = new Set<JSBSimStepListener>();
+  private readonly socketTransports = new Set<SocketOutputTransport>();
+  private readonly logGroup: Set<JSBSimSdk>;
+
+  private constructor(
+    module: JSBSimRuntimeModule,
+    exec: FGFDMExecApi,
+    vfs: WasmVfsManager,
+    workspaces: WorkspaceManager,
+    logGroup: Set<JSBSimSdk>,
+  ) {
     super(exec);
     this.module = module;
     this.vfs = vfs;
+    this.workspaces = workspaces;
+    this.outputs = new OutputManager(this);
+    this.input = new InputCommandChannel(this);
+    this.ic = new InitialConditions(this);
+    this.logGroup = logGroup;
+    logGroup.add(this);
     this.logListeners = {
       stdout: new Set(),
       stderr: new Set(),
@@ -72,13 +191,32 @@ export class JSBSimSdk extends JSBSimApi {
     const idbMountPath = options.persistence?.idbMountPath ?? DEFAULT_IDB_ROOT;
 
     const vfs = new WasmVfsManager(module, runtimeRoot, idbMountPath);
+    // Mount first: the initial pull skips host-mounted paths, and a mount needs an empty directory.
+    for (const mount of options.hostMounts ?? []) {
+      vfs.mountHostDirectory(mount.hostPath, mount.runtimePath, mount);
+    }
     if (options.persistence?.enabled) {
-      await vfs.enablePersistence();
+      await vfs.enablePersistence(options.persistence.backend);
+      const autoSync = options.persistence.autoSync;
+      if (autoSync) {
+        vfs.enableAutoSync(autoSync === true ? {} : autoSync);
+      }
     }
 
+    const logGroup = new Set<JSBSimSdk>();
+    module.onSocketOutput = (event) => {
+      for (const member of logGroup) {
+        member.emitSocketEvent(event);
+      }
+    };
+
     const exec = new module.FGFDMExec();
-    const sdk = new JSBSimSdk(module, exec, vfs);
-    emitSdkLog = (entry) => sdk.emitLogEntry(entry);
+    const sdk = new JSBSimSdk(module, exec, vfs, new WorkspaceManager(vfs), logGroup);
+    emitSdkLog = (entry) => {
+      for (const member of logGroup) {
+        member.emitLogEntry(entry);
+      }
+    };
     for (const entry of bufferedLogEntries) {
       emitSdkLog(entry);
     }
@@ -88,6 +226,17 @@ export class JSBSimSdk extends JSBSimApi {
     return sdk;
   }
 
+  /**
+   * Creates another SDK with a fresh `FGFDMExec` on the same runtime module, sharing this SDK's VFS
+   * (and therefore every file already written to MEMFS). Module log output is delivered to all SDKs
+   * spawned from the same `create()` call, since it cannot be attributed to a single executive.
+   */
+  spawn(paths: ConfigurePathsOptions = {}): JSBSimSdk {
+    const sdk = new JSBSimSdk(this.module, new this.module.FGFDMExec(), this.vfs, this.workspaces, this.logGroup);
+    sdk.configurePaths(paths);
+    return sdk;
+  }
+
   /**
    * Registers a handler for JSBSim log output events.
    */
@@ -127,6 +276,60 @@ export class JSBSimSdk extends JSBSimApi {
     }
   }
 
+  /**
+   * Forwards JSBSim's outgoing socket traffic (`SOCKET` and `FLIGHTGEAR` outputs), which cannot open
+   * real sockets in wasm, to `transport`. Like log output, it is delivered to every SDK spawned from
+   * the same `create()` call. Returns an unsubscribe function.
+   */
+  addSocketTransport(transport: SocketOutputTransport): () => void {
+    this.socketTransports.add(transport);
+    return () => {
+      this.socketTransports.delete(transport);
+    };
+  }
+
+  /**
+   * Registers a callback receiving each record JSBSim writes to an output socket.
+   */
+  onSocketOutput(listener: SocketOutputListener): () => void {
+    return this.addSocketTransport({ send: listener });
+  }
+
+  private emitSocketEvent(event: JSBSimSocketEvent): void {
+    if (event.type === "close") {
+      for (const transport of this.socketTransports) {
+        this.callSocketTransport(event.channel, () => transport.close?.(event.channel));
+      }
+      return;
+    }
+
+    if (event.type === "data" && this.socketTransports.size > 0) {
+      const record: SocketOutputRecord = {
+        channel: event.channel,
+        data: event.data,
+        text: textDecoder.decode(event.data),
+      };
+      for (const transport of this.socketTransports) {
+        this.callSocketTransport(event.channel, () => transport.send(record));
+      }
+    }
+  }
+
+  /**
+   * Runs a transport callback, reporting a failure on stderr instead of letting it unwind through
+   * JSBSim's wasm frames.
+   */
+  private callSocketTransport(channel: SocketOutputChannel, callback: () => void): void {
+    try {
+      callback();
+    } catch (error) {
+      const message =
+        `Socket output to ${channel.protocol}://${channel.host}:${channel.port} failed: ` +
+        (error instanceof Error ? error.message : String(error));
+      this.emitLogEntry({ stream: "stderr", message, raw: message, timestamp: Date.now() });
+    }
+  }
+
   /**
    * Sets standard JSBSim runtime directories on `FGFDMExec`.
    */
@@ -170,6 +373,361 @@ export class JSBSimSdk extends JSBSimApi {
     return this.loadScript(path, deltaT, initFile);
   }
 
+  /**
+   * Finds every file `loadModel` would read for `model` (engines, thrusters, systems and other `file=`
+   * references, searched like JSBSim does) and fetches missing ones through `options.loader` into MEMFS.
+   * Takes the same path overrides as `loadModelWithOptions`. Unresolved references are returned as diagnostics.
+   */
+  resolveModelDependencies(model: string, options: ModelDependencyOptions = {}): Promise<DependencyResolution> {
+    return resolveModelDependencies(this, model, options);
+  }
+
+  /**
+   * Like `resolveModelDependencies`, starting from a script: fetches the script, its `<use aircraft>` model
+   * with that model's dependencies, and its `<use initialize>` file.
+   */
+  resolveScriptDependencies(path: string, options: DependencyResolveOptions = {}): Promise<DependencyResolution> {
+    return resolveScriptDependencies(this, path, options);
+  }
+
+  /**
+   * Resolves a property once and returns a handle that reads/writes the node directly.
+   * Resolve handles after the model is loaded; properties created later are not visible to earlier handles.
+   */
+  property(path: string, options: PropertyHandleOptions = {}): JSBSimProperty {
+    return resolveProperty(this, path, options);
+  }
+
+  /**
+   * Returns a node of the property tree for browsing children and inspecting types, attributes and
+   * tied status. Defaults to the root.
+   */
+  propertyNode(path?: string): JSBSimPropertyNode;
+  propertyNode(path: string, options: PropertyNodeOptions & { optional: true }): JSBSimPropertyNode | null;
+  propertyNode(path = "/", options: PropertyNodeOptions = {}): JSBSimPropertyNode | null {
+    return resolvePropertyTreeNode(this, path, options);
+  }
+
+  /**
+   * Registers a list of properties once for batched reads/writes through the wasm heap.
+   */
+  propertySet(paths: readonly string[], options: PropertySetOptions = {}): JSBSimPropertySet {
+    const properties = paths.map((path) => this.property(path));
+    const set: JSBSimPropertySet = new JSBSimPropertySet(this, this.module, properties, options, () => {
+      this.propertySets.delete(set);
+    });
+    this.propertySets.add(set);
+    return set;
+  }
+
+  /**
+   * Reads many properties in one wasm call. Pass a property set to skip re-registering paths.
+   */
+  readProperties(paths: readonly string[] | JSBSimPropertySet): Float64Array {
+    if (paths instanceof JSBSimPropertySet) {
+      return paths.read();
+    }
+
+    const set = this.propertySet(paths);
+    try {
+      return set.read();
+    } finally {
+      set.dispose();
+    }
+  }
+
+  /**
+   * Writes many properties in one wasm call. Pass a property set to skip re-registering paths.
+   */
+  writeProperties(paths: readonly string[] | JSBSimPropertySet, values: ArrayLike<number>): void {
+    if (paths instanceof JSBSimPropertySet) {
+      paths.write(values);
+      return;
+    }
+
+    const set = this.propertySet(paths);
+    try {
+      set.write(values);
+    } finally {
+      set.dispose();
+    }
+  }
+
+  /**
+   * Creates a runner that paces `run()` against wall-clock time. Call `start()` to begin.
+   */
+  createRunner(options: SimulationRunnerOptions = {}): SimulationRunner {
+    // Tracked while running, so `destroy()` can stop it.
+    const runner: SimulationRunner = new SimulationRunner(this, options, (running) => {
+      if (running) {
+        this.runners.add(runner);
+      } else {
+        this.runners.delete(runner);
+      }
+    });
+    return runner;
+  }
+
+  /**
+   * Records the given properties after every frame (or at `rateHz` sim time) into columnar buffers.
+   */
+  createRecorder(options: TelemetryRecorderOptions): TelemetryRecorder {
+    const recorder: TelemetryRecorder = new TelemetryRecorder(this, options, () => {
+      this.recorders.delete(recorder);
+    });
+    this.recorders.add(recorder);
+    return recorder;
+  }
+
+  /**
+   * Calls `callback` whenever `condition` triggers on `path`, evaluated after every frame.
+   * Cancel with the returned watcher, or pass `{ once: true }` for a one-shot watch.
+   */
+  watch(path: string, condition: WatchCondition, callback: WatchCallback, options: WatchOptions = {}): PropertyWatcher {
+    const watcher: PropertyWatcher = new PropertyWatcher(this, this.property(path), condition, callback, options, () => {
+      this.watchers.delete(watcher);
+    });
+    this.watchers.add(watcher);
+    return watcher;
+  }
+
+  /**
+   * Captures sim time, delta T, every writable numeric property and the propagated vehicle state
+   * (including integrator history) as plain data that survives `JSON.stringify`.
+   */
+  saveState(): JSBSimStateSnapshot {
+    return { version: STATE_SNAPSHOT_VERSION, ...this.captureSimulationState() };
+  }
+
+  /**
+   * Puts the simulation back to a snapshot from `saveState()` on the same loaded model, sim time and frame
+   * count included. Internal state that is not exposed as a property (filter memory in flight control
+   * components, script event triggers) is not rewound. Derived values are refreshed with a zero-length
+   * step, so enabled outputs log one extra row for the restored state. Watchers take the restored values
+   * as their baseline.
+   */
+  restoreState(snapshot: JSBSimStateSnapshot): void {
+    if (snapshot.version !== STATE_SNAPSHOT_VERSION) {
+      throw new Error(
+        `Unsupported state snapshot version: ${String(snapshot.version)}. Expected ${STATE_SNAPSHOT_VERSION}.`,
+      );
+    }
+
+    this.applySimulationState(snapshot);
+    for (const watcher of this.watchers) {
+      watcher.resync();
+    }
+  }
+
+  /**
+   * Starts journaling inputs applied through the SDK, tagged with the frame they precede.
+   * Call `stop()` on the returned recorder to get the serializable journal.
+   */
+  recordInputs(options: InputJournalOptions = {}): InputJournalRecorder {
+    const journal: InputJournalRecorder = new InputJournalRecorder(this, options, () => {
+      this.journals.delete(journal);
+    });
+    this.journals.add(journal);
+    return journal;
+  }
+
+  /**
+   * Trims the aircraft and reports the residual and control setting of every axis. Throws `TrimError`
+   * when the trim does not converge, unless `allowFailure` is set.
+   */
+  trim(options: TrimOptions = {}): TrimResult {
+    return runTrim(this, options);
+  }
+
+  /**
+   * Linearizes the model about the current operating point into state-space matrices. Trim first so the
+   * operating point is an equilibrium.
+   */
+  linearize(options: LinearizationOptions = {}): LinearizationResult {
+    return linearize(this, options);
+  }
+
+  /**
+   * Re-runs a journal on the loaded model/script, reapplying every input before the same frame,
+   * and hashes the journal's checksum properties so runs can be compared bit for bit.
+   */
+  replay(journal: InputJournal, options: ReplayOptions = {}): ReplayResult {
+    return replayJournal(this, journal, options);
+  }
+
+  override setPropertyValue(property: string, value: number): void {
+    super.setPropertyValue(property, value);
+    this.recordInput({ type: "set", path: property, value });
+  }
+
+  override resolvePropertyNode(property: string): number {
+    const node = super.resolvePropertyNode(property);
+    if (node !== 0) {
+      this.nodePaths.set(node, property);
+    }
+    return node;
+  }
+
+  override setPropertyNodeValue(node: number, value: number): boolean {
+    const accepted = super.setPropertyNodeValue(node, value);
+    if (!accepted || this.journals.size === 0) {
+      return accepted;
+    }
+
+    // Nodes reached through the property tree were never resolved by path.
+    const path = this.nodePaths.get(node) ?? this.getPropertyNodeInfo(node).path.replace(/^\/+/, "");
+    if (path) {
+      this.recordInput({ type: "set", path, value });
+    }
+    return accepted;
+  }
+
+  override setPropertyNodeString(node: number, value: string): boolean {
+    const accepted = super.setPropertyNodeString(node, value);
+    if (!accepted || this.journals.size === 0) {
+      return accepted;
+    }
+
+    // Journals hold numbers, so numeric nodes record the converted value and string nodes are skipped.
+    const info = this.getPropertyNodeInfo(node);
+    if (info.type !== "string" && info.type !== "unspecified") {
+      this.recordInput({ type: "set", path: info.path.replace(/^\/+/, ""), value: this.getPropertyNodeValue(node) });
+    }
+    return accepted;
+  }
+
+  override writePropertySet(set: number): void {
+    super.writePropertySet(set);
+    if (this.journals.size === 0) {
+      return;
+    }
+
+    for (const candidate of this.propertySets) {
+      if (candidate.handle === set) {
+        const values = candidate.values;
+        candidate.paths.forEach((path, index) => {
+          this.recordInput({ type: "set", path, value: values[index] as number });
+        });
+      }
+    }
+  }
+
+  override setDt(deltaT: number): void {
+    super.setDt(deltaT);
+    this.recordInput({ type: "setDt", value: deltaT });
+  }
+
+  override hold(): void {
+    super.hold();
+    this.recordInput({ type: "hold" });
+  }
+
+  override resume(): void {
+    super.resume();
+    this.recordInput({ type: "resume" });
+  }
+
+  /**
+   * Runs one frame and refreshes auto-refreshing property sets.
+   */
+  override run(): boolean {
+    const result = super.run();
+    this.afterRun();
+    return result;
+  }
+
+  /**
+   * Registers a callback invoked after every frame run through the SDK (`run`, `runSteps`,
+   * `runFor`, `runUntil`, runners). Returns a function that removes it.
+   */
+  onStep(listener: JSBSimStepListener): () => void {
+    this.stepListeners.add(listener);
+    return () => {
+      this.stepListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Executes up to `steps` frames in a single wasm call, or frame by frame while step
+   * listeners are registered.
+   */
+  runSteps(steps: number): RunResult {
+    if (this.stepListeners.size > 0) {
+      return this.runUntil(() => false, { maxSteps: steps });
+    }
+
+    const { frames, ended } = this.runFrames(steps);
+    this.afterRun();
+    return {
+      reason: ended ? "scriptEnded" : "maxSteps",
+      simTime: this.getSimTime(),
+      frames,
+    };
+  }
+
+  /**
+   * Advances the simulation by `seconds` of sim time (rounded to whole frames).
+   */
+  runFor(seconds: number): RunResult {
+    const dt = this.getDeltaT();
+    if (!(dt > 0)) {
+      throw new Error("Cannot run for a duration: delta T is not set. Load a script or call setDt() first.");
+    }
+
+    const result = this.runSteps(Math.round(seconds / dt));
+    return result.reason === "maxSteps" ? { ...result, reason: "maxTime" } : result;
+  }
+
+  /**
+   * Runs frame by frame until `predicate` returns true, the script ends, or a limit is hit.
+   */
+  runUntil(predicate: RunUntilPredicate, options: RunUntilOptions = {}): RunResult {
+    const maxSteps = options.maxSteps ?? DEFAULT_RUN_UNTIL_MAX_STEPS;
+    // Half a frame of slack so accumulated floating-point error does not cost an extra frame.
+    const endTime = options.maxTime === undefined
+      ? Number.POSITIVE_INFINITY
+      : this.getSimTime() + options.maxTime - this.getDeltaT() / 2;
+    let frames = 0;
+
+    while (frames < maxSteps) {
+      const keepRunning = this.run();
+      frames += 1;
+      const simTime = this.getSimTime();
+
+      if (!keepRunning) {
+        return { reason: "scriptEnded", simTime, frames };
+      }
+
+      if (predicate({ simTime, frames })) {
+        return { reason: "predicate", simTime, frames };
+      }
+
+      if (simTime >= endTime) {
+        return { reason: "maxTime", simTime, frames };
+      }
+    }
+
+    return { reason: "maxSteps", simTime: this.getSimTime(), frames };
+  }
+
+  private recordInput(input: InputJournalInput): void {
+    for (const journal of this.journals) {
+      journal.record(input);
+    }
+  }
+
+  private afterRun(): void {
+    for (const set of this.propertySets) {
+      if (set.autoRefresh) {
+        set.refresh();
+      }
+    }
+
+    for (const listener of this.stepListeners) {
+      listener();
+    }
+  }
+
   /**
    * Writes data to MEMFS (relative to runtime root) and returns resolved path.
    */
@@ -192,33 +750,98 @@ export class JSBSimSdk extends JSBSimApi {
   }
 
   /**
-   * Synchronizes IDBFS -> MEMFS when persistence is enabled.
+   * Lists a runtime directory (relative to runtime root), sorted by name.
    */
-  async syncFromPersistence(): Promise<void> {
-    await this.vfs.syncFromPersistence();
+  listFiles(dir = "", options: ListRuntimeFilesOptions = {}): RuntimeFileStat[] {
+    return this.vfs.listRuntime(dir, options);
   }
 
   /**
-   * Synchronizes MEMFS -> IDBFS when persistence is enabled.
+   * Stats a runtime file or directory. Missing paths throw a `VfsError` with code `ENOENT`.
    */
-  async syncToPersistence(): Promise<void> {
-    await this.vfs.syncToPersistence();
+  stat(path: string): RuntimeFileStat {
+    return this.vfs.statRuntime(path);
+  }
+
+  exists(path: string): boolean {
+    return this.vfs.runtimePathExists(path);
   }
 
   /**
-   * Mounts IDBFS and performs an initial pull.
+   * Removes a runtime file, or a directory when empty or `recursive` is set, and returns resolved path.
    */
-  async enablePersistence(): Promise<void> {
-    await this.vfs.enablePersistence();
+  remove(path: string, options: RemoveRuntimeOptions = {}): string {
+    return this.vfs.removeRuntime(path, options);
+  }
+
+  /**
+   * Moves a runtime file or directory to a path that does not exist yet and returns resolved destination.
+   */
+  rename(from: string, to: string): string {
+    return this.vfs.renameRuntime(from, to);
+  }
+
+  /**
+   * Copies a runtime file or directory to a path that does not exist yet and returns resolved destination.
+   */
+  copy(from: string, to: string): string {
+    return this.vfs.copyRuntime(from, to);
+  }
+
+  /**
+   * Returns a runtime directory (the runtime root by default) as a JSON-serializable tree with sizes.
+   */
+  tree(path = ""): RuntimeFileTree {
+    return this.vfs.runtimeTree(path);
+  }
+
+  /**
+   * Pulls files changed in persistence into MEMFS when persistence is enabled. Conflicts with unsynced local
+   * changes are reported in the result instead of being overwritten.
+   */
+  syncFromPersistence(): Promise<PersistenceSyncResult> {
+    return this.vfs.syncFromPersistence();
+  }
+
+  /**
+   * Pushes files changed in MEMFS (including deletions) to persistence when persistence is enabled.
+   */
+  syncToPersistence(): Promise<PersistenceSyncResult> {
+    return this.vfs.syncToPersistence();
+  }
+
+  /**
+   * Enables persistence through `backend` (IDBFS by default) and performs an initial pull.
+   */
+  enablePersistence(backend?: PersistenceBackend): Promise<PersistenceSyncResult> {
+    return this.vfs.enablePersistence(backend);
   }
 
   /**
    * Destroys the underlying wasm-bound exec instance.
    */
   destroy(): void {
+    for (const runner of [...this.runners]) {
+      runner.stop();
+    }
+    for (const journal of [...this.journals]) {
+      journal.stop();
+    }
+    for (const watcher of [...this.watchers]) {
+      watcher.cancel();
+    }
+    for (const recorder of [...this.recorders]) {
+      recorder.dispose();
+    }
+    for (const set of [...this.propertySets]) {
+      set.dispose();
+    }
     this.module.destroy?.(this.exec);
+    this.logGroup.delete(this);
     this.logListeners.stdout.clear();
     this.logListeners.stderr.clear();
     this.logListeners.log.clear();
+    this.stepListeners.clear();
+    this.socketTransports.clear();
   }
 }
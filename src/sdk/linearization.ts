@@ -0,0 +1,161 @@
+import type { StateSpaceComponentsData, StateSpaceMatrixData } from "../generated/fgfdmexec-api";
+import type { JSBSimApi } from "../generated/jsbsim-api";
+
+/**
+ * `FGStateSpace` components that can be states, inputs or outputs.
+ */
+export const LINEARIZATION_COMPONENTS = [
+  "vt",
+  "vGround",
+  "accelX",
+  "accelY",
+  "accelZ",
+  "alpha",
+  "beta",
+  "theta",
+  "phi",
+  "psi",
+  "p",
+  "q",
+  "r",
+  "pi",
+  "qi",
+  "ri",
+  "vn",
+  "ve",
+  "vd",
+  "latitude",
+  "longitude",
+  "alt",
+  "rpm0",
+  "rpm1",
+  "rpm2",
+  "rpm3",
+  "propPitch",
+  "throttleCmd",
+  "throttlePos",
+  "daCmd",
+  "deCmd",
+  "drCmd",
+  "daPos",
+  "dePos",
+  "drPos",
+] as const;
+
+export type LinearizationComponent = (typeof LINEARIZATION_COMPONENTS)[number];
+
+export interface LinearizationOptions {
+  /**
+   * Defaults to the states of JSBSim's own linearization without the engine states: `vt`, `alpha`,
+   * `theta`, `q`, `beta`, `phi`, `p`, `psi`, `r`, `latitude`, `longitude` and `alt`.
+   */
+  states?: readonly LinearizationComponent[];
+  /**
+   * Defaults to `throttleCmd`, `daCmd`, `deCmd` and `drCmd`.
+   */
+  inputs?: readonly LinearizationComponent[];
+  /**
+   * Defaults to the states (full state feedback).
+   */
+  outputs?: readonly LinearizationComponent[];
+}
+
+export interface StateSpaceMatrix {
+  rows: number;
+  columns: number;
+  /**
+   * Row-major: element (i, j) is `data[i * columns + j]`.
+   */
+  data: Float64Array;
+}
+
+export interface LinearizationVariables {
+  components: LinearizationComponent[];
+  /**
+   * JSBSim's names, e.g. `Vt`, `Alpha`.
+   */
+  names: string[];
+  units: string[];
+  /**
+   * Values at the operating point.
+   */
+  values: Float64Array;
+}
+
+/**
+ * Linear model `dx/dt = A x + B u`, `y = C x + D u` about the operating point, in deviations from
+ * `states.values` and `inputs.values`.
+ */
+export interface LinearizationResult {
+  A: StateSpaceMatrix;
+  B: StateSpaceMatrix;
+  C: StateSpaceMatrix;
+  D: StateSpaceMatrix;
+  states: LinearizationVariables;
+  inputs: LinearizationVariables;
+  outputs: LinearizationVariables;
+}
+
+const DEFAULT_STATES: readonly LinearizationComponent[] = [
+  "vt",
+  "alpha",
+  "theta",
+  "q",
+  "beta",
+  "phi",
+  "p",
+  "psi",
+  "r",
+  "latitude",
+  "longitude",
+  "alt",
+];
+
+const DEFAULT_INPUTS: readonly LinearizationComponent[] = ["throttleCmd", "daCmd", "deCmd", "drCmd"];
+
+function checkComponents(kind: string, components: readonly LinearizationComponent[]): void {
+  for (const component of components) {
+    if (!(LINEARIZATION_COMPONENTS as readonly string[]).includes(component)) {
+      throw new Error(`Unknown linearization ${kind} "${component}".`);
+    }
+  }
+}
+
+function toMatrix(matrix: StateSpaceMatrixData): StateSpaceMatrix {
+  return { rows: matrix.rows, columns: matrix.columns, data: Float64Array.from(matrix.data) };
+}
+
+function toVariables(components: readonly LinearizationComponent[], data: StateSpaceComponentsData): LinearizationVariables {
+  return {
+    components: [...components],
+    names: data.names,
+    units: data.units,
+    values: Float64Array.from(data.values),
+  };
+}
+
+/**
+ * Linearizes the model about its current state. Trim first so the operating point is an equilibrium.
+ */
+export function linearize(api: JSBSimApi, options: LinearizationOptions = {}): LinearizationResult {
+  const states = options.states ?? DEFAULT_STATES;
+  const inputs = options.inputs ?? DEFAULT_INPUTS;
+  const outputs = options.outputs ?? states;
+  if (states.length === 0) {
+    throw new Error("Linearization needs at least one state.");
+  }
+  checkComponents("state", states);
+  checkComponents("input", inputs);
+  checkComponents("output", outputs);
+
+  const data = api.computeStateSpace([...states], [...inputs], [...outputs]);
+  return {
+    A: toMatrix(data.A),
+    B: toMatrix(data.B),
+    C: toMatrix(data.C),
+    D: toMatrix(data.D),
+    states: toVariables(states, data.states),
+    inputs: toVariables(inputs, data.inputs),
+    outputs: toVariables(outputs, data.outputs),
+  };
+}
@@ -0,0 +1,196 @@
+import type { JSBSimSdk } from "./jsbsim-sdk";
+
+const NEWLINE = 0x0a;
+
+export interface OutputFileInfo {
+  /**
+   * Path relative to the output directory, as accepted by `read()`.
+   */
+  name: string;
+  /**
+   * Resolved runtime path.
+   */
+  path: string;
+  size: number;
+  mtime?: number;
+}
+
+export interface OutputReadOptions {
+  /**
+   * Returns only the rows appended since the previous `read()` of the same file. If the file was
+   * truncated or its header changed since, it is read from the start again. Defaults to false.
+   */
+  tail?: boolean;
+}
+
+/**
+ * Columnar view of a CSV or tabular output file: `time` plus one array per logged column, in file order.
+ */
+export interface OutputTable {
+  name: string;
+  path: string;
+  /**
+   * Header labels after the time column, e.g. `Altitude ASL (ft)` or a property path. Repeated labels
+   * get a ` #2`, ` #3`, ... suffix.
+   */
+  columns: string[];
+  time: Float64Array;
+  values: Record<string, Float64Array>;
+  rows: number;
+}
+
+interface OutputCursor {
+  offset: number;
+  headerLine: string;
+  header: string[];
+  delimiter: string;
+}
+
+function parseValue(cell: string): number {
+  const value = cell.trim().toLowerCase();
+  if (value === "inf" || value === "+inf") {
+    return Number.POSITIVE_INFINITY;
+  }
+  if (value === "-inf") {
+    return Number.NEGATIVE_INFINITY;
+  }
+  return value === "" ? Number.NaN : Number(value);
+}
+
+function uniqueLabels(labels: string[]): string[] {
+  const seen = new Map<string, number>();
+  return labels.map((label) => {
+    const count = (seen.get(label) ?? 0) + 1;
+    seen.set(label, count);
+    return count === 1 ? label : `${label} #${count}`;
+  });
+}
+
+/**
+ * Reads files JSBSim writes for `<output type="CSV">` and `<output type="TABULAR">` in the SDK's
+ * output directory (`GetOutputPath()`, `output` under the runtime root by default).
+ */
+export class OutputManager {
+  private readonly sdk: JSBSimSdk;
+  private readonly cursors = new Map<string, OutputCursor>();
+
+  constructor(sdk: JSBSimSdk) {
+    this.sdk = sdk;
+  }
+
+  /**
+   * Resolved output directory.
+   */
+  get directory(): string {
+    return this.sdk.vfs.resolveRuntimePath(this.sdk.getOutputPath());
+  }
+
+  /**
+   * Files in the output directory and its subdirectories, sorted by name. Empty if the directory does
+   * not exist yet.
+   */
+  list(): OutputFileInfo[] {
+    const directory = this.directory;
+    if (!this.sdk.vfs.runtimePathExists(directory)) {
+      return [];
+    }
+
+    const prefix = directory === "/" ? 1 : directory.length + 1;
+    return this.sdk.vfs
+      .listRuntime(directory, { recursive: true })
+      .filter((entry) => entry.type === "file")
+      .map((entry) => ({
+        name: entry.path.slice(prefix),
+        path: entry.path,
+        size: entry.size,
+        ...(entry.mtime === undefined ? {} : { mtime: entry.mtime }),
+      }));
+  }
+
+  /**
+   * Parses an output file, given relative to the output directory or as an absolute path. A trailing
+   * line without a newline is treated as still being written and left for the next read.
+   */
+  read(name: string, options: OutputReadOptions = {}): OutputTable {
+    const path = this.resolve(name);
+    const bytes = this.sdk.vfs.readRuntimeFile(path, "binary") as Uint8Array;
+
+    const header = this.readHeader(path, bytes);
+    let cursor = this.cursors.get(path);
+    let start = 0;
+    if (options.tail && cursor && cursor.offset <= bytes.length && cursor.headerLine === header?.headerLine) {
+      start = cursor.offset;
+    } else {
+      cursor = header;
+      start = cursor?.offset ?? 0;
+    }
+
+    const end = bytes.lastIndexOf(NEWLINE) + 1;
+    const table = this.parse(name, path, cursor, bytes.subarray(start, Math.max(start, end)));
+    if (cursor) {
+      cursor.offset = Math.max(start, end);
+      this.cursors.set(path, cursor);
+    } else {
+      this.cursors.delete(path);
+    }
+    return table;
+  }
+
+  /**
+   * Forgets the tail position of `name`, or of every file, so the next tail read starts from the top.
+   */
+  rewind(name?: string): void {
+    if (name === undefined) {
+      this.cursors.clear();
+      return;
+    }
+    this.cursors.delete(this.resolve(name));
+  }
+
+  private resolve(name: string): string {
+    return name.startsWith("/") ? this.sdk.vfs.resolveRuntimePath(name) : `${this.directory}/${name}`;
+  }
+
+  /**
+   * Parses the header line, or returns undefined if it is not complete yet.
+   */
+  private readHeader(path: string, bytes: Uint8Array): OutputCursor | undefined {
+    const end = bytes.indexOf(NEWLINE);
+    if (end < 0) {
+      return undefined;
+    }
+
+    const line = new TextDecoder().decode(bytes.subarray(0, end)).replace(/\r$/, "");
+    const delimiter = line.includes("\t") ? "\t" : ",";
+    const header = line.split(delimiter).map((label) => label.trim());
+    if (header.length === 0 || !header[0]) {
+      throw new Error(`Output file ${path} has no header line.`);
+    }
+    return { offset: end + 1, headerLine: line, header: uniqueLabels(header.slice(1)), delimiter };
+  }
+
+  private parse(name: string, path: string, cursor: OutputCursor | undefined, bytes: Uint8Array): OutputTable {
+    const columns = cursor?.header ?? [];
+    const lines = new TextDecoder()
+      .decode(bytes)
+      .split("\n")
+      .map((line) => line.replace(/\r$/, ""))
+      .filter((line) => line.trim() !== "");
+
+    const time = new Float64Array(lines.length);
+    const data = columns.map(() => new Float64Array(lines.length));
+    lines.forEach((line, row) => {
+      const cells = line.split(cursor?.delimiter ?? ",");
+      time[row] = parseValue(cells[0] ?? "");
+      data.forEach((column, index) => {
+        column[row] = parseValue(cells[index + 1] ?? "");
+      });
+    });
+
+    const values: Record<string, Float64Array> = {};
+    columns.forEach((column, index) => {
+      values[column] = data[index] as Float64Array;
+    });
+    return { name, path, columns: [...columns], time, values, rows: lines.length };
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * Backend directory reserved for named workspaces; plain persistence sync ignores it.
+ */
+export const WORKSPACES_DIR = ".workspaces";
+
+export interface PersistedFileInfo {
+  size: number;
+  /**
+   * Modification time in milliseconds. Must change whenever the file is rewritten; when omitted, the sync
+   * compares contents instead.
+   */
+  mtime?: number;
+}
+
+export interface PersistedFile extends PersistedFileInfo {
+  /**
+   * Path relative to the persisted root, `/`-separated, without a leading slash.
+   */
+  path: string;
+}
+
+/**
+ * Storage for persisted runtime files. Paths are relative to the runtime root, e.g. `aircraft/c172x/c172x.xml`.
+ */
+export interface PersistenceBackend {
+  list(): Promise<PersistedFile[]>;
+  /**
+   * Resolves to null if the file does not exist.
+   */
+  read(path: string): Promise<Uint8Array | null>;
+  /**
+   * Creates or replaces a file, creating parent directories as needed. May resolve to the stored file's
+   * info so the next pull does not have to re-read it.
+   */
+  write(path: string, data: Uint8Array): Promise<PersistedFileInfo | void>;
+  /**
+   * Removes a file. Removing a missing file is not an error.
+   */
+  remove(path: string): Promise<void>;
+  /**
+   * Called before every pull, e.g. to reload a cache.
+   */
+  refresh?(): Promise<void>;
+  /**
+   * Called after every push, e.g. to commit buffered writes.
+   */
+  flush?(): Promise<void>;
+}
+
+/**
+ * Returns strictly increasing millisecond timestamps, so two writes in the same millisecond still
+ * get different mtimes.
+ */
+function createClock(): () => number {
+  let last = 0;
+  return () => {
+    last = Math.max(Date.now(), last + 1);
+    return last;
+  };
+}
+
+interface StoredFile {
+  data: Uint8Array;
+  mtime: number;
+}
+
+/**
+ * Keeps persisted files in memory. Useful for tests and for sharing files between SDK instances.
+ */
+export class MemoryPersistenceBackend implements PersistenceBackend {
+  private readonly files = new Map<string, StoredFile>();
+  private readonly now = createClock();
+
+  async list(): Promise<PersistedFile[]> {
+    return [...this.files].map(([path, file]) => ({ path, size: file.data.length, mtime: file.mtime }));
+  }
+
+  async read(path: string): Promise<Uint8Array | null> {
+    return this.files.get(path)?.data.slice() ?? null;
+  }
+
+  async write(path: string, data: Uint8Array): Promise<PersistedFileInfo> {
+    const file = { data: data.slice(), mtime: this.now() };
+    this.files.set(path, file);
+    return { size: file.data.length, mtime: file.mtime };
+  }
+
+  async remove(path: string): Promise<void> {
+    this.files.delete(path);
+  }
+}
+
+export interface IndexedDbPersistenceOptions {
+  /**
+   * Defaults to `jsbsim-wasm`.
+   */
+  databaseName?: string;
+}
+
+const INDEXED_DB_VERSION = 1;
+const FILE_STORE = "files";
+const INFO_STORE = "info";
+
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function complete(transaction: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error("IndexedDB transaction aborted."));
+  });
+}
+
+/**
+ * Stores persisted files in IndexedDB directly, without mounting IDBFS. File contents and sizes/mtimes
+ * are kept in separate object stores so listing does not load contents.
+ */
+export class IndexedDbPersistenceBackend implements PersistenceBackend {
+  readonly databaseName: string;
+  private database: Promise<IDBDatabase> | null = null;
+  private readonly now = createClock();
+
+  constructor(options: IndexedDbPersistenceOptions = {}) {
+    this.databaseName = options.databaseName ?? "jsbsim-wasm";
+  }
+
+  async list(): Promise<PersistedFile[]> {
+    const store = (await this.transaction([INFO_STORE], "readonly")).objectStore(INFO_STORE);
+    return promisify(store.getAll() as IDBRequest<PersistedFile[]>);
+  }
+
+  async read(path: string): Promise<Uint8Array | null> {
+    const store = (await this.transaction([FILE_STORE], "readonly")).objectStore(FILE_STORE);
+    const data = (await promisify(store.get(path))) as Uint8Array | undefined;
+    return data ?? null;
+  }
+
+  async write(path: string, data: Uint8Array): Promise<PersistedFileInfo> {
+    const info: PersistedFile = { path, size: data.length, mtime: this.now() };
+    const transaction = await this.transaction([FILE_STORE, INFO_STORE], "readwrite");
+    transaction.objectStore(FILE_STORE).put(data.slice(), path);
+    transaction.objectStore(INFO_STORE).put(info);
+    await complete(transaction);
+    return { size: info.size, mtime: info.mtime as number };
+  }
+
+  async remove(path: string): Promise<void> {
+    const transaction = await this.transaction([FILE_STORE, INFO_STORE], "readwrite");
+    transaction.objectStore(FILE_STORE).delete(path);
+    transaction.objectStore(INFO_STORE).delete(path);
+    await complete(transaction);
+  }
+
+  /**
+   * Closes the database connection. Later calls reopen it.
+   */
+  async close(): Promise<void> {
+    const database = this.database;
+    this.database = null;
+    (await database)?.close();
+  }
+
+  private async transaction(stores: string[], mode: IDBTransactionMode): Promise<IDBTransaction> {
+    return (await this.open()).transaction(stores, mode);
+  }
+
+  private open(): Promise<IDBDatabase> {
+    if (!this.database) {
+      if (typeof indexedDB === "undefined") {
+        throw new Error("IndexedDB is unavailable in this environment.");
+      }
+
+      const request = indexedDB.open(this.databaseName, INDEXED_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(FILE_STORE)) {
+          database.createObjectStore(FILE_STORE);
+        }
+        if (!database.objectStoreNames.contains(INFO_STORE)) {
+          database.createObjectStore(INFO_STORE, { keyPath: "path" });
+        }
+      };
+      this.database = promisify(request).catch((error: unknown) => {
+        this.database = null;
+        throw error;
+      });
+    }
+    return this.database;
+  }
+}
@@ -0,0 +1,132 @@
+import type { OpaqueHandle } from "../generated/fgfdmexec-api";
+import type { JSBSimApi } from "../generated/jsbsim-api";
+import type { JSBSimProperty } from "./property";
+import type { JSBSimRuntimeModule } from "./types";
+
+export interface PropertySetOptions {
+  /**
+   * Refreshes `values` after every `run()` on the owning SDK.
+   */
+  autoRefresh?: boolean;
+}
+
+/**
+ * Fixed list of properties exchanged with JSBSim through one buffer on the wasm heap.
+ */
+export class JSBSimPropertySet {
+  readonly properties: readonly JSBSimProperty[];
+  readonly paths: readonly string[];
+  readonly autoRefresh: boolean;
+  private readonly api: JSBSimApi;
+  private readonly module: JSBSimRuntimeModule;
+  private readonly onDispose: (() => void) | undefined;
+  private setHandle: OpaqueHandle;
+  private dataPointer: number;
+  private view: Float64Array | null = null;
+
+  constructor(
+    api: JSBSimApi,
+    module: JSBSimRuntimeModule,
+    properties: readonly JSBSimProperty[],
+    options: PropertySetOptions = {},
+    onDispose?: () => void,
+  ) {
+    this.api = api;
+    this.module = module;
+    this.properties = properties;
+    this.paths = properties.map((property) => property.name);
+    this.autoRefresh = options.autoRefresh ?? false;
+    this.onDispose = onDispose;
+    this.setHandle = api.createPropertySet();
+
+    for (const property of properties) {
+      api.addPropertySetNode(this.setHandle, property.node);
+    }
+
+    this.dataPointer = api.getPropertySetData(this.setHandle);
+  }
+
+  /**
+   * Native set handle, 0 once disposed.
+   */
+  get handle(): OpaqueHandle {
+    return this.setHandle;
+  }
+
+  get size(): number {
+    return this.properties.length;
+  }
+
+  get disposed(): boolean {
+    return this.setHandle === 0;
+  }
+
+  /**
+   * Zero-copy view onto the value buffer. Contents change on `refresh()`/`read()`, and the
+   * view is recreated when wasm memory grows, so do not hold on to it across steps.
+   */
+  get values(): Float64Array {
+    this.assertNotDisposed();
+    const heap = this.module.HEAPF64;
+    if (!this.view || this.view.buffer !== heap.buffer) {
+      this.view = new Float64Array(heap.buffer, this.dataPointer, this.size);
+    }
+
+    return this.view;
+  }
+
+  /**
+   * Pulls the current value of every property into `values` in one call.
+   */
+  refresh(): void {
+    this.assertNotDisposed();
+    this.dataPointer = this.api.readPropertySet(this.setHandle);
+  }
+
+  /**
+   * Pulls the current values and returns a copy that stays valid after later steps.
+   */
+  read(): Float64Array {
+    this.refresh();
+    return this.values.slice();
+  }
+
+  /**
+   * Writes one value per property, in `paths` order, in one call.
+   */
+  write(values: ArrayLike<number>): void {
+    this.assertNotDisposed();
+    if (values.length !== this.size) {
+      throw new Error(`Expected ${this.size} values for property set, received ${values.length}.`);
+    }
+
+    const readOnly = this.properties.find((property) => property.readOnly);
+    if (readOnly) {
+      throw new Error(`Property "${readOnly.name}" is read-only.`);
+    }
+
+    this.values.set(values);
+    this.api.writePropertySet(this.setHandle);
+  }
+
+  /**
+   * Releases the native set. Further access throws.
+   */
+  dispose(): void {
+    if (this.disposed) {
+      return;
+    }
+
+    this.api.destroyPropertySet(this.setHandle);
+    this.setHandle = 0;
+    this.dataPointer = 0;
+    this.view = null;
+    this.onDispose?.();
+  }
+
+  private assertNotDisposed(): void {
+    if (this.disposed) {
+      throw new Error("Property set has been disposed.");
+    }
+  }
+}
@@ -0,0 +1,138 @@
+import {
+  PropertyAttribute,
+  type OpaqueHandle,
+  type PropertyNodeInfo,
+  type PropertyNodeType,
+} from "../generated/fgfdmexec-api";
+import type { JSBSimApi } from "../generated/jsbsim-api";
+
+export type PropertyAttributeName = keyof typeof PropertyAttribute;
+
+/**
+ * Attribute flags of a property node, keyed like `PropertyAttribute`.
+ */
+export type PropertyNodeAttributes = Record<PropertyAttributeName, boolean>;
+
+export interface PropertyNodeOptions {
+  /**
+   * Returns null instead of throwing when the property is missing.
+   */
+  optional?: boolean;
+}
+
+/**
+ * Node of the property tree (`FGPropertyNode`), for browsing the tree and inspecting what the flat
+ * catalog hides: child nodes, value types, attributes, tied status and string values.
+ */
+export class JSBSimPropertyNode {
+  readonly node: OpaqueHandle;
+  /**
+   * Name with its index when it has siblings of the same name, e.g. `engine[1]`.
+   */
+  readonly name: string;
+  /**
+   * Absolute path, e.g. `/propulsion/engine[1]/thrust-lbs`; `/` for the root.
+   */
+  readonly path: string;
+  private readonly api: JSBSimApi;
+
+  constructor(api: JSBSimApi, node: OpaqueHandle) {
+    this.api = api;
+    this.node = node;
+    const info = api.getPropertyNodeInfo(node);
+    this.name = info.name;
+    this.path = info.path || "/";
+  }
+
+  /**
+   * Reads the node's current type, attributes, tied status and child count in one call.
+   */
+  info(): PropertyNodeInfo {
+    return this.api.getPropertyNodeInfo(this.node);
+  }
+
+  get type(): PropertyNodeType {
+    return this.info().type;
+  }
+
+  get attributes(): PropertyNodeAttributes {
+    const flags = this.info().attributes;
+    const attributes = {} as PropertyNodeAttributes;
+    for (const [name, flag] of Object.entries(PropertyAttribute)) {
+      attributes[name as PropertyAttributeName] = (flags & flag) !== 0;
+    }
+    return attributes;
+  }
+
+  /**
+   * True when the value is bound to a C++ getter/setter instead of stored in the node.
+   */
+  get tied(): boolean {
+    return this.info().tied;
+  }
+
+  get readOnly(): boolean {
+    return (this.info().attributes & PropertyAttribute.WRITE) === 0;
+  }
+
+  children(): JSBSimPropertyNode[] {
+    return this.api.getPropertyNodeChildren(this.node).map((child) => new JSBSimPropertyNode(this.api, child));
+  }
+
+  /**
+   * Resolves a descendant by its path relative to this node, e.g. `engine[1]/thrust-lbs`.
+   */
+  child(path: string): JSBSimPropertyNode | null {
+    const parent = this.path.replace(/^\/+/, "");
+    const relative = path.replace(/^\/+/, "");
+    const node = this.api.resolvePropertyNode(parent ? `${parent}/${relative}` : relative);
+    return node === 0 ? null : new JSBSimPropertyNode(this.api, node);
+  }
+
+  getValue(): number {
+    return this.api.getPropertyNodeValue(this.node);
+  }
+
+  setValue(value: number): void {
+    this.assertWritable();
+    this.api.setPropertyNodeValue(this.node, value);
+  }
+
+  getString(): string {
+    return this.api.getPropertyNodeString(this.node);
+  }
+
+  setString(value: string): void {
+    this.assertWritable();
+    this.api.setPropertyNodeString(this.node, value);
+  }
+
+  setAttribute(name: PropertyAttributeName, state: boolean): void {
+    this.api.setPropertyNodeAttribute(this.node, PropertyAttribute[name], state);
+  }
+
+  private assertWritable(): void {
+    if (this.readOnly) {
+      throw new Error(`Property "${this.path}" is read-only.`);
+    }
+  }
+}
+
+/**
+ * Resolves a property path to a tree node; an empty path or `/` is the root.
+ */
+export function resolvePropertyTreeNode(
+  api: JSBSimApi,
+  path: string,
+  options: PropertyNodeOptions = {}
+): JSBSimPropertyNode | null {
+  const node = path.replace(/^\/+/, "") === "" ? api.getPropertyRootNode() : api.resolvePropertyNode(path);
+  if (node === 0) {
+    if (options.optional) {
+      return null;
+    }
+    throw new Error(`Property "${path}" does not exist.`);
+  }
+
+  return new JSBSimPropertyNode(api, node);
+}
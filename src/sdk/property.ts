@@ -0,0 +1,60 @@
+import type { OpaqueHandle } from "../generated/fgfdmexec-api";
+import type { JSBSimApi } from "../generated/jsbsim-api";
+
+export interface PropertyHandleOptions {
+  /**
+   * Returns a handle with `exists === false` instead of throwing when the property is missing.
+   */
+  optional?: boolean;
+}
+
+/**
+ * Property bound to a resolved `FGPropertyNode`, skipping the path lookup on every access.
+ */
+export class JSBSimProperty {
+  readonly name: string;
+  readonly node: OpaqueHandle;
+  readonly exists: boolean;
+  readonly readOnly: boolean;
+  private readonly api: JSBSimApi;
+
+  constructor(api: JSBSimApi, name: string, node: OpaqueHandle) {
+    this.api = api;
+    this.name = name;
+    this.node = node;
+    this.exists = node !== 0;
+    this.readOnly = this.exists && !api.isPropertyNodeWritable(node);
+  }
+
+  get(): number {
+    this.assertExists();
+    return this.api.getPropertyNodeValue(this.node);
+  }
+
+  set(value: number): void {
+    this.assertExists();
+    if (this.readOnly) {
+      throw new Error(`Property "${this.name}" is read-only.`);
+    }
+
+    this.api.setPropertyNodeValue(this.node, value);
+  }
+
+  private assertExists(): void {
+    if (!this.exists) {
+      throw new Error(`Property "${this.name}" does not exist.`);
+    }
+  }
+}
+
+/**
+ * Resolves a property path to a bound handle, throwing unless `optional` is set.
+ */
+export function resolveProperty(api: JSBSimApi, path: string, options: PropertyHandleOptions = {}): JSBSimProperty {
+  const node = api.resolvePropertyNode(path);
+  if (node === 0 && !options.optional) {
+    throw new Error(`Property "${path}" does not exist.`);
+  }
+
+  return new JSBSimProperty(api, path, node);
+}
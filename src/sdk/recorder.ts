@@ -0,0 +1,307 @@
+import type { JSBSimSdk } from "./jsbsim-sdk";
+import type { JSBSimPropertySet } from "./property-set";
+
+const DEFAULT_INITIAL_CAPACITY = 1024;
+const TIME_COLUMN = "time";
+
+export interface TelemetryRecorderOptions {
+  properties: readonly string[];
+  /**
+   * Samples per simulated second. Defaults to every frame.
+   */
+  rateHz?: number;
+  /**
+   * Keeps only the latest `maxSamples` in a ring buffer. Defaults to growing without bound.
+   */
+  maxSamples?: number;
+  /**
+   * Starts recording immediately. Defaults to true.
+   */
+  autoStart?: boolean;
+}
+
+export interface TelemetryCsvOptions {
+  /**
+   * Defaults to `,`.
+   */
+  delimiter?: string;
+  /**
+   * Significant digits per value. Defaults to full precision.
+   */
+  precision?: number;
+}
+
+/**
+ * Columnar export: `time` plus one array per property, oldest sample first.
+ */
+export interface TelemetryRecording {
+  properties: string[];
+  time: number[];
+  values: Record<string, number[]>;
+}
+
+/**
+ * One sample keyed by `time` and property path.
+ */
+export type TelemetryRecord = Record<string, number>;
+
+/**
+ * Samples a fixed property list after every frame run through the SDK into columnar `Float64Array`s.
+ * Reads go through one property set, so recording stays cheap at high frame rates.
+ */
+export class TelemetryRecorder {
+  readonly properties: readonly string[];
+  readonly rateHz: number | undefined;
+  readonly maxSamples: number | undefined;
+  private readonly sdk: JSBSimSdk;
+  private readonly set: JSBSimPropertySet;
+  private readonly onDispose: (() => void) | undefined;
+  private columns: Float64Array[];
+  private head = 0;
+  private count = 0;
+  private nextSampleTime = Number.NEGATIVE_INFINITY;
+  private unsubscribe: (() => void) | null = null;
+  private isDisposed = false;
+
+  constructor(sdk: JSBSimSdk, options: TelemetryRecorderOptions, onDispose?: () => void) {
+    if (options.rateHz !== undefined && !(options.rateHz > 0 && Number.isFinite(options.rateHz))) {
+      throw new Error(`Invalid recorder rate: ${options.rateHz}. Expected a positive number of Hz.`);
+    }
+    if (options.maxSamples !== undefined && !(Number.isInteger(options.maxSamples) && options.maxSamples > 0)) {
+      throw new Error(`Invalid recorder capacity: ${options.maxSamples}. Expected a positive integer.`);
+    }
+
+    this.sdk = sdk;
+    this.properties = [...options.properties];
+    this.rateHz = options.rateHz;
+    this.maxSamples = options.maxSamples;
+    this.onDispose = onDispose;
+    this.set = sdk.propertySet(this.properties);
+    this.columns = this.allocate(options.maxSamples ?? DEFAULT_INITIAL_CAPACITY);
+
+    if (options.autoStart ?? true) {
+      this.start();
+    }
+  }
+
+  /**
+   * Number of samples currently held.
+   */
+  get length(): number {
+    return this.count;
+  }
+
+  get capacity(): number {
+    return this.columns[0]?.length ?? 0;
+  }
+
+  get recording(): boolean {
+    return this.unsubscribe !== null;
+  }
+
+  get disposed(): boolean {
+    return this.isDisposed;
+  }
+
+  /**
+   * Resumes sampling after every frame. Has no effect if already recording.
+   */
+  start(): void {
+    this.assertNotDisposed();
+    if (this.unsubscribe) {
+      return;
+    }
+
+    this.nextSampleTime = Number.NEGATIVE_INFINITY;
+    this.unsubscribe = this.sdk.onStep(() => this.onStep());
+  }
+
+  /**
+   * Stops sampling; recorded data is kept.
+   */
+  stop(): void {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Records the current values now, regardless of `rateHz`.
+   */
+  sample(): void {
+    this.assertNotDisposed();
+    this.set.refresh();
+
+    let index: number;
+    if (this.maxSamples !== undefined && this.count === this.maxSamples) {
+      index = this.head;
+      this.head = (this.head + 1) % this.maxSamples;
+    } else {
+      if (this.count === this.capacity) {
+        this.grow();
+      }
+      index = (this.head + this.count) % this.capacity;
+      this.count += 1;
+    }
+
+    const values = this.set.values;
+    (this.columns[0] as Float64Array)[index] = this.sdk.getSimTime();
+    for (let column = 1; column < this.columns.length; column += 1) {
+      (this.columns[column] as Float64Array)[index] = values[column - 1] as number;
+    }
+  }
+
+  /**
+   * Drops every sample.
+   */
+  clear(): void {
+    this.head = 0;
+    this.count = 0;
+    this.nextSampleTime = Number.NEGATIVE_INFINITY;
+  }
+
+  /**
+   * Copy of one column, oldest sample first. Pass `"time"` for sim time.
+   */
+  column(name: string): Float64Array {
+    const index = name === TIME_COLUMN ? 0 : this.properties.indexOf(name) + 1;
+    if (index === 0 && name !== TIME_COLUMN) {
+      throw new Error(`Property "${name}" is not recorded.`);
+    }
+
+    return this.ordered(this.columns[index] as Float64Array);
+  }
+
+  /**
+   * Copy of the sim time column.
+   */
+  time(): Float64Array {
+    return this.column(TIME_COLUMN);
+  }
+
+  toJSON(): TelemetryRecording {
+    const values: Record<string, number[]> = {};
+    this.properties.forEach((path, index) => {
+      values[path] = Array.from(this.ordered(this.columns[index + 1] as Float64Array));
+    });
+
+    return {
+      properties: [...this.properties],
+      time: Array.from(this.time()),
+      values,
+    };
+  }
+
+  /**
+   * One object per sample, e.g. for charting libraries.
+   */
+  records(): TelemetryRecord[] {
+    const keys = [TIME_COLUMN, ...this.properties];
+    const records: TelemetryRecord[] = [];
+    for (let row = 0; row < this.count; row += 1) {
+      const record: TelemetryRecord = {};
+      const index = this.physicalIndex(row);
+      keys.forEach((key, column) => {
+        record[key] = (this.columns[column] as Float64Array)[index] as number;
+      });
+      records.push(record);
+    }
+    return records;
+  }
+
+  toCSV(options: TelemetryCsvOptions = {}): string {
+    const delimiter = options.delimiter ?? ",";
+    const format = (value: number): string =>
+      options.precision === undefined ? String(value) : String(Number(value.toPrecision(options.precision)));
+    const lines = [[TIME_COLUMN, ...this.properties].map((key) => quoteCsv(key, delimiter)).join(delimiter)];
+
+    for (let row = 0; row < this.count; row += 1) {
+      const index = this.physicalIndex(row);
+      lines.push(this.columns.map((column) => format(column[index] as number)).join(delimiter));
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Newline-delimited JSON, one record per line.
+   */
+  toNDJSON(): string {
+    return this.records()
+      .map((record) => `${JSON.stringify(record)}\n`)
+      .join("");
+  }
+
+  /**
+   * Stops recording and releases the property set. Recorded data stays readable.
+   */
+  dispose(): void {
+    if (this.isDisposed) {
+      return;
+    }
+
+    this.stop();
+    this.set.dispose();
+    this.isDisposed = true;
+    this.onDispose?.();
+  }
+
+  private onStep(): void {
+    if (this.rateHz === undefined) {
+      this.sample();
+      return;
+    }
+
+    const simTime = this.sdk.getSimTime();
+    const period = 1 / this.rateHz;
+    // Sim time went backwards, e.g. after resetToInitialConditions().
+    if (simTime < this.nextSampleTime - period) {
+      this.nextSampleTime = simTime;
+    }
+    // Half a frame of slack so accumulated floating-point error does not skip a sample.
+    if (simTime < this.nextSampleTime - this.sdk.getDeltaT() / 2) {
+      return;
+    }
+
+    this.sample();
+    const next = this.nextSampleTime + period;
+    this.nextSampleTime = next > simTime ? next : simTime + period;
+  }
+
+  private allocate(capacity: number): Float64Array[] {
+    return Array.from({ length: this.properties.length + 1 }, () => new Float64Array(capacity));
+  }
+
+  private grow(): void {
+    const next = this.allocate(Math.max(1, this.capacity * 2));
+    next.forEach((column, index) => column.set(this.ordered(this.columns[index] as Float64Array)));
+    this.columns = next;
+    this.head = 0;
+  }
+
+  private physicalIndex(row: number): number {
+    return (this.head + row) % this.capacity;
+  }
+
+  private ordered(column: Float64Array): Float64Array {
+    const end = this.head + this.count;
+    if (end <= column.length) {
+      return column.slice(this.head, end);
+    }
+
+    const result = new Float64Array(this.count);
+    result.set(column.subarray(this.head));
+    result.set(column.subarray(0, end - column.length), column.length - this.head);
+    return result;
+  }
+
+  private assertNotDisposed(): void {
+    if (this.isDisposed) {
+      throw new Error("Telemetry recorder has been disposed.");
+    }
+  }
+}
+
+function quoteCsv(value: string, delimiter: string): string {
+  return value.includes(delimiter) || value.includes('"') || value.includes("\n")
+    ? `"${value.replaceAll('"', '""')}"`
+    : value;
+}
@@ -0,0 +1,266 @@
+import type { JSBSimApi } from "../generated/jsbsim-api";
+
+const DEFAULT_RATE_HZ = 60;
+const DEFAULT_MAX_STEPS_PER_TICK = 1000;
+
+/**
+ * Simulated seconds per wall-clock second, or `"max"` to run as fast as possible.
+ */
+export type SimulationTimeScale = number | "max";
+
+/**
+ * What to do with frames that did not fit in a tick's `maxStepsPerTick` budget.
+ * `catchUp` keeps them for later ticks, `drop` discards them so the sim falls behind wall-clock.
+ */
+export type SimulationOverrunPolicy = "catchUp" | "drop";
+
+export interface SimulationRunnerOptions {
+  /**
+   * Wall-clock tick rate in Hz. Defaults to 60.
+   */
+  rate?: number;
+  timeScale?: SimulationTimeScale;
+  overrunPolicy?: SimulationOverrunPolicy;
+  /**
+   * Upper bound on frames executed in a single tick. Defaults to 1000.
+   */
+  maxStepsPerTick?: number;
+  /**
+   * Millisecond clock used for pacing. Defaults to `performance.now()`.
+   */
+  now?: () => number;
+}
+
+export interface SimulationFrameEvent {
+  simTime: number;
+  frame: number;
+}
+
+export interface SimulationTickEvent {
+  simTime: number;
+  frames: number;
+  dropped: number;
+}
+
+export type SimulationStopReason = "stopped" | "ended" | "error";
+
+export interface SimulationStopEvent {
+  reason: SimulationStopReason;
+  simTime: number;
+  error?: unknown;
+}
+
+export interface SimulationRunnerEvents {
+  beforeFrame: SimulationFrameEvent;
+  frame: SimulationFrameEvent;
+  tick: SimulationTickEvent;
+  stop: SimulationStopEvent;
+}
+
+export type SimulationRunnerEvent = keyof SimulationRunnerEvents;
+export type SimulationRunnerListener<E extends SimulationRunnerEvent> = (event: SimulationRunnerEvents[E]) => void;
+
+function assertTimeScale(timeScale: SimulationTimeScale): void {
+  if (timeScale !== "max" && !(timeScale > 0 && Number.isFinite(timeScale))) {
+    throw new Error(`Invalid time scale: ${String(timeScale)}. Expected a positive number or "max".`);
+  }
+}
+
+/**
+ * Drives `run()` against wall-clock time with a fixed-step accumulator.
+ */
+export class SimulationRunner {
+  readonly rate: number;
+  readonly overrunPolicy: SimulationOverrunPolicy;
+  readonly maxStepsPerTick: number;
+  private readonly api: JSBSimApi;
+  private readonly now: () => number;
+  private readonly listeners: { [E in SimulationRunnerEvent]: Set<SimulationRunnerListener<E>> };
+  private readonly onRunningChange: ((running: boolean) => void) | undefined;
+  private scale: SimulationTimeScale;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private lastTickTime = 0;
+  private accumulator = 0;
+
+  constructor(api: JSBSimApi, options: SimulationRunnerOptions = {}, onRunningChange?: (running: boolean) => void) {
+    this.api = api;
+    this.onRunningChange = onRunningChange;
+    this.rate = options.rate ?? DEFAULT_RATE_HZ;
+    this.overrunPolicy = options.overrunPolicy ?? "catchUp";
+    this.maxStepsPerTick = options.maxStepsPerTick ?? DEFAULT_MAX_STEPS_PER_TICK;
+    this.now = options.now ?? (() => performance.now());
+    this.scale = options.timeScale ?? 1;
+    this.listeners = {
+      beforeFrame: new Set(),
+      frame: new Set(),
+      tick: new Set(),
+      stop: new Set(),
+    };
+
+    if (!(this.rate > 0)) {
+      throw new Error(`Invalid runner rate: ${this.rate}. Expected a positive number of Hz.`);
+    }
+    assertTimeScale(this.scale);
+  }
+
+  get running(): boolean {
+    return this.timer !== null;
+  }
+
+  /**
+   * True while JSBSim is holding; pausing the runner is the same as `hold()`.
+   */
+  get paused(): boolean {
+    return this.api.holding();
+  }
+
+  get timeScale(): SimulationTimeScale {
+    return this.scale;
+  }
+
+  set timeScale(value: SimulationTimeScale) {
+    assertTimeScale(value);
+    this.scale = value;
+  }
+
+  on<E extends SimulationRunnerEvent>(event: E, listener: SimulationRunnerListener<E>): this {
+    this.listeners[event].add(listener);
+    return this;
+  }
+
+  off<E extends SimulationRunnerEvent>(event: E, listener: SimulationRunnerListener<E>): this {
+    this.listeners[event].delete(listener);
+    return this;
+  }
+
+  /**
+   * Starts ticking. Has no effect if already running.
+   */
+  start(): this {
+    if (this.running) {
+      return this;
+    }
+
+    if (!(this.api.getDeltaT() > 0)) {
+      throw new Error("Cannot start runner: delta T is not set. Load a script or call setDt() first.");
+    }
+
+    this.accumulator = 0;
+    this.lastTickTime = this.now();
+    this.schedule();
+    this.onRunningChange?.(true);
+    return this;
+  }
+
+  /**
+   * Stops ticking and emits `stop` with reason `stopped`.
+   */
+  stop(): void {
+    this.halt("stopped");
+  }
+
+  pause(): void {
+    this.api.hold();
+  }
+
+  resume(): void {
+    this.accumulator = 0;
+    this.lastTickTime = this.now();
+    this.api.resume();
+  }
+
+  private schedule(): void {
+    const delay = this.scale === "max" ? 0 : 1000 / this.rate;
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  private halt(reason: SimulationStopReason, error?: unknown): void {
+    if (this.timer === null) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.onRunningChange?.(false);
+    const event: SimulationStopEvent = { reason, simTime: this.api.getSimTime() };
+    if (error !== undefined) {
+      event.error = error;
+    }
+    this.emit("stop", event);
+  }
+
+  private tick(): void {
+    const tickStart = this.now();
+    const elapsedMs = tickStart - this.lastTickTime;
+    this.lastTickTime = tickStart;
+
+    let frames = 0;
+    let dropped = 0;
+    let ended = false;
+
+    try {
+      if (this.api.holding()) {
+        this.accumulator = 0;
+      } else if (this.scale === "max") {
+        const budgetMs = 1000 / this.rate;
+        while (this.running && frames < this.maxStepsPerTick && this.now() - tickStart < budgetMs) {
+          frames += 1;
+          if (!this.step()) {
+            ended = true;
+            break;
+          }
+        }
+      } else {
+        const dt = this.api.getDeltaT();
+        this.accumulator += (elapsedMs / 1000) * this.scale;
+
+        while (this.running && this.accumulator >= dt && frames < this.maxStepsPerTick) {
+          this.accumulator -= dt;
+          frames += 1;
+          if (!this.step()) {
+            ended = true;
+            break;
+          }
+        }
+
+        if (!ended && this.accumulator >= dt && this.overrunPolicy === "drop") {
+          dropped = Math.floor(this.accumulator / dt);
+          this.accumulator -= dropped * dt;
+        }
+      }
+
+      if (this.running) {
+        this.emit("tick", { simTime: this.api.getSimTime(), frames, dropped });
+      }
+    } catch (error) {
+      this.halt("error", error);
+      return;
+    }
+
+    if (ended) {
+      this.halt("ended");
+      return;
+    }
+
+    if (this.running) {
+      this.schedule();
+    }
+  }
+
+  private step(): boolean {
+    this.emit("beforeFrame", this.frameEvent());
+    const keepRunning = this.api.run();
+    this.emit("frame", this.frameEvent());
+    return keepRunning;
+  }
+
+  private frameEvent(): SimulationFrameEvent {
+    return { simTime: this.api.getSimTime(), frame: this.api.getFrame() };
+  }
+
+  private emit<E extends SimulationRunnerEvent>(event: E, payload: SimulationRunnerEvents[E]): void {
+    for (const listener of this.listeners[event]) {
+      listener(payload);
+    }
+  }
+}
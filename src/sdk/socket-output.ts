@@ -0,0 +1,140 @@
+import type { SocketOutputChannel } from "./types";
+
+/**
+ * One write by JSBSim to an output socket: a formatted line for `SOCKET` outputs, a binary packet for
+ * `FLIGHTGEAR` outputs.
+ */
+export interface SocketOutputRecord {
+  channel: SocketOutputChannel;
+  data: Uint8Array;
+  /**
+   * `data` decoded as UTF-8.
+   */
+  text: string;
+}
+
+export type SocketOutputListener = (record: SocketOutputRecord) => void;
+
+/**
+ * Forwards socket output somewhere JavaScript can reach. Transports connect lazily on the first
+ * record of a channel, since they may be added after JSBSim opened it.
+ */
+export interface SocketOutputTransport {
+  send(record: SocketOutputRecord): void;
+  /**
+   * Called when JSBSim closes the channel, e.g. when the executive is destroyed.
+   */
+  close?(channel: SocketOutputChannel): void;
+}
+
+type WebSocketLike = Pick<WebSocket, "readyState" | "binaryType" | "send" | "close" | "addEventListener">;
+
+export interface WebSocketTransportOptions {
+  /**
+   * Server URL, or a function choosing one per channel.
+   */
+  url: string | URL | ((channel: SocketOutputChannel) => string | URL);
+  protocols?: string | string[];
+  /**
+   * Sends records as text frames instead of binary frames. Defaults to false, which keeps `FLIGHTGEAR`
+   * packets intact.
+   */
+  text?: boolean;
+  /**
+   * WebSocket implementation for environments without a global `WebSocket`.
+   */
+  WebSocket?: new (url: string | URL, protocols?: string | string[]) => WebSocketLike;
+  onError?: (error: unknown, channel: SocketOutputChannel) => void;
+}
+
+const WEBSOCKET_CONNECTING = 0;
+const WEBSOCKET_OPEN = 1;
+
+interface WebSocketConnection {
+  socket: WebSocketLike;
+  pending: SocketOutputRecord[];
+}
+
+/**
+ * Sends socket output over one WebSocket per channel. Records written while a socket is still
+ * connecting are queued; records for a socket that failed are dropped.
+ */
+export class WebSocketTransport implements SocketOutputTransport {
+  private readonly options: WebSocketTransportOptions;
+  private readonly connections = new Map<number, WebSocketConnection>();
+
+  constructor(options: WebSocketTransportOptions) {
+    this.options = options;
+  }
+
+  send(record: SocketOutputRecord): void {
+    let connection = this.connections.get(record.channel.id);
+    if (!connection) {
+      try {
+        connection = this.connect(record.channel);
+      } catch (error) {
+        if (!this.options.onError) {
+          throw error;
+        }
+        this.options.onError(error, record.channel);
+        return;
+      }
+    }
+
+    if (connection.socket.readyState === WEBSOCKET_OPEN) {
+      this.write(connection.socket, record);
+    } else if (connection.socket.readyState === WEBSOCKET_CONNECTING) {
+      connection.pending.push(record);
+    }
+  }
+
+  close(channel: SocketOutputChannel): void {
+    this.connections.get(channel.id)?.socket.close();
+    this.connections.delete(channel.id);
+  }
+
+  /**
+   * Closes every WebSocket.
+   */
+  dispose(): void {
+    for (const connection of this.connections.values()) {
+      connection.socket.close();
+    }
+    this.connections.clear();
+  }
+
+  private connect(channel: SocketOutputChannel): WebSocketConnection {
+    const WebSocketImpl = this.options.WebSocket ?? globalThis.WebSocket;
+    if (!WebSocketImpl) {
+      throw new Error("WebSocket is unavailable in this environment. Pass a WebSocket implementation in the options.");
+    }
+
+    const url = typeof this.options.url === "function" ? this.options.url(channel) : this.options.url;
+    const socket = new WebSocketImpl(url, this.options.protocols);
+    socket.binaryType = "arraybuffer";
+    const connection: WebSocketConnection = { socket, pending: [] };
+
+    socket.addEventListener("open", () => {
+      for (const record of connection.pending) {
+        this.write(socket, record);
+      }
+      connection.pending = [];
+    });
+    socket.addEventListener("error", (event) => {
+      connection.pending = [];
+      this.options.onError?.(event, channel);
+    });
+    socket.addEventListener("close", () => {
+      if (this.connections.get(channel.id) === connection) {
+        this.connections.delete(channel.id);
+      }
+    });
+
+    this.connections.set(channel.id, connection);
+    return connection;
+  }
+
+  private write(socket: WebSocketLike, record: SocketOutputRecord): void {
+    socket.send(this.options.text ? record.text : record.data);
+  }
+}
@@ -0,0 +1,134 @@
+import { crc32 } from "./zip";
+
+export type PersistenceChange = "added" | "modified" | "deleted";
+
+/**
+ * A file changed on both sides since the last sync. Neither side is modified; resolve it by writing or
+ * removing the runtime file and syncing again.
+ */
+export interface PersistenceConflict {
+  /**
+   * Path relative to the runtime root.
+   */
+  path: string;
+  local: PersistenceChange;
+  remote: PersistenceChange;
+}
+
+export interface PersistenceSyncResult {
+  direction: "push" | "pull";
+  /**
+   * Paths, relative to the runtime root, written to the destination.
+   */
+  written: string[];
+  /**
+   * Paths removed from the destination because they were deleted at the source.
+   */
+  deleted: string[];
+  conflicts: PersistenceConflict[];
+}
+
+/**
+ * A file found while scanning one side. `read` is only called when size and mtime do not settle
+ * whether the file changed.
+ */
+export interface TrackedFile {
+  size: number;
+  mtime: number | undefined;
+  read(): Uint8Array | Promise<Uint8Array>;
+}
+
+export interface FileChange {
+  change: PersistenceChange;
+  /**
+   * Content hash; undefined for deletions.
+   */
+  hash?: number;
+}
+
+interface BaselineEntry {
+  size: number;
+  hash: number;
+  localMtime: number | undefined;
+  remoteMtime: number | undefined;
+}
+
+export type SyncSide = "local" | "remote";
+
+/**
+ * Remembers the state of every file at its last sync so each side can be diffed against it.
+ */
+export class ChangeTracker {
+  private readonly baseline = new Map<string, BaselineEntry>();
+  private readonly dirty = new Set<string>();
+
+  /**
+   * Forces a hash comparison for `path` on the next local diff, even if its size and mtime match.
+   */
+  markDirty(path: string): void {
+    this.dirty.add(path);
+  }
+
+  get hasDirty(): boolean {
+    return this.dirty.size > 0;
+  }
+
+  /**
+   * Changes on one side since the last sync, keyed by path.
+   */
+  async diff(files: Map<string, TrackedFile>, side: SyncSide): Promise<Map<string, FileChange>> {
+    const changes = new Map<string, FileChange>();
+    for (const [path, file] of files) {
+      const base = this.baseline.get(path);
+      if (!base) {
+        changes.set(path, { change: "added", hash: crc32(await file.read()) });
+        continue;
+      }
+
+      const baseMtime = side === "local" ? base.localMtime : base.remoteMtime;
+      const trusted = side === "remote" || !this.dirty.has(path);
+      if (trusted && file.size === base.size && file.mtime !== undefined && file.mtime === baseMtime) {
+        continue;
+      }
+
+      const hash = crc32(await file.read());
+      if (file.size === base.size && hash === base.hash) {
+        // Touched but unchanged; remember the new mtime so it is not hashed again.
+        base[side === "local" ? "localMtime" : "remoteMtime"] = file.mtime;
+        continue;
+      }
+      changes.set(path, { change: "modified", hash });
+    }
+
+    for (const path of this.baseline.keys()) {
+      if (!files.has(path)) {
+        changes.set(path, { change: "deleted" });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Records that both sides now hold the same content for `path`.
+   */
+  commit(path: string, hash: number, size: number, localMtime: number | undefined, remoteMtime: number | undefined): void {
+    this.baseline.set(path, { size, hash, localMtime, remoteMtime });
+    this.dirty.delete(path);
+  }
+
+  /**
+   * Records that `path` no longer exists on either side.
+   */
+  forget(path: string): void {
+    this.baseline.delete(path);
+    this.dirty.delete(path);
+  }
+
+  /**
+   * Drops all sync state, e.g. when the remote side is replaced.
+   */
+  reset(): void {
+    this.baseline.clear();
+    this.dirty.clear();
+  }
+}
@@ -0,0 +1,182 @@
+import { TrimControl, TrimMode, TrimState } from "../generated/fgfdmexec-api";
+import type { JSBSimApi } from "../generated/jsbsim-api";
+
+/**
+ * Trim state names, after JSBSim's: body accelerations (`udot`, `vdot`, `wdot`), angular accelerations
+ * (`pdot`, `qdot`, `rdot`), heading misalignment (`hmgt`) and load factor (`nlf`).
+ */
+export type TrimStateName = "udot" | "vdot" | "wdot" | "qdot" | "pdot" | "rdot" | "hmgt" | "nlf";
+
+export type TrimControlName =
+  | "throttle"
+  | "beta"
+  | "alpha"
+  | "elevator"
+  | "aileron"
+  | "rudder"
+  | "altAGL"
+  | "theta"
+  | "phi"
+  | "gamma"
+  | "pitchTrim"
+  | "rollTrim"
+  | "yawTrim"
+  | "heading";
+
+const STATE_VALUES: Record<TrimStateName, TrimState> = {
+  udot: TrimState.tUdot,
+  vdot: TrimState.tVdot,
+  wdot: TrimState.tWdot,
+  qdot: TrimState.tQdot,
+  pdot: TrimState.tPdot,
+  rdot: TrimState.tRdot,
+  hmgt: TrimState.tHmgt,
+  nlf: TrimState.tNlf,
+};
+
+const CONTROL_VALUES: Record<TrimControlName, TrimControl> = {
+  throttle: TrimControl.tThrottle,
+  beta: TrimControl.tBeta,
+  alpha: TrimControl.tAlpha,
+  elevator: TrimControl.tElevator,
+  aileron: TrimControl.tAileron,
+  rudder: TrimControl.tRudder,
+  altAGL: TrimControl.tAltAGL,
+  theta: TrimControl.tTheta,
+  phi: TrimControl.tPhi,
+  gamma: TrimControl.tGamma,
+  pitchTrim: TrimControl.tPitchTrim,
+  rollTrim: TrimControl.tRollTrim,
+  yawTrim: TrimControl.tYawTrim,
+  heading: TrimControl.tHeading,
+};
+
+function nameOf<Name extends string>(values: Record<Name, number>, value: number): Name {
+  const entry = Object.entries(values).find(([, candidate]) => candidate === value);
+  if (!entry) {
+    throw new Error(`Unknown trim axis value ${value}.`);
+  }
+  return entry[0] as Name;
+}
+
+export interface TrimOptions {
+  /**
+   * Defaults to `TrimMode.tLongitudinal`.
+   */
+  mode?: TrimMode;
+  /**
+   * Trim states paired by index with `controls`. Each pair replaces the control the mode uses for that
+   * state, or adds the state; in `TrimMode.tCustom` they are the only axes.
+   */
+  states?: readonly TrimStateName[];
+  controls?: readonly TrimControlName[];
+  /**
+   * Largest residual accepted for the acceleration axes; angular axes use a tenth of it. Defaults to
+   * JSBSim's.
+   */
+  tolerance?: number;
+  /**
+   * Maximum number of passes over all axes. Defaults to JSBSim's.
+   */
+  maxIterations?: number;
+  /**
+   * Returns a result with `success === false` instead of throwing `TrimError`. Defaults to false.
+   */
+  allowFailure?: boolean;
+}
+
+export interface TrimAxisResult {
+  state: TrimStateName;
+  control: TrimControlName;
+  /**
+   * Remaining value of the state, e.g. `udot` in ft/s².
+   */
+  residual: number;
+  tolerance: number;
+  /**
+   * Control setting found: normalized for throttle and surfaces, radians for angles, feet for `altAGL`.
+   */
+  value: number;
+  converged: boolean;
+}
+
+export interface TrimResult {
+  success: boolean;
+  /**
+   * Passes over all axes.
+   */
+  iterations: number;
+  residuals: Partial<Record<TrimStateName, number>>;
+  controls: Partial<Record<TrimControlName, number>>;
+  axes: TrimAxisResult[];
+}
+
+/**
+ * Thrown by `trim()` when JSBSim cannot trim the aircraft. `result` holds the residuals and control
+ * settings of the last pass.
+ */
+export class TrimError extends Error {
+  readonly result: TrimResult;
+
+  constructor(result: TrimResult, message: string) {
+    super(message);
+    this.name = "TrimError";
+    this.result = result;
+  }
+}
+
+/**
+ * Runs a trim and reports whether it converged, with the residual and control setting of every axis.
+ */
+export function runTrim(api: JSBSimApi, options: TrimOptions = {}): TrimResult {
+  const states = options.states ?? [];
+  const controls = options.controls ?? [];
+  if (states.length !== controls.length) {
+    throw new Error(`Trim states and controls must pair up: got ${states.length} states and ${controls.length} controls.`);
+  }
+
+  const mode = options.mode ?? TrimMode.tLongitudinal;
+  if (mode === TrimMode.tCustom && states.length === 0) {
+    throw new Error("Custom trims need at least one state and control.");
+  }
+
+  const data = api.runTrim(
+    mode,
+    states.map((state) => STATE_VALUES[state]),
+    controls.map((control) => CONTROL_VALUES[control]),
+    options.tolerance ?? 0,
+    options.maxIterations ?? 0
+  );
+
+  const result: TrimResult = {
+    success: data.success,
+    iterations: data.iterations,
+    residuals: {},
+    controls: {},
+    axes: [],
+  };
+  for (const axis of data.axes) {
+    const state = nameOf(STATE_VALUES, axis.state);
+    const control = nameOf(CONTROL_VALUES, axis.control);
+    result.residuals[state] = axis.residual;
+    result.controls[control] = axis.value;
+    result.axes.push({
+      state,
+      control,
+      residual: axis.residual,
+      tolerance: axis.tolerance,
+      value: axis.value,
+      converged: Math.abs(axis.residual) <= axis.tolerance,
+    });
+  }
+
+  if (!result.success && !options.allowFailure) {
+    const failed = result.axes.filter((axis) => !axis.converged).map((axis) => axis.state);
+    throw new TrimError(
+      result,
+      `Trim did not converge after ${result.iterations} iterations` +
+        (failed.length > 0 ? ` (${failed.join(", ")} out of tolerance).` : ".")
+    );
+  }
+  return result;
+}
@@ -1,21 +1,35 @@
 import type { FGFDMExecApi } from "../generated/fgfdmexec-api";
+import type { PersistenceBackend } from "./persistence";
+import type { PersistenceSyncResult } from "./sync";
 
 export type BinaryLike = Uint8Array | ArrayBuffer | string;
 
 export interface EmscriptenFileSystems {
   MEMFS: unknown;
   IDBFS?: unknown;
+  NODEFS?: unknown;
+}
+
+/**
+ * Subset of an Emscripten FS node used to wrap filesystem operations.
+ */
+export interface EmscriptenFsNode {
+  node_ops: Record<string, unknown>;
+  stream_ops: Record<string, unknown>;
 }
 
 export interface EmscriptenFsStats {
   mode: number;
+  size?: number;
+  mtime?: Date;
 }
 
 export interface EmscriptenFs {
   filesystems: EmscriptenFileSystems;
   mkdir(path: string): void;
   mkdirTree(path: string): void;
-  mount(type: unknown, opts: Record<string, unknown>, mountpoint: string): void;
+  mount(type: unknown, opts: Record<string, unknown>, mountpoint: string): EmscriptenFsNode;
+  unmount(mountpoint: string): void;
   syncfs(populate: boolean, cb: (error?: Error | null) => void): void;
   readdir(path: string): string[];
   stat(path: string): EmscriptenFsStats;
@@ -26,12 +40,37 @@ export interface EmscriptenFs {
   analyzePath(path: string): { exists: boolean };
   unlink(path: string): void;
   rmdir(path: string): void;
+  rename(oldPath: string, newPath: string): void;
+  ErrnoError: new (errno: number) => Error;
+}
+
+/**
+ * An outgoing socket opened by JSBSim, e.g. for `<output type="SOCKET">` or `type="FLIGHTGEAR"`.
+ */
+export interface SocketOutputChannel {
+  id: number;
+  /**
+   * Destination as configured in the output directive.
+   */
+  host: string;
+  port: number;
+  protocol: "udp" | "tcp";
 }
 
+export type JSBSimSocketEvent =
+  | { type: "open"; channel: SocketOutputChannel }
+  | { type: "data"; channel: SocketOutputChannel; data: Uint8Array }
+  | { type: "close"; channel: SocketOutputChannel };
+
 export interface JSBSimRuntimeModule {
   FGFDMExec: new () => FGFDMExecApi;
   FS: EmscriptenFs;
+  HEAPF64: Float64Array;
   destroy?(value: unknown): void;
+  /**
+   * Receives JSBSim's outgoing socket traffic instead of Emscripten's WebSocket emulation. Set by the SDK.
+   */
+  onSocketOutput?: (event: JSBSimSocketEvent) => void;
 }
 
 export type JSBSimModuleFactory = (options?: Record<string, unknown>) => Promise<JSBSimRuntimeModule>;
@@ -63,12 +102,50 @@ export interface LoadJSBSimModuleOptions {
   log?: JSBSimLogOptions;
 }
 
+export interface PersistenceAutoSyncOptions {
+  /**
+   * Quiet period after the last write before pushing. Defaults to 1000 ms.
+   */
+  delayMs?: number;
+  onSync?: (result: PersistenceSyncResult) => void;
+  onError?: (error: unknown) => void;
+}
+
 export interface PersistenceOptions {
   enabled?: boolean;
+  /**
+   * Where persisted files are stored. Defaults to Emscripten IDBFS mounted at `idbMountPath`, which is
+   * only available in browsers.
+   */
+  backend?: PersistenceBackend;
   idbMountPath?: string;
+  /**
+   * Pushes changes automatically after SDK writes; see `WasmVfsManager.enableAutoSync`.
+   */
+  autoSync?: boolean | PersistenceAutoSyncOptions;
+}
+
+export interface HostDirectoryMountOptions {
+  /**
+   * Rejects writes, deletes and renames under the mount with `EROFS`. Defaults to false.
+   */
+  readOnly?: boolean;
+}
+
+export interface HostDirectoryMount extends HostDirectoryMountOptions {
+  hostPath: string;
+  /**
+   * Runtime directory to mount over, relative to the runtime root unless absolute. Defaults to the runtime root.
+   */
+  runtimePath?: string;
 }
 
 export interface JSBSimSdkOptions extends LoadJSBSimModuleOptions {
   runtimeRoot?: string;
   persistence?: PersistenceOptions;
+  /**
+   * Host directories mounted with NODEFS before persistence is enabled and paths are configured, so the
+   * initial pull leaves them alone. Node.js only.
+   */
+  hostMounts?: HostDirectoryMount[];
 }
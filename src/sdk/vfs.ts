@@ -1,13 +1,40 @@
-import type { BinaryLike, EmscriptenFs, JSBSimRuntimeModule } from "./types";
+import type {
+  BinaryLike,
+  EmscriptenFs,
+  EmscriptenFsNode,
+  HostDirectoryMountOptions,
+  JSBSimRuntimeModule,
+  PersistenceAutoSyncOptions,
+} from "./types";
+import { WORKSPACES_DIR, type PersistedFile, type PersistedFileInfo, type PersistenceBackend } from "./persistence";
+import {
+  ChangeTracker,
+  type FileChange,
+  type PersistenceConflict,
+  type PersistenceSyncResult,
+  type TrackedFile,
+} from "./sync";
+import { crc32, readZip, writeZip, type ZipCompression, type ZipFileInput } from "./zip";
 
 const ROOT_SEPARATOR = "/";
+const DEFAULT_AUTO_SYNC_DELAY_MS = 1000;
+const EROFS = 69;
+const WRITE_NODE_OPS = ["setattr", "mknod", "rename", "unlink", "rmdir", "symlink"];
+const WRITE_STREAM_OPS = ["write", "allocate", "msync"];
 
 function normalizePath(path: string): string {
   if (!path) {
     return ROOT_SEPARATOR;
   }
 
-  const parts = path.split(ROOT_SEPARATOR).filter(Boolean);
+  const parts: string[] = [];
+  for (const part of path.split(ROOT_SEPARATOR)) {
+    if (part === "..") {
+      parts.pop();
+    } else if (part && part !== ".") {
+      parts.push(part);
+    }
+  }
   return `${ROOT_SEPARATOR}${parts.join(ROOT_SEPARATOR)}`;
 }
 
@@ -35,37 +62,168 @@ function listChildren(fs: EmscriptenFs, path: string): string[] {
   return fs.readdir(path).filter((entry) => entry !== "." && entry !== "..");
 }
 
-function removeTree(fs: EmscriptenFs, targetPath: string): void {
-  if (!fs.analyzePath(targetPath).exists) {
-    return;
+/**
+ * Removes a file or directory tree, leaving paths for which `keep` returns true (and their ancestors) in
+ * place. Returns true if `path` itself was removed.
+ */
+function removeTree(fs: EmscriptenFs, path: string, keep: (path: string) => boolean): boolean {
+  if (keep(path)) {
+    return false;
   }
 
-  const stat = fs.stat(targetPath);
-  if (fs.isFile(stat.mode)) {
-    fs.unlink(targetPath);
-    return;
+  if (fs.isFile(fs.stat(path).mode)) {
+    fs.unlink(path);
+    return true;
   }
 
-  for (const child of listChildren(fs, targetPath)) {
-    removeTree(fs, joinPath(targetPath, child));
+  let empty = true;
+  for (const child of listChildren(fs, path)) {
+    empty = removeTree(fs, joinPath(path, child), keep) && empty;
+  }
+  if (empty) {
+    fs.rmdir(path);
+  }
+  return empty;
+}
+
+/**
+ * Files under `root` keyed by path relative to it, skipping directories for which `skip` returns true.
+ */
+function scanFiles(fs: EmscriptenFs, root: string, skip: (path: string) => boolean = () => false): Map<string, TrackedFile> {
+  const files = new Map<string, TrackedFile>();
+  const visit = (path: string, prefix: string): void => {
+    for (const child of listChildren(fs, path)) {
+      const childPath = joinPath(path, child);
+      const name = prefix ? `${prefix}${ROOT_SEPARATOR}${child}` : child;
+      const stat = fs.stat(childPath);
+      if (fs.isFile(stat.mode)) {
+        files.set(name, {
+          size: stat.size ?? 0,
+          mtime: stat.mtime?.getTime(),
+          read: () => fs.readFile(childPath, { encoding: "binary" }) as Uint8Array,
+        });
+      } else if (fs.isDir(stat.mode) && !skip(childPath)) {
+        visit(childPath, name);
+      }
+    }
+  };
+
+  if (fs.analyzePath(root).exists) {
+    visit(root, "");
   }
+  return files;
+}
 
-  fs.rmdir(targetPath);
+function parentPath(path: string): string {
+  return path.slice(0, path.lastIndexOf(ROOT_SEPARATOR)) || ROOT_SEPARATOR;
 }
 
-function copyTree(fs: EmscriptenFs, sourcePath: string, destinationPath: string): void {
-  const sourceStat = fs.stat(sourcePath);
-  if (fs.isFile(sourceStat.mode)) {
-    ensureDir(fs, destinationPath.slice(0, destinationPath.lastIndexOf(ROOT_SEPARATOR)) || ROOT_SEPARATOR);
-    const data = fs.readFile(sourcePath, { encoding: "binary" }) as Uint8Array;
-    fs.writeFile(destinationPath, data);
+/**
+ * Removes a file, then any directories it leaves empty up to (not including) `stopAt`.
+ */
+function removeFile(fs: EmscriptenFs, path: string, stopAt: string): void {
+  if (!fs.analyzePath(path).exists) {
     return;
   }
 
-  ensureDir(fs, destinationPath);
-  for (const child of listChildren(fs, sourcePath)) {
-    copyTree(fs, joinPath(sourcePath, child), joinPath(destinationPath, child));
+  fs.unlink(path);
+  for (let dir = parentPath(path); dir !== stopAt && dir.startsWith(`${stopAt}${ROOT_SEPARATOR}`); dir = parentPath(dir)) {
+    if (listChildren(fs, dir).length > 0) {
+      break;
+    }
+    fs.rmdir(dir);
+  }
+}
+
+function writeFile(fs: EmscriptenFs, path: string, data: Uint8Array): number | undefined {
+  ensureDir(fs, parentPath(path));
+  fs.writeFile(path, data);
+  return fs.stat(path).mtime?.getTime();
+}
+
+/**
+ * Validates a zip entry name and returns it as a relative path, or null for the archive root.
+ */
+function archiveEntryPath(name: string): string | null {
+  const path = name.replaceAll("\\", ROOT_SEPARATOR);
+  if (path.startsWith(ROOT_SEPARATOR) || /^[A-Za-z]:/.test(path)) {
+    throw new Error(`Archive entry "${name}" has an absolute path.`);
+  }
+
+  const parts = path.split(ROOT_SEPARATOR).filter((part) => part !== "" && part !== ".");
+  if (parts.includes("..")) {
+    throw new Error(`Archive entry "${name}" escapes the target directory.`);
+  }
+
+  return parts.length > 0 ? parts.join(ROOT_SEPARATOR) : null;
+}
+
+function collectFiles(fs: EmscriptenFs, path: string, prefix: string, files: ZipFileInput[]): void {
+  for (const child of listChildren(fs, path)) {
+    const childPath = joinPath(path, child);
+    const name = prefix ? `${prefix}${ROOT_SEPARATOR}${child}` : child;
+    const stat = fs.stat(childPath);
+    if (fs.isFile(stat.mode)) {
+      files.push({
+        name,
+        data: fs.readFile(childPath, { encoding: "binary" }) as Uint8Array,
+        ...(stat.mtime ? { modified: stat.mtime } : {}),
+      });
+    } else if (fs.isDir(stat.mode)) {
+      collectFiles(fs, childPath, name, files);
+    }
+  }
+}
+
+function isWithin(path: string, dir: string): boolean {
+  return path === dir || dir === ROOT_SEPARATOR || path.startsWith(`${dir}${ROOT_SEPARATOR}`);
+}
+
+function baseName(path: string): string {
+  return path.slice(path.lastIndexOf(ROOT_SEPARATOR) + 1);
+}
+
+function toBytes(data: BinaryLike): Uint8Array {
+  if (typeof data === "string") {
+    return new TextEncoder().encode(data);
+  }
+  return data instanceof Uint8Array ? data : new Uint8Array(data);
+}
+
+function isNode(): boolean {
+  const scope = globalThis as { process?: { versions?: { node?: string } } };
+  return typeof scope.process?.versions?.node === "string";
+}
+
+/**
+ * Makes a mounted subtree read-only. Emscripten ignores permission bits, so write operations are
+ * replaced on the mount root and on every node later looked up beneath it.
+ */
+function protectNode(fs: EmscriptenFs, node: EmscriptenFsNode): EmscriptenFsNode {
+  const deny = (): never => {
+    throw new fs.ErrnoError(EROFS);
+  };
+  const nodeOps = { ...node.node_ops };
+  const lookup = node.node_ops.lookup as ((parent: EmscriptenFsNode, name: string) => EmscriptenFsNode) | undefined;
+  if (lookup) {
+    nodeOps.lookup = (parent: EmscriptenFsNode, name: string) => protectNode(fs, lookup(parent, name));
+  }
+  for (const op of WRITE_NODE_OPS) {
+    if (op in nodeOps) {
+      nodeOps[op] = deny;
+    }
+  }
+
+  const streamOps = { ...node.stream_ops };
+  for (const op of WRITE_STREAM_OPS) {
+    if (op in streamOps) {
+      streamOps[op] = deny;
+    }
   }
+
+  node.node_ops = nodeOps;
+  node.stream_ops = streamOps;
+  return node;
 }
 
 function syncFs(fs: EmscriptenFs, populate: boolean): Promise<void> {
@@ -80,12 +238,180 @@ function syncFs(fs: EmscriptenFs, populate: boolean): Promise<void> {
   });
 }
 
+/**
+ * Default backend: Emscripten IDBFS mounted at `mountPath`, flushed to IndexedDB with `syncfs`.
+ */
+class IdbfsPersistenceBackend implements PersistenceBackend {
+  private readonly fs: EmscriptenFs;
+  private readonly mountPath: string;
+
+  constructor(fs: EmscriptenFs, mountPath: string) {
+    this.fs = fs;
+    this.mountPath = mountPath;
+  }
+
+  async list(): Promise<PersistedFile[]> {
+    return [...scanFiles(this.fs, this.mountPath)].map(([path, file]) =>
+      file.mtime === undefined ? { path, size: file.size } : { path, size: file.size, mtime: file.mtime },
+    );
+  }
+
+  async read(path: string): Promise<Uint8Array | null> {
+    const fullPath = joinPath(this.mountPath, path);
+    return this.fs.analyzePath(fullPath).exists ? (this.fs.readFile(fullPath, { encoding: "binary" }) as Uint8Array) : null;
+  }
+
+  async write(path: string, data: Uint8Array): Promise<PersistedFileInfo> {
+    const mtime = writeFile(this.fs, joinPath(this.mountPath, path), data);
+    return mtime === undefined ? { size: data.length } : { size: data.length, mtime };
+  }
+
+  async remove(path: string): Promise<void> {
+    removeFile(this.fs, joinPath(this.mountPath, path), this.mountPath);
+  }
+
+  refresh(): Promise<void> {
+    return syncFs(this.fs, true);
+  }
+
+  flush(): Promise<void> {
+    return syncFs(this.fs, false);
+  }
+}
+
+export interface EnablePersistenceOptions {
+  /**
+   * Removes every overlay file (except host directory mounts) and restores the base layer before pulling,
+   * so the runtime root holds only the base and persisted files. Defaults to false, which keeps unsynced
+   * runtime files.
+   */
+  replaceRuntime?: boolean;
+}
+
+export interface ArchiveProgress {
+  /**
+   * Runtime path of the file just written.
+   */
+  path: string;
+  /**
+   * Files written so far, including this one.
+   */
+  completed: number;
+  total: number;
+  bytes: number;
+}
+
+export interface MountArchiveOptions {
+  onProgress?: (progress: ArchiveProgress) => void;
+  /**
+   * `base` adds the files to the read-only base layer instead of writing them as overlay files.
+   * Defaults to `overlay`.
+   */
+  layer?: RuntimeLayer;
+}
+
+export interface ExportArchiveOptions {
+  /**
+   * Defaults to `deflate`.
+   */
+  compression?: ZipCompression;
+}
+
+export type VfsErrorCode = "ENOENT" | "EEXIST" | "ENOTDIR" | "EISDIR" | "ENOTEMPTY" | "EBUSY" | "EINVAL" | "EROFS";
+
+/**
+ * Thrown by the runtime file methods. `code` follows the POSIX errno name and `path` is the resolved path
+ * that caused the failure.
+ */
+export class VfsError extends Error {
+  readonly code: VfsErrorCode;
+  readonly path: string;
+
+  constructor(code: VfsErrorCode, path: string, message: string) {
+    super(message);
+    this.name = "VfsError";
+    this.code = code;
+    this.path = path;
+  }
+}
+
+export type RuntimeFileType = "file" | "directory";
+
+/**
+ * `base` files still hold the content loaded with `writeBaseFile` or a base-layer archive; every other
+ * file, including edited base files, belongs to the writable overlay.
+ */
+export type RuntimeLayer = "base" | "overlay";
+
+export interface RuntimeFileStat {
+  /**
+   * Resolved path, e.g. `/runtime/aircraft/c172x/c172x.xml`.
+   */
+  path: string;
+  name: string;
+  type: RuntimeFileType;
+  /**
+   * Size in bytes; 0 for directories.
+   */
+  size: number;
+  /**
+   * Modification time in milliseconds, when the filesystem reports one.
+   */
+  mtime?: number;
+  /**
+   * Only set for files.
+   */
+  layer?: RuntimeLayer;
+  /**
+   * True for overlay files that shadow a base file.
+   */
+  overridesBase?: boolean;
+}
+
+export interface RuntimeFileTree extends RuntimeFileStat {
+  /**
+   * Entries sorted by name; only set for directories.
+   */
+  children?: RuntimeFileTree[];
+}
+
+export interface ListRuntimeFilesOptions {
+  /**
+   * Also lists the contents of subdirectories, each directory followed by its entries. Defaults to false.
+   */
+  recursive?: boolean;
+}
+
+export interface RemoveRuntimeOptions {
+  /**
+   * Allows removing a non-empty directory with everything below it. Defaults to false.
+   */
+  recursive?: boolean;
+}
+
+interface BaseFile {
+  data: Uint8Array;
+  hash: number;
+  /**
+   * Runtime mtime at which the file last matched `data`; cleared when the file is written.
+   */
+  verifiedMtime: number | undefined;
+}
+
 export class WasmVfsManager {
   readonly fs: EmscriptenFs;
   readonly runtimeRoot: string;
   readonly idbMountPath: string;
 
   private idbMounted = false;
+  private backend: PersistenceBackend | null = null;
+  private idbfsBackend: PersistenceBackend | null = null;
+  private readonly hostMounts = new Map<string, string>();
+  private readonly tracker = new ChangeTracker();
+  private readonly baseFiles = new Map<string, BaseFile>();
+  private syncQueue: Promise<unknown> = Promise.resolve();
+  private autoSync: PersistenceAutoSyncOptions | null = null;
+  private autoSyncTimer: ReturnType<typeof setTimeout> | null = null;
 
   constructor(module: JSBSimRuntimeModule, runtimeRoot: string, idbMountPath: string) {
     this.fs = module.FS;
@@ -99,18 +425,113 @@ export class WasmVfsManager {
     return typeof indexedDB !== "undefined" && Boolean(this.fs.filesystems.IDBFS);
   }
 
-  async enablePersistence(): Promise<void> {
-    if (!this.hasIdbfsSupport()) {
-      throw new Error("IDBFS is unavailable in this environment.");
+  get persistenceBackend(): PersistenceBackend | null {
+    return this.backend;
+  }
+
+  /**
+   * Selects where runtime files are persisted and pulls them into the runtime root. Without a backend,
+   * IDBFS is mounted at `idbMountPath`. Switching to a different backend starts change tracking afresh.
+   */
+  async enablePersistence(
+    backend?: PersistenceBackend,
+    options: EnablePersistenceOptions = {},
+  ): Promise<PersistenceSyncResult> {
+    const target = backend ?? this.mountIdbfs();
+    return this.enqueueSync(async () => {
+      if (target !== this.backend || options.replaceRuntime) {
+        this.cancelAutoSync();
+        this.tracker.reset();
+        this.backend = target;
+      }
+      if (options.replaceRuntime) {
+        this.dropOverlay(this.runtimeRoot);
+      }
+      return this.pull(target);
+    });
+  }
+
+  /**
+   * Pushes changes to persistence `delayMs` after the last write through `writeRuntimeFile` (including
+   * `writeDataFile` and archive mounts). Writes made directly through `fs` are picked up by the next sync.
+   */
+  enableAutoSync(options: PersistenceAutoSyncOptions = {}): void {
+    this.autoSync = options;
+    if (this.tracker.hasDirty) {
+      this.scheduleAutoSync();
     }
+  }
 
-    if (!this.idbMounted) {
-      ensureDir(this.fs, this.idbMountPath);
-      this.fs.mount(this.fs.filesystems.IDBFS as object, {}, this.idbMountPath);
-      this.idbMounted = true;
+  disableAutoSync(): void {
+    this.autoSync = null;
+    this.cancelAutoSync();
+  }
+
+  /**
+   * Flags a runtime file as changed so the next sync compares its contents even if its size and mtime
+   * look unchanged. Called for every write through this manager.
+   */
+  markDirty(path: string): void {
+    const fullPath = this.resolveRuntimePath(path);
+    const base = this.baseFiles.get(fullPath);
+    if (base) {
+      base.verifiedMtime = undefined;
+    }
+
+    const relative = this.relativeRuntimePath(fullPath);
+    if (relative === null) {
+      return;
+    }
+
+    this.tracker.markDirty(relative);
+    this.scheduleAutoSync();
+  }
+
+  hasNodefsSupport(): boolean {
+    return isNode() && Boolean(this.fs.filesystems.NODEFS);
+  }
+
+  /**
+   * Mounts a host directory over a runtime directory with NODEFS, so JSBSim reads it directly and files
+   * written beneath it (e.g. output logs) land on the host. The runtime directory must be empty; it defaults
+   * to the runtime root. Returns the runtime path. Node.js only.
+   */
+  mountHostDirectory(hostPath: string, runtimePath = "", options: HostDirectoryMountOptions = {}): string {
+    if (!isNode()) {
+      throw new Error("Host directory mounting requires Node.js; NODEFS is unavailable in browsers.");
+    }
+    if (!this.fs.filesystems.NODEFS) {
+      throw new Error("NODEFS is not available in this JSBSim build.");
+    }
+
+    const fullPath = this.resolveRuntimePath(runtimePath);
+    if (this.hostMounts.has(fullPath)) {
+      throw new Error(`A host directory is already mounted at ${fullPath}.`);
+    }
+    ensureDir(this.fs, fullPath);
+    if (listChildren(this.fs, fullPath).length > 0) {
+      throw new Error(`Cannot mount a host directory over non-empty runtime directory ${fullPath}.`);
+    }
+
+    const root = this.fs.mount(this.fs.filesystems.NODEFS, { root: hostPath }, fullPath);
+    if (options.readOnly) {
+      protectNode(this.fs, root);
+    }
+    this.hostMounts.set(fullPath, hostPath);
+    return fullPath;
+  }
+
+  /**
+   * Unmounts a host directory mounted with `mountHostDirectory`.
+   */
+  unmountHostDirectory(runtimePath = ""): void {
+    const fullPath = this.resolveRuntimePath(runtimePath);
+    if (!this.hostMounts.has(fullPath)) {
+      throw new Error(`No host directory is mounted at ${fullPath}.`);
     }
 
-    await this.syncFromPersistence();
+    this.fs.unmount(fullPath);
+    this.hostMounts.delete(fullPath);
   }
 
   resolveRuntimePath(path: string): string {
@@ -126,11 +547,16 @@ export class WasmVfsManager {
     const dir = fullPath.slice(0, fullPath.lastIndexOf(ROOT_SEPARATOR)) || ROOT_SEPARATOR;
     ensureDir(this.fs, dir);
     this.fs.writeFile(fullPath, data);
+    this.markDirty(fullPath);
     return fullPath;
   }
 
   readRuntimeFile(path: string, encoding: "utf8" | "binary" = "utf8"): string | Uint8Array {
-    return this.fs.readFile(this.resolveRuntimePath(path), { encoding });
+    const fullPath = this.resolveRuntimePath(path);
+    if (this.statPath(fullPath).type === "directory") {
+      throw new VfsError("EISDIR", fullPath, `Runtime path is a directory: ${fullPath}`);
+    }
+    return this.fs.readFile(fullPath, { encoding });
   }
 
   mkdirRuntime(path: string): string {
@@ -139,35 +565,597 @@ export class WasmVfsManager {
     return fullPath;
   }
 
-  async syncFromPersistence(): Promise<void> {
-    if (!this.idbMounted) {
-      throw new Error("IDBFS is not mounted.");
+  /**
+   * Adds a file to the read-only base layer and returns its resolved path. The runtime file is written
+   * unless an overlay file already shadows it. Base files are never persisted.
+   */
+  writeBaseFile(path: string, data: BinaryLike): string {
+    const fullPath = this.resolveRuntimePath(path);
+    const bytes = toBytes(data);
+    const shadowed = this.fs.analyzePath(fullPath).exists && !this.isBaseFile(fullPath);
+    const base: BaseFile = { data: bytes, hash: crc32(bytes), verifiedMtime: undefined };
+    this.baseFiles.set(fullPath, base);
+
+    if (!shadowed) {
+      base.verifiedMtime = writeFile(this.fs, fullPath, bytes);
+    }
+    return fullPath;
+  }
+
+  get hasBaseLayer(): boolean {
+    return this.baseFiles.size > 0;
+  }
+
+  /**
+   * Layer of a runtime file. Throws a `VfsError` if `path` is missing or a directory.
+   */
+  runtimeLayer(path: string): RuntimeLayer {
+    const fullPath = this.resolveRuntimePath(path);
+    if (this.statPath(fullPath).type === "directory") {
+      throw new VfsError("EISDIR", fullPath, `Runtime path is a directory: ${fullPath}`);
+    }
+    return this.isBaseFile(fullPath) ? "base" : "overlay";
+  }
+
+  /**
+   * Drops overlay files under `path` (the whole runtime root by default) and restores the base files
+   * they shadowed or deleted, i.e. resets to stock. Host directory mounts are left alone. Returns the
+   * resolved paths removed or restored; the next push removes the dropped files from persistence.
+   */
+  resetOverlay(path = ""): string[] {
+    const changed = this.dropOverlay(this.resolveRuntimePath(path));
+    for (const fullPath of changed) {
+      this.markDirty(fullPath);
+    }
+    return changed;
+  }
+
+  /**
+   * Removes the base layer. Base files still unmodified are deleted from the runtime root; edited ones
+   * stay as plain overlay files.
+   */
+  clearBaseLayer(): void {
+    for (const fullPath of this.baseFiles.keys()) {
+      if (this.isBaseFile(fullPath)) {
+        removeFile(this.fs, fullPath, this.runtimeRoot);
+      }
+    }
+    this.baseFiles.clear();
+  }
+
+  /**
+   * Stats a runtime file or directory. Throws a `VfsError` with code `ENOENT` if it does not exist.
+   */
+  statRuntime(path: string): RuntimeFileStat {
+    return this.statPath(this.resolveRuntimePath(path));
+  }
+
+  runtimePathExists(path: string): boolean {
+    return this.fs.analyzePath(this.resolveRuntimePath(path)).exists;
+  }
+
+  /**
+   * Entries of a runtime directory sorted by name.
+   */
+  listRuntime(dir = "", options: ListRuntimeFilesOptions = {}): RuntimeFileStat[] {
+    const entries: RuntimeFileStat[] = [];
+    const visit = (path: string): void => {
+      for (const child of listChildren(this.fs, path).sort()) {
+        const entry = this.statPath(joinPath(path, child));
+        entries.push(entry);
+        if (options.recursive && entry.type === "directory") {
+          visit(entry.path);
+        }
+      }
+    };
+
+    visit(this.requireDirectory(this.resolveRuntimePath(dir)));
+    return entries;
+  }
+
+  /**
+   * A runtime file or directory with everything below it. Directory sizes are the total size of their files.
+   */
+  runtimeTree(path = ""): RuntimeFileTree {
+    const build = (fullPath: string): RuntimeFileTree => {
+      const node: RuntimeFileTree = this.statPath(fullPath);
+      if (node.type === "directory") {
+        node.children = listChildren(this.fs, fullPath).sort().map((child) => build(joinPath(fullPath, child)));
+        node.size = node.children.reduce((total, child) => total + child.size, 0);
+      }
+      return node;
+    };
+
+    return build(this.resolveRuntimePath(path));
+  }
+
+  /**
+   * Removes a runtime file or directory and returns its resolved path. Non-empty directories require
+   * `recursive`. Host directory mount points and base-layer files cannot be removed.
+   */
+  removeRuntime(path: string, options: RemoveRuntimeOptions = {}): string {
+    const fullPath = this.resolveRuntimePath(path);
+    const stat = this.statPath(fullPath);
+    this.assertMovable(fullPath, "remove");
+
+    if (stat.type === "file") {
+      this.fs.unlink(fullPath);
+      this.markDirty(fullPath);
+      return fullPath;
+    }
+
+    if (!options.recursive && listChildren(this.fs, fullPath).length > 0) {
+      throw new VfsError("ENOTEMPTY", fullPath, `Runtime directory is not empty: ${fullPath}`);
+    }
+
+    const removed = [...scanFiles(this.fs, fullPath).keys()].map((file) => joinPath(fullPath, file));
+    removeTree(this.fs, fullPath, () => false);
+    for (const file of removed) {
+      this.markDirty(file);
+    }
+    return fullPath;
+  }
+
+  /**
+   * Moves a runtime file or directory, creating the destination's parent directories. The destination
+   * must not exist, and base-layer files cannot be moved. Returns the resolved destination path.
+   */
+  renameRuntime(from: string, to: string): string {
+    const [source, target] = this.prepareTransfer(from, to, "rename");
+    this.assertMovable(source, "rename");
+
+    const moved = this.fs.isDir(this.fs.stat(source).mode) ? [...scanFiles(this.fs, source).keys()] : [""];
+    this.fs.rename(source, target);
+    for (const file of moved) {
+      this.markDirty(joinPath(source, file));
+      this.markDirty(joinPath(target, file));
+    }
+    return target;
+  }
+
+  /**
+   * Copies a runtime file or directory tree, creating the destination's parent directories. The
+   * destination must not exist. Returns the resolved destination path.
+   */
+  copyRuntime(from: string, to: string): string {
+    const [source, target] = this.prepareTransfer(from, to, "copy");
+
+    if (this.fs.isFile(this.fs.stat(source).mode)) {
+      this.writeRuntimeFile(target, this.fs.readFile(source, { encoding: "binary" }));
+      return target;
+    }
+
+    ensureDir(this.fs, target);
+    for (const [file, tracked] of scanFiles(this.fs, source)) {
+      this.writeRuntimeFile(joinPath(target, file), tracked.read() as Uint8Array);
+    }
+    return target;
+  }
+
+  /**
+   * Unpacks a zip archive (stored or deflated entries) into `targetDir`, relative to the runtime root by default.
+   * Every entry is validated before anything is written, so an archive with an absolute or `../` path
+   * is rejected as a whole. Returns the runtime paths of the written files.
+   */
+  async mountArchive(
+    bytes: Uint8Array | ArrayBuffer,
+    targetDir = "",
+    options: MountArchiveOptions = {},
+  ): Promise<string[]> {
+    const entries = await readZip(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+    const targetPath = this.resolveRuntimePath(targetDir);
+    const files = entries.flatMap((entry) => {
+      const path = archiveEntryPath(entry.name);
+      return path === null ? [] : [{ entry, path: joinPath(targetPath, path) }];
+    });
+    const total = files.filter(({ entry }) => !entry.directory).length;
+
+    ensureDir(this.fs, targetPath);
+    const written: string[] = [];
+    for (const { entry, path } of files) {
+      if (entry.directory) {
+        ensureDir(this.fs, path);
+        continue;
+      }
+
+      written.push(options.layer === "base" ? this.writeBaseFile(path, entry.data) : this.writeRuntimeFile(path, entry.data));
+      options.onProgress?.({ path, completed: written.length, total, bytes: entry.data.length });
+    }
+
+    return written;
+  }
+
+  /**
+   * Packs a runtime subtree into a zip archive with paths relative to `dir`.
+   */
+  async exportArchive(dir = "", options: ExportArchiveOptions = {}): Promise<Uint8Array> {
+    const fullPath = this.resolveRuntimePath(dir);
+    if (!this.fs.analyzePath(fullPath).exists || !this.fs.isDir(this.fs.stat(fullPath).mode)) {
+      throw new Error(`Runtime directory not found: ${fullPath}`);
+    }
+
+    const files: ZipFileInput[] = [];
+    collectFiles(this.fs, fullPath, "", files);
+    return writeZip(files, options.compression);
+  }
+
+  /**
+   * Pulls files changed in persistence since the last sync into the runtime root and removes runtime files
+   * deleted there. Unsynced runtime changes are kept; files changed on both sides are reported as
+   * conflicts and left untouched.
+   */
+  syncFromPersistence(): Promise<PersistenceSyncResult> {
+    return this.enqueueSync(() => this.pull(this.requireBackend()));
+  }
+
+  /**
+   * Pushes runtime files changed since the last sync to persistence and removes persisted files deleted
+   * from the runtime root. Files under host directory mounts are not persisted.
+   */
+  syncToPersistence(): Promise<PersistenceSyncResult> {
+    return this.enqueueSync(async () => {
+      const backend = this.requireBackend();
+      this.cancelAutoSync();
+
+      const local = this.scanRuntime();
+      const result: PersistenceSyncResult = { direction: "push", written: [], deleted: [], conflicts: [] };
+      for (const [path, change] of await this.tracker.diff(local, "local")) {
+        if (this.isHostMounted(joinPath(this.runtimeRoot, path))) {
+          continue;
+        }
+        if (change.change === "deleted") {
+          await backend.remove(path);
+          this.tracker.forget(path);
+          result.deleted.push(path);
+          continue;
+        }
+
+        const file = local.get(path) as TrackedFile;
+        const info = await backend.write(path, await file.read());
+        this.tracker.commit(path, change.hash as number, file.size, file.mtime, info?.mtime);
+        result.written.push(path);
+      }
+
+      await backend.flush?.();
+      return result;
+    });
+  }
+
+  private async pull(backend: PersistenceBackend): Promise<PersistenceSyncResult> {
+    await backend.refresh?.();
+
+    const local = this.scanRuntime();
+    const remote = await this.scanBackend(backend);
+    const localChanges = await this.tracker.diff(local, "local");
+    const remoteChanges = await this.tracker.diff(remote, "remote");
+    const result: PersistenceSyncResult = { direction: "pull", written: [], deleted: [], conflicts: [] };
+
+    for (const [path, remoteChange] of remoteChanges) {
+      const runtimePath = joinPath(this.runtimeRoot, path);
+      if (this.isHostMounted(runtimePath)) {
+        continue;
+      }
+
+      const localChange = localChanges.get(path);
+      if (localChange) {
+        this.reconcile(path, localChange, remoteChange, local, remote, result);
+        continue;
+      }
+
+      if (remoteChange.change === "deleted") {
+        removeFile(this.fs, runtimePath, this.runtimeRoot);
+        this.restoreBaseFile(runtimePath);
+        this.tracker.forget(path);
+        result.deleted.push(path);
+        continue;
+      }
+
+      const file = remote.get(path) as TrackedFile;
+      const localMtime = writeFile(this.fs, runtimePath, await file.read());
+      this.tracker.commit(path, remoteChange.hash as number, file.size, localMtime, file.mtime);
+      result.written.push(path);
+    }
+
+    return result;
+  }
+
+  /**
+   * Handles a file changed on both sides since the last sync.
+   */
+  private reconcile(
+    path: string,
+    localChange: FileChange,
+    remoteChange: FileChange,
+    local: Map<string, TrackedFile>,
+    remote: Map<string, TrackedFile>,
+    result: PersistenceSyncResult,
+  ): void {
+    if (localChange.change === "deleted" && remoteChange.change === "deleted") {
+      this.tracker.forget(path);
+      return;
+    }
+
+    if (localChange.hash !== undefined && localChange.hash === remoteChange.hash) {
+      const localFile = local.get(path) as TrackedFile;
+      this.tracker.commit(path, localChange.hash, localFile.size, localFile.mtime, remote.get(path)?.mtime);
+      return;
+    }
+
+    const conflict: PersistenceConflict = { path, local: localChange.change, remote: remoteChange.change };
+    result.conflicts.push(conflict);
+  }
+
+  /**
+   * Runs `task` after pending syncs finish and before later ones start, e.g. to access the persistence
+   * backend directly. `task` must not call the sync methods.
+   */
+  runExclusive<T>(task: () => Promise<T>): Promise<T> {
+    return this.enqueueSync(task);
+  }
+
+  private enqueueSync<T>(task: () => Promise<T>): Promise<T> {
+    const run = this.syncQueue.then(task, task);
+    this.syncQueue = run.catch(() => undefined);
+    return run;
+  }
+
+  private scheduleAutoSync(): void {
+    if (!this.autoSync || !this.backend) {
+      return;
+    }
+
+    const options = this.autoSync;
+    this.cancelAutoSync();
+    this.autoSyncTimer = setTimeout(() => {
+      this.autoSyncTimer = null;
+      this.syncToPersistence().then(
+        (result) => options.onSync?.(result),
+        (error: unknown) => options.onError?.(error),
+      );
+    }, options.delayMs ?? DEFAULT_AUTO_SYNC_DELAY_MS);
+  }
+
+  private cancelAutoSync(): void {
+    if (this.autoSyncTimer !== null) {
+      clearTimeout(this.autoSyncTimer);
+      this.autoSyncTimer = null;
+    }
+  }
+
+  private mountIdbfs(): PersistenceBackend {
+    if (!this.idbfsBackend) {
+      if (!this.hasIdbfsSupport()) {
+        throw new Error("IDBFS is unavailable in this environment. Pass a persistence backend instead.");
+      }
+
+      ensureDir(this.fs, this.idbMountPath);
+      this.fs.mount(this.fs.filesystems.IDBFS as object, {}, this.idbMountPath);
+      this.idbMounted = true;
+      this.idbfsBackend = new IdbfsPersistenceBackend(this.fs, this.idbMountPath);
+    }
+    return this.idbfsBackend;
+  }
+
+  private requireBackend(): PersistenceBackend {
+    if (!this.backend) {
+      throw new Error("Persistence is not enabled.");
+    }
+    return this.backend;
+  }
+
+  /**
+   * Lists persisted files. Contents are read at most once, when a diff or pull needs them.
+   */
+  private async scanBackend(backend: PersistenceBackend): Promise<Map<string, TrackedFile>> {
+    const files = new Map<string, TrackedFile>();
+    for (const entry of await backend.list()) {
+      if (entry.path.startsWith(ROOT_SEPARATOR) || entry.path.split(ROOT_SEPARATOR).includes("..")) {
+        throw new Error(`Invalid persisted path: ${entry.path}`);
+      }
+      if (entry.path.startsWith(`${WORKSPACES_DIR}${ROOT_SEPARATOR}`)) {
+        continue;
+      }
+
+      let data: Promise<Uint8Array> | null = null;
+      files.set(entry.path, {
+        size: entry.size,
+        mtime: entry.mtime,
+        read: () => {
+          data ??= backend.read(entry.path).then((bytes) => {
+            if (!bytes) {
+              throw new Error(`Persisted file disappeared during sync: ${entry.path}`);
+            }
+            return bytes;
+          });
+          return data;
+        },
+      });
+    }
+    return files;
+  }
+
+  /**
+   * Runtime files to persist: everything except host directory mounts and unmodified base files.
+   */
+  private scanRuntime(): Map<string, TrackedFile> {
+    if (this.isHostMounted(this.runtimeRoot)) {
+      return new Map();
+    }
+
+    const files = scanFiles(this.fs, this.runtimeRoot, (path) => this.hostMounts.has(path));
+    for (const path of files.keys()) {
+      const fullPath = joinPath(this.runtimeRoot, path);
+      if (this.isHostMounted(fullPath) || this.isBaseFile(fullPath)) {
+        files.delete(path);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * True if `fullPath` is a file that still holds its base-layer content.
+   */
+  private isBaseFile(fullPath: string): boolean {
+    const base = this.baseFiles.get(fullPath);
+    if (!base || !this.fs.analyzePath(fullPath).exists) {
+      return false;
+    }
+
+    const stat = this.fs.stat(fullPath);
+    if (!this.fs.isFile(stat.mode) || (stat.size ?? 0) !== base.data.length) {
+      return false;
+    }
+
+    const mtime = stat.mtime?.getTime();
+    if (mtime !== undefined && mtime === base.verifiedMtime) {
+      return true;
+    }
+    if (crc32(this.fs.readFile(fullPath, { encoding: "binary" }) as Uint8Array) !== base.hash) {
+      return false;
+    }
+    base.verifiedMtime = mtime;
+    return true;
+  }
+
+  /**
+   * Rewrites the base content of `fullPath`, if it has any and is not already current. Returns true if
+   * the file was written.
+   */
+  private restoreBaseFile(fullPath: string): boolean {
+    const base = this.baseFiles.get(fullPath);
+    if (!base || this.isBaseFile(fullPath) || this.isHostMounted(fullPath)) {
+      return false;
+    }
+
+    if (this.fs.analyzePath(fullPath).exists && this.fs.isDir(this.fs.stat(fullPath).mode)) {
+      removeTree(this.fs, fullPath, (path) => this.hostMounts.has(path));
     }
+    base.verifiedMtime = writeFile(this.fs, fullPath, base.data);
+    return true;
+  }
 
-    await syncFs(this.fs, true);
+  /**
+   * Removes overlay files under `root` (never `root` itself if it is a directory) and restores base
+   * files there. Returns the resolved paths changed.
+   */
+  private dropOverlay(root: string): string[] {
+    const changed = new Set<string>();
+    const keep = (path: string): boolean => {
+      if (this.hostMounts.has(path) || this.isBaseFile(path)) {
+        return true;
+      }
+      if (this.fs.isFile(this.fs.stat(path).mode)) {
+        changed.add(path);
+      }
+      return false;
+    };
 
-    for (const entry of listChildren(this.fs, this.runtimeRoot)) {
-      removeTree(this.fs, joinPath(this.runtimeRoot, entry));
+    if (this.fs.analyzePath(root).exists) {
+      if (this.fs.isDir(this.fs.stat(root).mode)) {
+        for (const child of listChildren(this.fs, root)) {
+          removeTree(this.fs, joinPath(root, child), keep);
+        }
+      } else {
+        removeTree(this.fs, root, keep);
+      }
     }
 
-    for (const entry of listChildren(this.fs, this.idbMountPath)) {
-      copyTree(this.fs, joinPath(this.idbMountPath, entry), joinPath(this.runtimeRoot, entry));
+    for (const fullPath of this.baseFiles.keys()) {
+      if (isWithin(fullPath, root) && this.restoreBaseFile(fullPath)) {
+        changed.add(fullPath);
+      }
     }
+    return [...changed].sort();
   }
 
-  async syncToPersistence(): Promise<void> {
-    if (!this.idbMounted) {
-      throw new Error("IDBFS is not mounted.");
+  private statPath(fullPath: string): RuntimeFileStat {
+    if (!this.fs.analyzePath(fullPath).exists) {
+      throw new VfsError("ENOENT", fullPath, `Runtime path not found: ${fullPath}`);
     }
 
-    for (const entry of listChildren(this.fs, this.idbMountPath)) {
-      removeTree(this.fs, joinPath(this.idbMountPath, entry));
+    const stat = this.fs.stat(fullPath);
+    const type: RuntimeFileType = this.fs.isDir(stat.mode) ? "directory" : "file";
+    const mtime = stat.mtime?.getTime();
+    return {
+      path: fullPath,
+      name: baseName(fullPath),
+      type,
+      size: type === "file" ? (stat.size ?? 0) : 0,
+      ...(mtime === undefined ? {} : { mtime }),
+      ...(type === "file" ? this.layerInfo(fullPath) : {}),
+    };
+  }
+
+  private layerInfo(fullPath: string): Pick<RuntimeFileStat, "layer" | "overridesBase"> {
+    if (this.isBaseFile(fullPath)) {
+      return { layer: "base", overridesBase: false };
     }
+    return { layer: "overlay", overridesBase: this.baseFiles.has(fullPath) };
+  }
 
-    for (const entry of listChildren(this.fs, this.runtimeRoot)) {
-      copyTree(this.fs, joinPath(this.runtimeRoot, entry), joinPath(this.idbMountPath, entry));
+  private requireDirectory(fullPath: string): string {
+    if (this.statPath(fullPath).type !== "directory") {
+      throw new VfsError("ENOTDIR", fullPath, `Runtime path is not a directory: ${fullPath}`);
     }
+    return fullPath;
+  }
 
-    await syncFs(this.fs, false);
+  /**
+   * Resolves and validates the source and destination of a rename or copy, and creates the destination's
+   * parent directory.
+   */
+  private prepareTransfer(from: string, to: string, operation: string): [string, string] {
+    const source = this.resolveRuntimePath(from);
+    const target = this.resolveRuntimePath(to);
+    this.statPath(source);
+    if (this.fs.analyzePath(target).exists) {
+      throw new VfsError("EEXIST", target, `Runtime path already exists: ${target}`);
+    }
+    if (isWithin(target, source)) {
+      throw new VfsError("EINVAL", target, `Cannot ${operation} ${source} into itself.`);
+    }
+
+    ensureDir(this.fs, parentPath(target));
+    return [source, target];
+  }
+
+  private assertMovable(fullPath: string, operation: string): void {
+    if (isWithin(this.runtimeRoot, fullPath)) {
+      throw new VfsError("EINVAL", fullPath, `Cannot ${operation} the runtime root or one of its parents: ${fullPath}`);
+    }
+    for (const mountPath of this.hostMounts.keys()) {
+      if (isWithin(mountPath, fullPath)) {
+        throw new VfsError("EBUSY", fullPath, `Cannot ${operation} ${fullPath}: it contains the host directory mount ${mountPath}.`);
+      }
+    }
+    // Persistence only stores the overlay, so a removed base file would come back with the base layer.
+    for (const basePath of this.baseFiles.keys()) {
+      if (isWithin(basePath, fullPath)) {
+        throw new VfsError(
+          "EROFS",
+          fullPath,
+          `Cannot ${operation} ${fullPath}: ${basePath} belongs to the read-only base layer. Use resetOverlay() or clearBaseLayer().`,
+        );
+      }
+    }
+  }
+
+  private isHostMounted(path: string): boolean {
+    for (const mountPath of this.hostMounts.keys()) {
+      if (path === mountPath || path.startsWith(`${mountPath}${ROOT_SEPARATOR}`)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Path relative to the runtime root, or null if `fullPath` lies outside it.
+   */
+  private relativeRuntimePath(fullPath: string): string | null {
+    if (this.runtimeRoot === ROOT_SEPARATOR) {
+      return fullPath === ROOT_SEPARATOR ? null : fullPath.slice(1);
+    }
+    return fullPath.startsWith(`${this.runtimeRoot}${ROOT_SEPARATOR}`) ? fullPath.slice(this.runtimeRoot.length + 1) : null;
   }
 }
@@ -0,0 +1,288 @@
+import type { JSBSimSdk } from "./jsbsim-sdk";
+import type { JSBSimProperty } from "./property";
+
+/**
+ * When a watcher fires:
+ * - `rising` / `falling` / `crossing`: the value crosses `threshold` upwards, downwards, or either way.
+ * - `derivativeSignChange`: the rate of change changes sign, e.g. `to: "negative"` for a peak such as apogee.
+ * - `changed`: the value moved at least `epsilon` from the value at the last event (or registration).
+ * - `enterRange` / `leaveRange`: the value enters `[min, max]`, or leaves `[min - hysteresis, max + hysteresis]`.
+ *   Only transitions fire; a value already inside the range when the watcher is registered does not.
+ */
+export type WatchCondition =
+  | { type: "rising"; threshold: number }
+  | { type: "falling"; threshold: number }
+  | { type: "crossing"; threshold: number }
+  | { type: "derivativeSignChange"; to?: "negative" | "positive" }
+  | { type: "changed"; epsilon: number }
+  | { type: "enterRange"; min: number; max: number; hysteresis?: number }
+  | { type: "leaveRange"; min: number; max: number; hysteresis?: number };
+
+export interface WatchOptions {
+  /**
+   * Cancels the watcher after its first event. Defaults to false.
+   */
+  once?: boolean;
+}
+
+export interface WatchEvent {
+  path: string;
+  condition: WatchCondition;
+  /**
+   * Sim time of the crossing, linearly interpolated between the last two frames.
+   */
+  simTime: number;
+  /**
+   * Frame after which the event was detected.
+   */
+  frame: number;
+  value: number;
+  previousValue: number;
+}
+
+export type WatchCallback = (event: WatchEvent, watcher: PropertyWatcher) => void;
+
+interface Sample {
+  time: number;
+  value: number;
+}
+
+/**
+ * Time at which the line through `a` and `b` reaches `target`.
+ */
+function interpolate(a: Sample, b: Sample, target: number): number {
+  const delta = b.value - a.value;
+  if (delta === 0) {
+    return b.time;
+  }
+
+  return a.time + ((target - a.value) / delta) * (b.time - a.time);
+}
+
+function validateCondition(condition: WatchCondition): void {
+  switch (condition.type) {
+    case "changed":
+      if (!(condition.epsilon > 0)) {
+        throw new Error(`Invalid watch epsilon: ${condition.epsilon}. Expected a positive number.`);
+      }
+      break;
+    case "enterRange":
+    case "leaveRange":
+      if (!(condition.min <= condition.max)) {
+        throw new Error(`Invalid watch range: [${condition.min}, ${condition.max}].`);
+      }
+      if ((condition.hysteresis ?? 0) < 0) {
+        throw new Error(`Invalid watch hysteresis: ${condition.hysteresis}. Expected a non-negative number.`);
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Evaluates a condition on one property after every frame run through the SDK.
+ */
+export class PropertyWatcher {
+  readonly path: string;
+  readonly condition: WatchCondition;
+  readonly once: boolean;
+  private readonly sdk: JSBSimSdk;
+  private readonly property: JSBSimProperty;
+  private readonly callback: WatchCallback;
+  private readonly onCancel: (() => void) | undefined;
+  private unsubscribe: (() => void) | null;
+  private previous: Sample;
+  private beforePrevious: Sample | null = null;
+  private reference: number;
+  private inRange: boolean;
+
+  constructor(
+    sdk: JSBSimSdk,
+    property: JSBSimProperty,
+    condition: WatchCondition,
+    callback: WatchCallback,
+    options: WatchOptions = {},
+    onCancel?: () => void,
+  ) {
+    validateCondition(condition);
+    this.sdk = sdk;
+    this.property = property;
+    this.path = property.name;
+    this.condition = condition;
+    this.callback = callback;
+    this.once = options.once ?? false;
+    this.onCancel = onCancel;
+    this.previous = this.read();
+    this.reference = this.previous.value;
+    this.inRange = this.isInside(this.previous.value);
+    this.unsubscribe = sdk.onStep(() => this.evaluate());
+  }
+
+  get active(): boolean {
+    return this.unsubscribe !== null;
+  }
+
+  /**
+   * Takes the current value as the new baseline without firing, e.g. after the simulation state was restored.
+   */
+  resync(): void {
+    this.previous = this.read();
+    this.beforePrevious = null;
+    this.reference = this.previous.value;
+    this.inRange = this.isInside(this.previous.value);
+  }
+
+  /**
+   * Stops evaluating. Safe to call from the callback.
+   */
+  cancel(): void {
+    if (!this.unsubscribe) {
+      return;
+    }
+
+    this.unsubscribe();
+    this.unsubscribe = null;
+    this.onCancel?.();
+  }
+
+  private read(): Sample {
+    return { time: this.sdk.getSimTime(), value: this.property.get() };
+  }
+
+  private evaluate(): void {
+    const current = this.read();
+    const previous = this.previous;
+
+    if (current.time < previous.time) {
+      // Sim time went backwards (e.g. resetToInitialConditions); start over without firing.
+      this.resync();
+      return;
+    }
+
+    const simTime = this.detect(previous, current);
+    this.beforePrevious = previous;
+    this.previous = current;
+
+    if (simTime === null) {
+      return;
+    }
+
+    if (this.once) {
+      this.cancel();
+    }
+
+    this.callback(
+      {
+        path: this.path,
+        condition: this.condition,
+        simTime,
+        frame: this.sdk.getFrame(),
+        value: current.value,
+        previousValue: previous.value,
+      },
+      this,
+    );
+  }
+
+  /**
+   * Returns the interpolated event time, or null if the condition did not trigger on this frame.
+   */
+  private detect(previous: Sample, current: Sample): number | null {
+    const condition = this.condition;
+    switch (condition.type) {
+      case "rising":
+        return previous.value < condition.threshold && current.value >= condition.threshold
+          ? interpolate(previous, current, condition.threshold)
+          : null;
+      case "falling":
+        return previous.value > condition.threshold && current.value <= condition.threshold
+          ? interpolate(previous, current, condition.threshold)
+          : null;
+      case "crossing":
+        return (previous.value < condition.threshold && current.value >= condition.threshold) ||
+          (previous.value > condition.threshold && current.value <= condition.threshold)
+          ? interpolate(previous, current, condition.threshold)
+          : null;
+      case "derivativeSignChange":
+        return this.detectDerivativeSignChange(previous, current, condition.to);
+      case "changed": {
+        const delta = current.value - this.reference;
+        if (Math.abs(delta) < condition.epsilon) {
+          return null;
+        }
+
+        const target = this.reference + Math.sign(delta) * condition.epsilon;
+        this.reference = current.value;
+        return interpolate(previous, current, target);
+      }
+      case "enterRange":
+      case "leaveRange":
+        return this.detectRangeTransition(previous, current, condition);
+    }
+  }
+
+  private detectDerivativeSignChange(
+    previous: Sample,
+    current: Sample,
+    to: "negative" | "positive" | undefined,
+  ): number | null {
+    const first = this.beforePrevious;
+    if (!first || previous.time === first.time || current.time === previous.time) {
+      return null;
+    }
+
+    // Slopes over the last two frames, located at the midpoints of their intervals.
+    const before: Sample = {
+      time: (first.time + previous.time) / 2,
+      value: (previous.value - first.value) / (previous.time - first.time),
+    };
+    const after: Sample = {
+      time: (previous.time + current.time) / 2,
+      value: (current.value - previous.value) / (current.time - previous.time),
+    };
+
+    const toNegative = before.value > 0 && after.value <= 0;
+    const toPositive = before.value < 0 && after.value >= 0;
+    if ((to === "negative" && toNegative) || (to === "positive" && toPositive) || (to === undefined && (toNegative || toPositive))) {
+      return interpolate(before, after, 0);
+    }
+
+    return null;
+  }
+
+  private detectRangeTransition(
+    previous: Sample,
+    current: Sample,
+    condition: Extract<WatchCondition, { type: "enterRange" | "leaveRange" }>,
+  ): number | null {
+    const hysteresis = condition.hysteresis ?? 0;
+    let boundary: number | null = null;
+
+    if (this.inRange) {
+      if (current.value < condition.min - hysteresis) {
+        boundary = condition.min - hysteresis;
+      } else if (current.value > condition.max + hysteresis) {
+        boundary = condition.max + hysteresis;
+      }
+    } else if (this.isInside(current.value)) {
+      boundary = previous.value < condition.min ? condition.min : condition.max;
+    }
+
+    if (boundary === null) {
+      return null;
+    }
+
+    this.inRange = !this.inRange;
+    const fires = condition.type === "enterRange" ? this.inRange : !this.inRange;
+    return fires ? interpolate(previous, current, boundary) : null;
+  }
+
+  private isInside(value: number): boolean {
+    if (this.condition.type !== "enterRange" && this.condition.type !== "leaveRange") {
+      return false;
+    }
+
+    return value >= this.condition.min && value <= this.condition.max;
+  }
+}
@@ -0,0 +1,323 @@
+import { WORKSPACES_DIR, type PersistedFile, type PersistedFileInfo, type PersistenceBackend } from "./persistence";
+import type { WasmVfsManager } from "./vfs";
+
+const METADATA_FILE = "workspace.json";
+const FILES_DIR = "files";
+
+export interface WorkspaceInfo {
+  name: string;
+  description: string;
+  /**
+   * Milliseconds since the epoch.
+   */
+  created: number;
+  /**
+   * Milliseconds since the epoch of the last push that changed the workspace's files or metadata.
+   */
+  updated: number;
+}
+
+export interface CreateWorkspaceOptions {
+  description?: string;
+}
+
+export interface OpenWorkspaceOptions {
+  /**
+   * Drops unsynced changes in the currently open workspace instead of pushing them first. Defaults to false.
+   */
+  discardChanges?: boolean;
+}
+
+export interface UpdateWorkspaceOptions {
+  description?: string;
+}
+
+function workspaceDir(name: string): string {
+  return `${WORKSPACES_DIR}/${name}`;
+}
+
+function metadataPath(name: string): string {
+  return `${workspaceDir(name)}/${METADATA_FILE}`;
+}
+
+function filesPrefix(name: string): string {
+  return `${workspaceDir(name)}/${FILES_DIR}/`;
+}
+
+function validateName(name: string): void {
+  if (!name || name === "." || name === ".." || /[/\\]/.test(name)) {
+    throw new Error(`Invalid workspace name: "${name}". Names must be non-empty and must not contain slashes.`);
+  }
+}
+
+/**
+ * One workspace's files, stored under its prefix in the shared backend.
+ */
+class WorkspaceBackend implements PersistenceBackend {
+  readonly name: string;
+  private readonly base: PersistenceBackend;
+  private readonly prefix: string;
+  private readonly onChange: () => Promise<void>;
+  private changed = false;
+
+  constructor(base: PersistenceBackend, name: string, onChange: () => Promise<void>) {
+    this.base = base;
+    this.name = name;
+    this.prefix = filesPrefix(name);
+    this.onChange = onChange;
+  }
+
+  async list(): Promise<PersistedFile[]> {
+    return (await this.base.list())
+      .filter((file) => file.path.startsWith(this.prefix))
+      .map((file) => ({ ...file, path: file.path.slice(this.prefix.length) }));
+  }
+
+  read(path: string): Promise<Uint8Array | null> {
+    return this.base.read(`${this.prefix}${path}`);
+  }
+
+  write(path: string, data: Uint8Array): Promise<PersistedFileInfo | void> {
+    this.changed = true;
+    return this.base.write(`${this.prefix}${path}`, data);
+  }
+
+  remove(path: string): Promise<void> {
+    this.changed = true;
+    return this.base.remove(`${this.prefix}${path}`);
+  }
+
+  async refresh(): Promise<void> {
+    await this.base.refresh?.();
+  }
+
+  async flush(): Promise<void> {
+    if (this.changed) {
+      this.changed = false;
+      await this.onChange();
+    }
+    await this.base.flush?.();
+  }
+}
+
+/**
+ * Named, independently persisted copies of the runtime root. Workspaces live in the persistence backend
+ * that is active when the manager is first used; opening one makes it the VFS's persistence target.
+ */
+export class WorkspaceManager {
+  private readonly vfs: WasmVfsManager;
+  private base: PersistenceBackend | null = null;
+  private active: WorkspaceBackend | null = null;
+
+  constructor(vfs: WasmVfsManager) {
+    this.vfs = vfs;
+  }
+
+  /**
+   * Name of the open workspace, or null.
+   */
+  get current(): string | null {
+    return this.vfs.persistenceBackend === this.active ? (this.active?.name ?? null) : null;
+  }
+
+  list(): Promise<WorkspaceInfo[]> {
+    return this.withStorage(async (base) => {
+      const names = (await base.list())
+        .map((file) => file.path.split("/"))
+        .filter((parts) => parts.length === 3 && parts[0] === WORKSPACES_DIR && parts[2] === METADATA_FILE)
+        .map((parts) => parts[1] as string);
+
+      const workspaces: WorkspaceInfo[] = [];
+      for (const name of names) {
+        const info = await this.readInfo(base, name);
+        if (info) {
+          workspaces.push(info);
+        }
+      }
+      return workspaces.sort((a, b) => a.name.localeCompare(b.name));
+    });
+  }
+
+  /**
+   * Resolves to null if the workspace does not exist.
+   */
+  get(name: string): Promise<WorkspaceInfo | null> {
+    validateName(name);
+    return this.withStorage((base) => this.readInfo(base, name));
+  }
+
+  create(name: string, options: CreateWorkspaceOptions = {}): Promise<WorkspaceInfo> {
+    validateName(name);
+    return this.withStorage(async (base) => {
+      if (await this.readInfo(base, name)) {
+        throw new Error(`Workspace "${name}" already exists.`);
+      }
+
+      const now = Date.now();
+      const info: WorkspaceInfo = { name, description: options.description ?? "", created: now, updated: now };
+      await this.writeInfo(base, info);
+      await base.flush?.();
+      return info;
+    });
+  }
+
+  /**
+   * Makes `name` the persistence target and repopulates the runtime root from it alone. Unsynced changes in
+   * the previously open workspace are pushed first unless `discardChanges` is set.
+   */
+  async open(name: string, options: OpenWorkspaceOptions = {}): Promise<WorkspaceInfo> {
+    const info = await this.require(name);
+    if (this.current !== null && !options.discardChanges) {
+      await this.vfs.syncToPersistence();
+    }
+
+    const base = this.storage();
+    const workspace: WorkspaceBackend = new WorkspaceBackend(base, name, () => this.touch(base, name));
+    this.active = workspace;
+    await this.vfs.enablePersistence(workspace, { replaceRuntime: true });
+    return info;
+  }
+
+  update(name: string, options: UpdateWorkspaceOptions): Promise<WorkspaceInfo> {
+    validateName(name);
+    return this.withStorage(async (base) => {
+      const info = await this.requireInfo(base, name);
+      const updated: WorkspaceInfo = {
+        ...info,
+        description: options.description ?? info.description,
+        updated: Date.now(),
+      };
+      await this.writeInfo(base, updated);
+      await base.flush?.();
+      return updated;
+    });
+  }
+
+  delete(name: string): Promise<void> {
+    validateName(name);
+    if (this.current === name) {
+      throw new Error(`Cannot delete workspace "${name}" while it is open.`);
+    }
+
+    return this.withStorage(async (base) => {
+      await this.requireInfo(base, name);
+      const prefix = `${workspaceDir(name)}/`;
+      for (const file of await base.list()) {
+        if (file.path.startsWith(prefix)) {
+          await base.remove(file.path);
+        }
+      }
+      await base.flush?.();
+    });
+  }
+
+  /**
+   * Copies a workspace's files and description to a new workspace. Unsynced changes are pushed first when
+   * the source is open.
+   */
+  async duplicate(from: string, to: string, options: CreateWorkspaceOptions = {}): Promise<WorkspaceInfo> {
+    validateName(from);
+    validateName(to);
+    if (this.current === from) {
+      await this.vfs.syncToPersistence();
+    }
+
+    return this.withStorage(async (base) => {
+      const source = await this.requireInfo(base, from);
+      if (await this.readInfo(base, to)) {
+        throw new Error(`Workspace "${to}" already exists.`);
+      }
+
+      const sourcePrefix = filesPrefix(from);
+      const targetPrefix = filesPrefix(to);
+      for (const file of await base.list()) {
+        if (!file.path.startsWith(sourcePrefix)) {
+          continue;
+        }
+
+        const data = await base.read(file.path);
+        if (data) {
+          await base.write(`${targetPrefix}${file.path.slice(sourcePrefix.length)}`, data);
+        }
+      }
+
+      const now = Date.now();
+      const info: WorkspaceInfo = {
+        name: to,
+        description: options.description ?? source.description,
+        created: now,
+        updated: now,
+      };
+      await this.writeInfo(base, info);
+      await base.flush?.();
+      return info;
+    });
+  }
+
+  /**
+   * Runs `task` against the refreshed workspace storage, serialized with persistence syncs.
+   */
+  private withStorage<T>(task: (base: PersistenceBackend) => Promise<T>): Promise<T> {
+    const base = this.storage();
+    return this.vfs.runExclusive(async () => {
+      await base.refresh?.();
+      return task(base);
+    });
+  }
+
+  /**
+   * The backend holding all workspaces. Re-read whenever persistence was switched to a backend other than
+   * the open workspace.
+   */
+  private storage(): PersistenceBackend {
+    const current = this.vfs.persistenceBackend;
+    if (current && current !== this.active && current !== this.base) {
+      this.base = current;
+      this.active = null;
+    }
+    if (!this.base) {
+      throw new Error("Persistence is not enabled. Call enablePersistence() before using workspaces.");
+    }
+    return this.base;
+  }
+
+  private async require(name: string): Promise<WorkspaceInfo> {
+    validateName(name);
+    return this.withStorage((base) => this.requireInfo(base, name));
+  }
+
+  private async requireInfo(base: PersistenceBackend, name: string): Promise<WorkspaceInfo> {
+    const info = await this.readInfo(base, name);
+    if (!info) {
+      throw new Error(`Workspace "${name}" does not exist.`);
+    }
+    return info;
+  }
+
+  private async readInfo(base: PersistenceBackend, name: string): Promise<WorkspaceInfo | null> {
+    const data = await base.read(metadataPath(name));
+    if (!data) {
+      return null;
+    }
+
+    const stored = JSON.parse(new TextDecoder().decode(data)) as Partial<WorkspaceInfo>;
+    return {
+      name,
+      description: stored.description ?? "",
+      created: stored.created ?? 0,
+      updated: stored.updated ?? stored.created ?? 0,
+    };
+  }
+
+  private async writeInfo(base: PersistenceBackend, info: WorkspaceInfo): Promise<void> {
+    const stored = { description: info.description, created: info.created, updated: info.updated };
+    await base.write(metadataPath(info.name), new TextEncoder().encode(JSON.stringify(stored)));
+  }
+
+  private async touch(base: PersistenceBackend, name: string): Promise<void> {
+    const info = await this.readInfo(base, name);
+    if (info) {
+      await this.writeInfo(base, { ...info, updated: Date.now() });
+    }
+  }
+}
@@ -0,0 +1,273 @@
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+const ZIP64_MARKER = 0xffffffff;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+const VERSION_NEEDED = 20;
+
+export type ZipCompression = "store" | "deflate";
+
+/**
+ * One entry read from an archive. Directory entries have names ending in `/` and no data.
+ */
+export interface ZipEntry {
+  name: string;
+  directory: boolean;
+  method: number;
+  crc32: number;
+  compressedSize: number;
+  size: number;
+  modified: Date;
+  data: Uint8Array;
+}
+
+export interface ZipFileInput {
+  name: string;
+  data: Uint8Array;
+  modified?: Date;
+}
+
+let crcTable: Uint32Array | null = null;
+
+function getCrcTable(): Uint32Array {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+}
+
+export function crc32(data: Uint8Array): number {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i += 1) {
+    crc = (table[(crc ^ (data[i] as number)) & 0xff] as number) ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function transform(data: Uint8Array, stream: GenericTransformStream): Promise<Uint8Array> {
+  const output = new Blob([data as Uint8Array<ArrayBuffer>]).stream().pipeThrough(stream as unknown as TransformStream<Uint8Array, Uint8Array>);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+function inflateRaw(data: Uint8Array): Promise<Uint8Array> {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("DecompressionStream is unavailable in this environment; deflated zip entries cannot be read.");
+  }
+  return transform(data, new DecompressionStream("deflate-raw" as CompressionFormat));
+}
+
+function deflateRaw(data: Uint8Array): Promise<Uint8Array> {
+  return transform(data, new CompressionStream("deflate-raw" as CompressionFormat));
+}
+
+function fromDosDateTime(date: number, time: number): Date {
+  return new Date(
+    ((date >>> 9) & 0x7f) + 1980,
+    ((date >>> 5) & 0x0f) - 1,
+    date & 0x1f,
+    (time >>> 11) & 0x1f,
+    (time >>> 5) & 0x3f,
+    (time & 0x1f) * 2,
+  );
+}
+
+function toDosDateTime(value: Date): { date: number; time: number } {
+  const year = Math.min(Math.max(value.getFullYear(), 1980), 2107);
+  return {
+    date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate(),
+    time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+  };
+}
+
+function findEndOfCentralDirectory(view: DataView): number {
+  const lowest = Math.max(0, view.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE - MAX_COMMENT_LENGTH);
+  for (let offset = view.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE; offset >= lowest; offset -= 1) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new Error("Invalid zip archive: end of central directory not found.");
+}
+
+/**
+ * Reads every entry of a zip archive. Supports stored and deflated entries; deflate uses the platform
+ * `DecompressionStream`. ZIP64, encrypted and multi-disk archives are rejected.
+ */
+export async function readZip(bytes: Uint8Array): Promise<ZipEntry[]> {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = findEndOfCentralDirectory(view);
+  const count = view.getUint16(end + 10, true);
+  const directoryOffset = view.getUint32(end + 16, true);
+
+  if (view.getUint16(end + 4, true) !== 0 || view.getUint16(end + 6, true) !== 0) {
+    throw new Error("Multi-disk zip archives are not supported.");
+  }
+  if (count === 0xffff || directoryOffset === ZIP64_MARKER) {
+    throw new Error("ZIP64 archives are not supported.");
+  }
+
+  const decoder = new TextDecoder();
+  const entries: ZipEntry[] = [];
+  let offset = directoryOffset;
+  for (let index = 0; index < count; index += 1) {
+    if (offset + 46 > bytes.byteLength || view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error("Invalid zip archive: corrupt central directory.");
+    }
+
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const time = view.getUint16(offset + 12, true);
+    const date = view.getUint16(offset + 14, true);
+    const checksum = view.getUint32(offset + 16, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (flags & FLAG_ENCRYPTED) {
+      throw new Error(`Encrypted zip entry "${name}" is not supported.`);
+    }
+    if (compressedSize === ZIP64_MARKER || size === ZIP64_MARKER || localOffset === ZIP64_MARKER) {
+      throw new Error("ZIP64 archives are not supported.");
+    }
+    if (method !== METHOD_STORE && method !== METHOD_DEFLATE) {
+      throw new Error(`Zip entry "${name}" uses unsupported compression method ${method}.`);
+    }
+    if (localOffset + 30 > bytes.byteLength || view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Invalid zip archive: missing local header for "${name}".`);
+    }
+
+    // The local header's name and extra field lengths may differ from the central directory's.
+    const dataOffset =
+      localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    if (dataOffset + compressedSize > bytes.byteLength) {
+      throw new Error(`Invalid zip archive: data for "${name}" is truncated.`);
+    }
+
+    const raw = bytes.subarray(dataOffset, dataOffset + compressedSize);
+    const data = method === METHOD_DEFLATE ? await inflateRaw(raw) : raw.slice();
+    if (data.length !== size || crc32(data) !== checksum) {
+      throw new Error(`Zip entry "${name}" failed its integrity check.`);
+    }
+
+    entries.push({
+      name,
+      directory: name.endsWith("/"),
+      method,
+      crc32: checksum,
+      compressedSize,
+      size,
+      modified: fromDosDateTime(date, time),
+      data,
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Builds a zip archive. With `deflate`, each file is compressed through the platform `CompressionStream`
+ * and stored instead when that does not make it smaller.
+ */
+export async function writeZip(files: readonly ZipFileInput[], compression: ZipCompression = "deflate"): Promise<Uint8Array> {
+  if (compression === "deflate" && typeof CompressionStream === "undefined") {
+    throw new Error("CompressionStream is unavailable in this environment; use store compression.");
+  }
+
+  if (files.length >= 0xffff) {
+    throw new Error(`Too many zip entries: ${files.length}. ZIP64 archives are not supported.`);
+  }
+
+  const encoder = new TextEncoder();
+  const localParts: Uint8Array[] = [];
+  const centralParts: Uint8Array[] = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const checksum = crc32(file.data);
+    let method = METHOD_STORE;
+    let payload = file.data;
+    if (compression === "deflate" && file.data.length > 0) {
+      const deflated = await deflateRaw(file.data);
+      if (deflated.length < file.data.length) {
+        method = METHOD_DEFLATE;
+        payload = deflated;
+      }
+    }
+    if (payload.length >= ZIP64_MARKER || offset >= ZIP64_MARKER) {
+      throw new Error(`Zip entry "${file.name}" is too large; ZIP64 archives are not supported.`);
+    }
+
+    const { date, time } = toDosDateTime(file.modified ?? new Date());
+
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, LOCAL_FILE_HEADER, true);
+    localView.setUint16(4, VERSION_NEEDED, true);
+    localView.setUint16(6, FLAG_UTF8, true);
+    localView.setUint16(8, method, true);
+    localView.setUint16(10, time, true);
+    localView.setUint16(12, date, true);
+    localView.setUint32(14, checksum, true);
+    localView.setUint32(18, payload.length, true);
+    localView.setUint32(22, file.data.length, true);
+    localView.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    const central = new Uint8Array(46 + name.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    centralView.setUint16(4, VERSION_NEEDED, true);
+    centralView.setUint16(6, VERSION_NEEDED, true);
+    centralView.setUint16(8, FLAG_UTF8, true);
+    centralView.setUint16(10, method, true);
+    centralView.setUint16(12, time, true);
+    centralView.setUint16(14, date, true);
+    centralView.setUint32(16, checksum, true);
+    centralView.setUint32(20, payload.length, true);
+    centralView.setUint32(24, file.data.length, true);
+    centralView.setUint16(28, name.length, true);
+    centralView.setUint32(42, offset, true);
+    central.set(name, 46);
+
+    localParts.push(local, payload);
+    centralParts.push(central);
+    offset += local.length + payload.length;
+  }
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = new Uint8Array(END_OF_CENTRAL_DIRECTORY_SIZE);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  const archive = new Uint8Array(offset + centralSize + end.length);
+  let position = 0;
+  for (const part of [...localParts, ...centralParts, end]) {
+    archive.set(part, position);
+    position += part.length;
+  }
+  return archive;
+}
@@ -0,0 +1,23 @@
+import { exposeJSBSimWorker } from "./worker/host";
+import type { WorkerEndpoint } from "./worker/protocol";
+
+/**
+ * Packaged worker entry. Load it with `new Worker(url, { type: "module" })` in browsers or
+ * `new Worker(url)` from `node:worker_threads`, then connect with `JSBSimWorkerClient.create`.
+ */
+async function resolveEndpoint(): Promise<WorkerEndpoint> {
+  const scope = globalThis as unknown as Partial<WorkerEndpoint>;
+  if (typeof scope.postMessage === "function" && "addEventListener" in scope) {
+    return scope as WorkerEndpoint;
+  }
+
+  const specifier = "node:worker_threads";
+  const { parentPort } = (await import(/* @vite-ignore */ specifier)) as typeof import("node:worker_threads");
+  if (!parentPort) {
+    throw new Error("The JSBSim worker entry must be loaded inside a worker.");
+  }
+
+  return parentPort as unknown as WorkerEndpoint;
+}
+
+exposeJSBSimWorker(await resolveEndpoint());
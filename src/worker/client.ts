@@ -0,0 +1,350 @@
+import type { JSBSimApi } from "../generated/jsbsim-api";
+import type { ConfigurePathsOptions, JSBSimSdk, JSBSimSdkLogEvent, JSBSimSdkLogListener } from "../sdk/jsbsim-sdk";
+import type { BinaryLike, JSBSimLogEntry } from "../sdk/types";
+import {
+  deserializeWorkerError,
+  listWorkerMethods,
+  subscribeToEndpoint,
+  transferableBuffer,
+  type JSBSimTelemetryBatch,
+  type JSBSimWorkerCall,
+  type JSBSimWorkerCallResult,
+  type JSBSimWorkerInitOptions,
+  type JSBSimWorkerRequest,
+  type JSBSimWorkerResponse,
+  type TelemetryStreamOptions,
+  type WorkerEndpoint,
+  type WorkerSdkMethod,
+} from "./protocol";
+
+type AsyncMethods<T> = {
+  [K in keyof T]: T[K] extends (...args: infer A) => infer R ? (...args: A) => Promise<Awaited<R>> : never;
+};
+
+/**
+ * Promise-returning mirror of `JSBSimApi` plus the worker-safe `JSBSimSdk` helpers.
+ */
+export type JSBSimWorkerApi = AsyncMethods<Omit<JSBSimApi, "exec">> &
+  AsyncMethods<Pick<JSBSimSdk, Exclude<WorkerSdkMethod, "writeDataFile">>>;
+
+export interface JSBSimWorkerClientOptions extends Omit<JSBSimWorkerInitOptions, "moduleUrl" | "wasmUrl"> {
+  moduleUrl?: string | URL;
+  wasmUrl?: string | URL;
+}
+
+export interface JSBSimTelemetrySample {
+  simTime: number;
+  frame: number;
+  /**
+   * Values in `paths` order. A view into the batch received from the worker.
+   */
+  values: Float64Array;
+}
+
+export type JSBSimTelemetryListener = (sample: JSBSimTelemetrySample, paths: readonly string[]) => void;
+
+interface PendingRequest {
+  resolve: (results: JSBSimWorkerCallResult[]) => void;
+  reject: (error: Error) => void;
+}
+
+interface QueuedCall {
+  call: JSBSimWorkerCall;
+  transfer: Transferable[];
+  resolve: (value: unknown) => void;
+  reject: (error: Error) => void;
+}
+
+type DistributiveOmit<T, K extends PropertyKey> = T extends unknown ? Omit<T, K> : never;
+
+function unwrapResult(result: JSBSimWorkerCallResult | undefined): unknown {
+  if (!result) {
+    throw new Error("JSBSim worker returned no result.");
+  }
+
+  if (!result.ok) {
+    throw deserializeWorkerError(result.error);
+  }
+
+  return result.value;
+}
+
+export interface JSBSimWorkerClient extends JSBSimWorkerApi {}
+
+/**
+ * Drives a `JSBSimSdk` running in a Web Worker or Node `worker_threads` worker.
+ * Calls made in the same microtask are coalesced into a single message.
+ */
+export class JSBSimWorkerClient {
+  readonly endpoint: WorkerEndpoint;
+  private readonly pending = new Map<number, PendingRequest>();
+  private readonly logListeners: Record<JSBSimSdkLogEvent, Set<JSBSimSdkLogListener>>;
+  private readonly telemetryListeners = new Set<JSBSimTelemetryListener>();
+  private readonly unsubscribe: () => void;
+  private queuedCalls: QueuedCall[] = [];
+  private flushScheduled = false;
+  private nextId = 1;
+  private failure: Error | null = null;
+
+  private constructor(endpoint: WorkerEndpoint) {
+    this.endpoint = endpoint;
+    this.logListeners = {
+      stdout: new Set(),
+      stderr: new Set(),
+      log: new Set(),
+    };
+    this.unsubscribe = subscribeToEndpoint(
+      endpoint,
+      (message) => {
+        this.handleMessage(message as JSBSimWorkerResponse);
+      },
+      (error) => this.fail(error),
+    );
+  }
+
+  /**
+   * Connects to a worker running the packaged worker entry (or `exposeJSBSimWorker`) and creates the SDK in it.
+   */
+  static async create(endpoint: WorkerEndpoint, options: JSBSimWorkerClientOptions = {}): Promise<JSBSimWorkerClient> {
+    const client = new JSBSimWorkerClient(endpoint);
+    const { moduleUrl, wasmUrl, ...rest } = options;
+    const initOptions: JSBSimWorkerInitOptions = { ...rest };
+    if (moduleUrl !== undefined) {
+      initOptions.moduleUrl = moduleUrl.toString();
+    }
+    if (wasmUrl !== undefined) {
+      initOptions.wasmUrl = wasmUrl.toString();
+    }
+
+    try {
+      unwrapResult((await client.request({ type: "init", options: initOptions }))[0]);
+    } catch (error) {
+      client.unsubscribe();
+      throw error;
+    }
+
+    return client;
+  }
+
+  /**
+   * Registers a handler for JSBSim log output forwarded from the worker.
+   */
+  on(event: JSBSimSdkLogEvent, listener: JSBSimSdkLogListener): this;
+  on(event: "telemetry", listener: JSBSimTelemetryListener): this;
+  on(event: JSBSimSdkLogEvent | "telemetry", listener: JSBSimSdkLogListener | JSBSimTelemetryListener): this {
+    if (event === "telemetry") {
+      this.telemetryListeners.add(listener as JSBSimTelemetryListener);
+    } else {
+      this.logListeners[event].add(listener as JSBSimSdkLogListener);
+    }
+    return this;
+  }
+
+  off(event: JSBSimSdkLogEvent, listener: JSBSimSdkLogListener): this;
+  off(event: "telemetry", listener: JSBSimTelemetryListener): this;
+  off(event: JSBSimSdkLogEvent | "telemetry", listener: JSBSimSdkLogListener | JSBSimTelemetryListener): this {
+    if (event === "telemetry") {
+      this.telemetryListeners.delete(listener as JSBSimTelemetryListener);
+    } else {
+      this.logListeners[event].delete(listener as JSBSimSdkLogListener);
+    }
+    return this;
+  }
+
+  /**
+   * Calls any worker method by name. Prefer the typed mirror methods.
+   */
+  call<T = unknown>(method: string, args: unknown[] = [], transfer: Transferable[] = []): Promise<T> {
+    return new Promise<T>((resolve, reject) => {
+      this.queuedCalls.push({
+        call: { method, args },
+        transfer,
+        resolve: resolve as (value: unknown) => void,
+        reject,
+      });
+      this.scheduleFlush();
+    });
+  }
+
+  /**
+   * Sends several calls in one message and resolves with their results in order.
+   * Rejects with the first failure; later calls still run in the worker.
+   */
+  async batch(calls: JSBSimWorkerCall[]): Promise<unknown[]> {
+    const results = await this.request({ type: "call", calls });
+    return results.map(unwrapResult);
+  }
+
+  /**
+   * Writes a runtime file in the worker. With `transfer`, the bytes are moved rather than copied
+   * and the caller's buffer is detached.
+   */
+  writeDataFile(path: string, data: BinaryLike, transfer = false): Promise<string> {
+    const buffer = transfer ? transferableBuffer(data) : null;
+    return this.call<string>("writeDataFile", [path, data], buffer ? [buffer] : []);
+  }
+
+  /**
+   * Streams the given properties back after every `every`-th frame as `telemetry` events. Samples are
+   * posted in batches while a call runs and flushed before its response.
+   */
+  async startTelemetry(options: TelemetryStreamOptions): Promise<void> {
+    unwrapResult((await this.request({ type: "telemetry", options }))[0]);
+  }
+
+  async stopTelemetry(): Promise<void> {
+    unwrapResult((await this.request({ type: "telemetry", options: null }))[0]);
+  }
+
+  /**
+   * Replaces the worker's SDK with a fresh `FGFDMExec` on the same module (see `JSBSimSdk.spawn`).
+   * Files already written to MEMFS are kept; any telemetry stream is stopped.
+   */
+  async reset(paths: ConfigurePathsOptions = {}): Promise<void> {
+    unwrapResult((await this.request({ type: "reset", paths }))[0]);
+  }
+
+  /**
+   * Destroys the SDK in the worker and stops listening. Terminating the worker is left to the caller.
+   * After the worker has crashed or exited, only the client side is cleaned up.
+   */
+  async destroy(): Promise<void> {
+    try {
+      if (!this.failure) {
+        unwrapResult((await this.request({ type: "destroy" }))[0]);
+      }
+    } finally {
+      this.unsubscribe();
+      for (const pending of this.pending.values()) {
+        pending.reject(new Error("JSBSim worker client was destroyed."));
+      }
+      this.pending.clear();
+      this.logListeners.stdout.clear();
+      this.logListeners.stderr.clear();
+      this.logListeners.log.clear();
+      this.telemetryListeners.clear();
+    }
+  }
+
+  private request(
+    request: DistributiveOmit<JSBSimWorkerRequest, "id">,
+    transfer: Transferable[] = [],
+  ): Promise<JSBSimWorkerCallResult[]> {
+    if (this.failure) {
+      return Promise.reject(this.failure);
+    }
+
+    const id = this.nextId;
+    this.nextId += 1;
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.endpoint.postMessage({ ...request, id } as JSBSimWorkerRequest, transfer);
+    });
+  }
+
+  /**
+   * Rejects every in-flight request, and every later one, once the worker has crashed or exited.
+   */
+  private fail(error: Error): void {
+    if (this.failure) {
+      return;
+    }
+
+    this.failure = error;
+    for (const pending of this.pending.values()) {
+      pending.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  private scheduleFlush(): void {
+    if (this.flushScheduled) {
+      return;
+    }
+
+    this.flushScheduled = true;
+    queueMicrotask(() => {
+      this.flushScheduled = false;
+      const queued = this.queuedCalls;
+      this.queuedCalls = [];
+
+      this.request(
+        { type: "call", calls: queued.map((entry) => entry.call) },
+        queued.flatMap((entry) => entry.transfer),
+      ).then(
+        (results) => {
+          queued.forEach((entry, index) => {
+            try {
+              entry.resolve(unwrapResult(results[index]));
+            } catch (error) {
+              entry.reject(error as Error);
+            }
+          });
+        },
+        (error: Error) => {
+          for (const entry of queued) {
+            entry.reject(error);
+          }
+        },
+      );
+    });
+  }
+
+  private handleMessage(message: JSBSimWorkerResponse): void {
+    switch (message.type) {
+      case "response": {
+        const pending = this.pending.get(message.id);
+        if (pending) {
+          this.pending.delete(message.id);
+          pending.resolve(message.results);
+        }
+        break;
+      }
+      case "log":
+        this.emitLog(message.entry);
+        break;
+      case "telemetry":
+        this.emitTelemetry(message.batch);
+        break;
+    }
+  }
+
+  private emitLog(entry: JSBSimLogEntry): void {
+    for (const listener of this.logListeners[entry.stream]) {
+      listener(entry);
+    }
+    for (const listener of this.logListeners.log) {
+      listener(entry);
+    }
+  }
+
+  private emitTelemetry(batch: JSBSimTelemetryBatch): void {
+    const stride = batch.paths.length + 2;
+    for (let row = 0; row < batch.rows; row += 1) {
+      const offset = row * stride;
+      const sample: JSBSimTelemetrySample = {
+        simTime: batch.data[offset] ?? Number.NaN,
+        frame: batch.data[offset + 1] ?? Number.NaN,
+        values: batch.data.subarray(offset + 2, offset + stride),
+      };
+      for (const listener of this.telemetryListeners) {
+        listener(sample, batch.paths);
+      }
+    }
+  }
+}
+
+for (const method of listWorkerMethods()) {
+  if (method === "writeDataFile") {
+    continue;
+  }
+
+  Object.defineProperty(JSBSimWorkerClient.prototype, method, {
+    configurable: true,
+    writable: true,
+    value(this: JSBSimWorkerClient, ...args: unknown[]) {
+      return this.call(method, args);
+    },
+  });
+}
@@ -0,0 +1,213 @@
+import { JSBSimSdk } from "../sdk/jsbsim-sdk";
+import type { JSBSimPropertySet } from "../sdk/property-set";
+import {
+  isWorkerMethod,
+  serializeWorkerError,
+  subscribeToEndpoint,
+  transferableBuffer,
+  type JSBSimWorkerCall,
+  type JSBSimWorkerCallResult,
+  type JSBSimWorkerInitOptions,
+  type JSBSimWorkerRequest,
+  type JSBSimWorkerResponse,
+  type TelemetryStreamOptions,
+  type WorkerEndpoint,
+} from "./protocol";
+
+const DEFAULT_TELEMETRY_BATCH_ROWS = 256;
+const DEFAULT_TELEMETRY_BATCH_INTERVAL_MS = 50;
+
+export interface ExposeJSBSimWorkerOptions {
+  /**
+   * Creates the SDK for an `init` request. Defaults to `JSBSimSdk.create(options)`; override it to
+   * inject a bundled module factory or other non-cloneable options.
+   */
+  createSdk?: (options: JSBSimWorkerInitOptions) => Promise<JSBSimSdk>;
+}
+
+interface TelemetryStream {
+  set: JSBSimPropertySet;
+  every: number;
+  counter: number;
+  rows: number[][];
+  batchRows: number;
+  batchIntervalMs: number;
+  flushedAt: number;
+  unsubscribe: () => void;
+}
+
+/**
+ * Serves `JSBSimWorkerClient` requests on an endpoint (worker global scope or `parentPort`).
+ * Returns a function that stops listening and destroys the SDK.
+ */
+export function exposeJSBSimWorker(endpoint: WorkerEndpoint, options: ExposeJSBSimWorkerOptions = {}): () => void {
+  const createSdk = options.createSdk ?? ((initOptions: JSBSimWorkerInitOptions) => JSBSimSdk.create(initOptions));
+  let sdk: JSBSimSdk | null = null;
+  let telemetry: TelemetryStream | null = null;
+  let queue = Promise.resolve();
+
+  const post = (message: JSBSimWorkerResponse, transfer: Transferable[] = []): void => {
+    endpoint.postMessage(message, transfer);
+  };
+
+  const requireSdk = (): JSBSimSdk => {
+    if (!sdk) {
+      throw new Error("JSBSim worker is not initialized.");
+    }
+    return sdk;
+  };
+
+  const stopTelemetry = (): void => {
+    if (!telemetry) {
+      return;
+    }
+
+    telemetry.unsubscribe();
+    telemetry.set.dispose();
+    telemetry = null;
+  };
+
+  const flushTelemetry = (): void => {
+    if (!telemetry || telemetry.rows.length === 0) {
+      return;
+    }
+
+    const stride = telemetry.set.size + 2;
+    const data = new Float64Array(telemetry.rows.length * stride);
+    telemetry.rows.forEach((row, index) => data.set(row, index * stride));
+    post(
+      { type: "telemetry", batch: { paths: [...telemetry.set.paths], rows: telemetry.rows.length, data } },
+      [data.buffer],
+    );
+    telemetry.rows = [];
+    telemetry.flushedAt = performance.now();
+  };
+
+  const startTelemetry = (target: JSBSimSdk, streamOptions: TelemetryStreamOptions): void => {
+    stopTelemetry();
+
+    const set = target.propertySet(streamOptions.properties);
+    const stream: TelemetryStream = {
+      set,
+      every: Math.max(1, Math.floor(streamOptions.every ?? 1)),
+      counter: 0,
+      rows: [],
+      batchRows: Math.max(1, Math.floor(streamOptions.batchRows ?? DEFAULT_TELEMETRY_BATCH_ROWS)),
+      batchIntervalMs: streamOptions.batchIntervalMs ?? DEFAULT_TELEMETRY_BATCH_INTERVAL_MS,
+      flushedAt: performance.now(),
+      unsubscribe: () => undefined,
+    };
+
+    stream.unsubscribe = target.onStep(() => {
+      stream.counter += 1;
+      if (stream.counter % stream.every !== 0) {
+        return;
+      }
+
+      set.refresh();
+      stream.rows.push([target.getSimTime(), target.getFrame(), ...set.values]);
+      // Post batches during long calls (e.g. `runFor`) so samples arrive while the run is in progress.
+      if (
+        stream.rows.length >= stream.batchRows ||
+        performance.now() - stream.flushedAt >= stream.batchIntervalMs
+      ) {
+        flushTelemetry();
+      }
+    });
+    telemetry = stream;
+  };
+
+  const invoke = async (target: JSBSimSdk, call: JSBSimWorkerCall, transfer: Transferable[]): Promise<JSBSimWorkerCallResult> => {
+    try {
+      if (!isWorkerMethod(call.method)) {
+        throw new Error(`Unknown JSBSim worker method "${call.method}".`);
+      }
+
+      const method = (target as unknown as Record<string, (...args: unknown[]) => unknown>)[call.method];
+      if (typeof method !== "function") {
+        throw new Error(`Unknown JSBSim worker method "${call.method}".`);
+      }
+
+      const value = await method.apply(target, call.args ?? []);
+      const buffer = transferableBuffer(value);
+      if (buffer) {
+        transfer.push(buffer);
+      }
+      return { ok: true, value };
+    } catch (error) {
+      return { ok: false, error: serializeWorkerError(error) };
+    }
+  };
+
+  const handle = async (request: JSBSimWorkerRequest): Promise<void> => {
+    const transfer: Transferable[] = [];
+    let results: JSBSimWorkerCallResult[];
+
+    try {
+      switch (request.type) {
+        case "init": {
+          if (sdk) {
+            throw new Error("JSBSim worker is already initialized.");
+          }
+          const created = await createSdk(request.options);
+          created.on("log", (entry) => post({ type: "log", entry }));
+          sdk = created;
+          results = [{ ok: true, value: null }];
+          break;
+        }
+        case "call": {
+          const target = requireSdk();
+          results = [];
+          for (const call of request.calls) {
+            results.push(await invoke(target, call, transfer));
+          }
+          break;
+        }
+        case "telemetry": {
+          const target = requireSdk();
+          if (request.options) {
+            startTelemetry(target, request.options);
+          } else {
+            stopTelemetry();
+          }
+          results = [{ ok: true, value: null }];
+          break;
+        }
+        case "reset": {
+          const previous = requireSdk();
+          stopTelemetry();
+          const next = previous.spawn(request.paths);
+          next.on("log", (entry) => post({ type: "log", entry }));
+          previous.destroy();
+          sdk = next;
+          results = [{ ok: true, value: null }];
+          break;
+        }
+        case "destroy": {
+          stopTelemetry();
+          sdk?.destroy();
+          sdk = null;
+          results = [{ ok: true, value: null }];
+          break;
+        }
+      }
+    } catch (error) {
+      results = [{ ok: false, error: serializeWorkerError(error) }];
+    }
+
+    flushTelemetry();
+    post({ type: "response", id: request.id, results }, transfer);
+  };
+
+  const unsubscribe = subscribeToEndpoint(endpoint, (message) => {
+    const request = message as JSBSimWorkerRequest;
+    queue = queue.then(() => handle(request));
+  });
+
+  return () => {
+    unsubscribe();
+    stopTelemetry();
+    sdk?.destroy();
+    sdk = null;
+  };
+}
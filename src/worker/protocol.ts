@@ -0,0 +1,264 @@
+import { JSBSimApi } from "../generated/jsbsim-api";
+import type { ConfigurePathsOptions } from "../sdk/jsbsim-sdk";
+import { TrimError, type TrimResult } from "../sdk/trim";
+import { VfsError, type VfsErrorCode } from "../sdk/vfs";
+import type {
+  JSBSimLogEntry,
+  JSBSimLogOptions,
+  JSBSimSdkOptions,
+  PersistenceAutoSyncOptions,
+  PersistenceOptions,
+} from "../sdk/types";
+
+/**
+ * `JSBSimSdk` helpers callable through the worker in addition to every `JSBSimApi` method.
+ * Helpers that take callbacks or return live handles (e.g. `runUntil`, `property`) are excluded.
+ */
+export const WORKER_SDK_METHODS = [
+  "configurePaths",
+  "loadModelWithOptions",
+  "loadScriptWithDefaults",
+  "writeDataFile",
+  "readDataFile",
+  "mkdir",
+  "listFiles",
+  "stat",
+  "exists",
+  "remove",
+  "rename",
+  "copy",
+  "tree",
+  "readProperties",
+  "writeProperties",
+  "runSteps",
+  "runFor",
+  "saveState",
+  "restoreState",
+  "replay",
+  "trim",
+  "linearize",
+  "syncFromPersistence",
+  "syncToPersistence",
+  "enablePersistence",
+] as const;
+
+export type WorkerSdkMethod = (typeof WORKER_SDK_METHODS)[number];
+
+/**
+ * Options for creating the SDK inside the worker. Callbacks cannot cross the worker boundary,
+ * so module URLs must be strings (or `URL`s, converted by the client) and logs are forwarded as events.
+ */
+export interface JSBSimWorkerInitOptions
+  extends Omit<JSBSimSdkOptions, "moduleFactory" | "locateFile" | "log" | "persistence"> {
+  log?: Pick<JSBSimLogOptions, "console" | "stripAnsi">;
+  /**
+   * Backends and callbacks cannot be posted to a worker; inject them through `createSdk` instead.
+   */
+  persistence?: Omit<PersistenceOptions, "backend" | "autoSync"> & {
+    autoSync?: boolean | Pick<PersistenceAutoSyncOptions, "delayMs">;
+  };
+}
+
+export interface JSBSimWorkerCall {
+  method: string;
+  args?: unknown[];
+}
+
+export interface TelemetryStreamOptions {
+  properties: string[];
+  /**
+   * Sample every N-th frame. Defaults to 1.
+   */
+  every?: number;
+  /**
+   * Rows buffered before a batch is posted during a long call. Defaults to 256.
+   */
+  batchRows?: number;
+  /**
+   * Milliseconds after which buffered rows are posted during a long call. Defaults to 50.
+   */
+  batchIntervalMs?: number;
+}
+
+export interface SerializedWorkerError {
+  name: string;
+  message: string;
+  stack?: string;
+  /**
+   * Set for `VfsError`s.
+   */
+  vfs?: { code: VfsErrorCode; path: string };
+  /**
+   * Set for `TrimError`s.
+   */
+  trim?: TrimResult;
+}
+
+export type JSBSimWorkerCallResult =
+  | { ok: true; value: unknown }
+  | { ok: false; error: SerializedWorkerError };
+
+export type JSBSimWorkerRequest =
+  | { type: "init"; id: number; options: JSBSimWorkerInitOptions }
+  | { type: "call"; id: number; calls: JSBSimWorkerCall[] }
+  | { type: "telemetry"; id: number; options: TelemetryStreamOptions | null }
+  | { type: "reset"; id: number; paths: ConfigurePathsOptions }
+  | { type: "destroy"; id: number };
+
+/**
+ * Telemetry rows packed as `[simTime, frame, ...values]`, `paths.length + 2` numbers per row.
+ */
+export interface JSBSimTelemetryBatch {
+  paths: string[];
+  rows: number;
+  data: Float64Array;
+}
+
+export type JSBSimWorkerResponse =
+  | { type: "response"; id: number; results: JSBSimWorkerCallResult[] }
+  | { type: "log"; entry: JSBSimLogEntry }
+  | { type: "telemetry"; batch: JSBSimTelemetryBatch };
+
+/**
+ * Anything that can post messages: a `Worker`, `MessagePort`, worker global scope,
+ * or Node `worker_threads` `Worker`/`parentPort`.
+ */
+export type WorkerEndpoint =
+  | {
+      postMessage(message: unknown, transfer?: Transferable[]): void;
+      on(event: "message" | "error" | "messageerror" | "exit", listener: (value: unknown) => void): unknown;
+      off(event: "message" | "error" | "messageerror" | "exit", listener: (value: unknown) => void): unknown;
+    }
+  | {
+      postMessage(message: unknown, transfer?: Transferable[]): void;
+      addEventListener(type: "message", listener: (event: MessageEvent) => void): void;
+      addEventListener(type: "error" | "messageerror", listener: (event: Event) => void): void;
+      removeEventListener(type: "message", listener: (event: MessageEvent) => void): void;
+      removeEventListener(type: "error" | "messageerror", listener: (event: Event) => void): void;
+    };
+
+/**
+ * Subscribes to messages on either a Node-style or DOM-style endpoint. `onFailure` is called when the
+ * endpoint reports an error, a message that cannot be deserialized, or (for `worker_threads` workers)
+ * that the worker exited. Returns an unsubscribe function.
+ */
+export function subscribeToEndpoint(
+  endpoint: WorkerEndpoint,
+  handler: (message: unknown) => void,
+  onFailure?: (error: Error) => void,
+): () => void {
+  const fail = (message: string): void => onFailure?.(new Error(message));
+
+  if ("on" in endpoint) {
+    const onError = (error: unknown): void =>
+      fail(`JSBSim worker failed: ${error instanceof Error ? error.message : String(error)}`);
+    const onMessageError = (): void => fail("JSBSim worker sent a message that could not be deserialized.");
+    const onExit = (code: unknown): void => fail(`JSBSim worker exited with code ${String(code)}.`);
+
+    endpoint.on("message", handler);
+    if (onFailure) {
+      endpoint.on("error", onError);
+      endpoint.on("messageerror", onMessageError);
+      endpoint.on("exit", onExit);
+    }
+    return () => {
+      endpoint.off("message", handler);
+      if (onFailure) {
+        endpoint.off("error", onError);
+        endpoint.off("messageerror", onMessageError);
+        endpoint.off("exit", onExit);
+      }
+    };
+  }
+
+  const listener = (event: MessageEvent): void => handler(event.data);
+  const onError = (event: Event): void => {
+    // `ErrorEvent` for script errors; a plain `Event` when the worker script fails to load.
+    const message = (event as Partial<ErrorEvent>).message;
+    fail(`JSBSim worker failed: ${message || "the worker script could not be loaded or raised an error"}`);
+  };
+  const onMessageError = (): void => fail("JSBSim worker sent a message that could not be deserialized.");
+
+  endpoint.addEventListener("message", listener);
+  if (onFailure) {
+    endpoint.addEventListener("error", onError);
+    endpoint.addEventListener("messageerror", onMessageError);
+  }
+  return () => {
+    endpoint.removeEventListener("message", listener);
+    if (onFailure) {
+      endpoint.removeEventListener("error", onError);
+      endpoint.removeEventListener("messageerror", onMessageError);
+    }
+  };
+}
+
+const API_METHODS = new Set(
+  Object.getOwnPropertyNames(JSBSimApi.prototype).filter((name) => name !== "constructor"),
+);
+
+/**
+ * Names of every method callable through the worker.
+ */
+export function listWorkerMethods(): string[] {
+  return [...API_METHODS, ...WORKER_SDK_METHODS];
+}
+
+export function isWorkerMethod(name: string): boolean {
+  return API_METHODS.has(name) || (WORKER_SDK_METHODS as readonly string[]).includes(name);
+}
+
+export function serializeWorkerError(error: unknown): SerializedWorkerError {
+  if (error instanceof Error) {
+    const serialized: SerializedWorkerError = { name: error.name, message: error.message };
+    if (error.stack) {
+      serialized.stack = error.stack;
+    }
+    if (error instanceof VfsError) {
+      serialized.vfs = { code: error.code, path: error.path };
+    }
+    if (error instanceof TrimError) {
+      serialized.trim = error.result;
+    }
+    return serialized;
+  }
+
+  return { name: "Error", message: String(error) };
+}
+
+export function deserializeWorkerError(error: SerializedWorkerError): Error {
+  let result: Error;
+  if (error.vfs) {
+    result = new VfsError(error.vfs.code, error.vfs.path, error.message);
+  } else if (error.trim) {
+    result = new TrimError(error.trim, error.message);
+  } else {
+    result = new Error(error.message);
+  }
+  result.name = error.name;
+  if (error.stack) {
+    result.stack = error.stack;
+  }
+  return result;
+}
+
+/**
+ * Returns the buffer of a typed array when it can be transferred without detaching
+ * anything else, i.e. the view owns its whole (non-shared) buffer.
+ */
+export function transferableBuffer(value: unknown): ArrayBuffer | null {
+  if (value instanceof ArrayBuffer) {
+    return value;
+  }
+
+  if (
+    ArrayBuffer.isView(value) &&
+    value.buffer instanceof ArrayBuffer &&
+    value.byteOffset === 0 &&
+    value.byteLength === value.buffer.byteLength
+  ) {
+    return value.buffer;
+  }
+
+  return null;
+}